@@ -0,0 +1,7 @@
+// Testes das regras do Firestore: rodam no emulador (npm run test:rules), fora dos testes do app
+module.exports = {
+  rootDir: __dirname,
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/**/*.test.js'],
+  testTimeout: 20000,
+};
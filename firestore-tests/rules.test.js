@@ -0,0 +1,204 @@
+const { readFileSync } = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, collection, query, where, writeBatch } = require('firebase/firestore');
+
+const APP_ID = 'ping-pong-manager-default';
+const OWNER = 'dono';
+const base = `artifacts/${APP_ID}`;
+const championshipPath = `${base}/users/${OWNER}/championships/c1`;
+const matchPath = `${championshipPath}/matches/m1`;
+const accessPath = `${base}/public/data/championshipAccess/${OWNER}_c1`;
+const publicPath = `${base}/public/data/owners/${OWNER}/championships/c1`;
+
+let testEnv;
+
+const members = [
+  { email: 'mesario@example.com', role: 'scorekeeper' },
+  { email: 'leitor@example.com', role: 'viewer' },
+];
+
+const asOwner = () => testEnv.authenticatedContext(OWNER, { email: 'dono@example.com' }).firestore();
+const asScorekeeper = () => testEnv.authenticatedContext('mesario', { email: 'Mesario@Example.com' }).firestore();
+const asViewer = () => testEnv.authenticatedContext('leitor', { email: 'leitor@example.com' }).firestore();
+const asStranger = () => testEnv.authenticatedContext('estranho', { email: 'estranho@example.com' }).firestore();
+const asAnonymous = () => testEnv.authenticatedContext('anonimo').firestore();
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-pingpong',
+    firestore: { rules: readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') },
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, `${base}/users/${OWNER}/players/p1`), { name: 'Ana' });
+    await setDoc(doc(db, championshipPath), { name: 'Aberto', members, standings: [] });
+    await setDoc(doc(db, matchPath), { status: 'pending', homeSets: null });
+    await setDoc(doc(db, accessPath), { ownerId: OWNER, championshipId: 'c1', ownerEmail: 'dono@example.com', members, memberEmails: members.map(m => m.email) });
+    await setDoc(doc(db, `${base}/public/data/organizerAccess/${OWNER}`), { memberEmails: members.map(m => m.email) });
+  });
+});
+
+describe('dados do organizador', () => {
+  test('o dono lê e grava tudo', async () => {
+    const db = asOwner();
+    await assertSucceeds(getDoc(doc(db, championshipPath)));
+    await assertSucceeds(updateDoc(doc(db, championshipPath), { name: 'Aberto 2' }));
+    await assertSucceeds(setDoc(doc(db, `${championshipPath}/matches/m2`), { status: 'pending' }));
+    await assertSucceeds(setDoc(doc(db, `${base}/users/${OWNER}/players/p2`), { name: 'Bia' }));
+  });
+
+  test('quem não foi convidado não lê nem grava', async () => {
+    const db = asStranger();
+    await assertFails(getDoc(doc(db, championshipPath)));
+    await assertFails(getDocs(collection(db, `${championshipPath}/matches`)));
+    await assertFails(getDocs(collection(db, `${base}/users/${OWNER}/players`)));
+    await assertFails(updateDoc(doc(db, matchPath), { status: 'completed' }));
+  });
+
+  test('sessão anônima só acessa os próprios dados', async () => {
+    const db = asAnonymous();
+    await assertFails(getDoc(doc(db, championshipPath)));
+    await assertSucceeds(setDoc(doc(db, `${base}/users/anonimo/players/p1`), { name: 'Caio' }));
+  });
+});
+
+describe('mesário', () => {
+  test('lê o campeonato, as partidas e os cadastros do dono', async () => {
+    const db = asScorekeeper();
+    await assertSucceeds(getDoc(doc(db, championshipPath)));
+    await assertSucceeds(getDocs(collection(db, `${championshipPath}/matches`)));
+    await assertSucceeds(getDocs(collection(db, `${base}/users/${OWNER}/players`)));
+  });
+
+  test('lança resultados e regrava a classificação', async () => {
+    const db = asScorekeeper();
+    await assertSucceeds(updateDoc(doc(db, matchPath), { status: 'completed', homeSets: 3 }));
+    await assertSucceeds(updateDoc(doc(db, championshipPath), { standings: [{ groupName: 'Grupo A', table: [] }] }));
+  });
+
+  test('não muda o resto do campeonato nem cria ou apaga partidas', async () => {
+    const db = asScorekeeper();
+    await assertFails(updateDoc(doc(db, championshipPath), { members: [] }));
+    await assertFails(setDoc(doc(db, `${championshipPath}/matches/m2`), { status: 'pending' }));
+    await assertFails(deleteDoc(doc(db, matchPath)));
+    await assertFails(setDoc(doc(db, `${base}/users/${OWNER}/players/p2`), { name: 'Bia' }));
+  });
+
+  test('publica a página pública', async () => {
+    await assertSucceeds(setDoc(doc(asScorekeeper(), publicPath), { name: 'Aberto', matches: [] }));
+  });
+});
+
+describe('somente leitura', () => {
+  test('lê o campeonato e as partidas', async () => {
+    const db = asViewer();
+    await assertSucceeds(getDoc(doc(db, championshipPath)));
+    await assertSucceeds(getDocs(collection(db, `${championshipPath}/matches`)));
+  });
+
+  test('não grava nada', async () => {
+    const db = asViewer();
+    await assertFails(updateDoc(doc(db, matchPath), { status: 'completed' }));
+    await assertFails(updateDoc(doc(db, championshipPath), { standings: [] }));
+    await assertFails(setDoc(doc(db, publicPath), { name: 'Aberto' }));
+    await assertFails(updateDoc(doc(db, accessPath), { memberEmails: ['leitor@example.com'] }));
+  });
+});
+
+describe('índice de acesso', () => {
+  test('o convidado encontra os campeonatos pelo próprio e-mail', async () => {
+    const q = query(collection(asViewer(), `${base}/public/data/championshipAccess`), where('memberEmails', 'array-contains', 'leitor@example.com'));
+    await assertSucceeds(getDocs(q));
+  });
+
+  test('ninguém lista os convites de outro e-mail', async () => {
+    const q = query(collection(asStranger(), `${base}/public/data/championshipAccess`), where('memberEmails', 'array-contains', 'leitor@example.com'));
+    await assertFails(getDocs(q));
+  });
+
+  test('só o dono grava o índice', async () => {
+    const update = { ownerId: OWNER, championshipId: 'c1', members: [], memberEmails: [] };
+    await assertSucceeds(setDoc(doc(asOwner(), accessPath), update));
+    await assertFails(setDoc(doc(asScorekeeper(), accessPath), update));
+    await assertFails(setDoc(doc(asStranger(), accessPath), { ownerId: 'estranho', championshipId: 'c1', members: [], memberEmails: ['estranho@example.com'] }));
+  });
+
+  test('ninguém cria índice para o campeonato de outro organizador', async () => {
+    const otherAccess = `${base}/public/data/championshipAccess/${OWNER}_c2`;
+    await assertFails(setDoc(doc(asStranger(), otherAccess), { ownerId: OWNER, championshipId: 'c2', members: [], memberEmails: ['estranho@example.com'] }));
+    await assertFails(setDoc(doc(asStranger(), otherAccess), { ownerId: 'estranho', championshipId: 'c2', members: [], memberEmails: ['estranho@example.com'] }));
+  });
+
+  test('campeonato com o mesmo ID na conta de outro usuário não ocupa o índice do dono', async () => {
+    const ownerAccess = `${base}/public/data/championshipAccess/${OWNER}_c2`;
+    const db = asStranger();
+    await assertSucceeds(setDoc(doc(db, `${base}/users/estranho/championships/c2`), { name: 'Cópia' }));
+    const claim = { ownerId: 'estranho', championshipId: 'c2', members: [], memberEmails: ['estranho@example.com'] };
+    await assertFails(setDoc(doc(db, ownerAccess), claim));
+    // O índice dele fica no próprio prefixo e não impede o dono de compartilhar o campeonato original
+    await assertSucceeds(setDoc(doc(db, `${base}/public/data/championshipAccess/estranho_c2`), claim));
+    await assertFails(setDoc(doc(db, `${base}/public/data/championshipAccess/estranho_c1`), { ...claim, championshipId: 'c2' }));
+
+    const owner = asOwner();
+    const batch = writeBatch(owner);
+    batch.set(doc(owner, `${base}/users/${OWNER}/championships/c2`), { name: 'Original', members });
+    batch.set(doc(owner, ownerAccess), { ownerId: OWNER, championshipId: 'c2', members, memberEmails: members.map(m => m.email) });
+    await assertSucceeds(batch.commit());
+    await assertSucceeds(getDoc(doc(asScorekeeper(), `${base}/users/${OWNER}/championships/c2`)));
+  });
+
+  test('o dono apaga o campeonato com o índice e a página pública no mesmo lote', async () => {
+    const db = asOwner();
+    const batch = writeBatch(db);
+    batch.delete(doc(db, publicPath));
+    batch.delete(doc(db, `${base}/public/data/championshipAccess/${OWNER}_sem-indice`));
+    batch.delete(doc(db, accessPath));
+    batch.delete(doc(db, championshipPath));
+    await assertSucceeds(batch.commit());
+  });
+
+  test('índice gravado com outro dono não dá acesso ao campeonato', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), accessPath), { ownerId: 'estranho', championshipId: 'c1', members: [], memberEmails: ['estranho@example.com'] });
+    });
+    await assertFails(getDoc(doc(asStranger(), championshipPath)));
+  });
+});
+
+describe('página pública', () => {
+  test('qualquer pessoa lê, mesmo sem login', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), publicPath), { name: 'Aberto' });
+    });
+    await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), publicPath)));
+  });
+
+  test('quem não organiza o campeonato não publica', async () => {
+    await assertFails(setDoc(doc(asStranger(), publicPath), { name: 'Falso' }));
+    await assertFails(setDoc(doc(testEnv.unauthenticatedContext().firestore(), publicPath), { name: 'Falso' }));
+  });
+
+  test('campeonato com o mesmo ID na conta de outro usuário não dá acesso à página do dono', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), publicPath), { name: 'Aberto' });
+    });
+    const db = asStranger();
+    await assertSucceeds(setDoc(doc(db, `${base}/users/estranho/championships/c1`), { name: 'Cópia' }));
+    await assertFails(setDoc(doc(db, publicPath), { name: 'Falso' }));
+    await assertFails(deleteDoc(doc(db, publicPath)));
+    // Nem um índice de acesso dele com o mesmo campeonato o torna mesário do dono
+    await assertSucceeds(setDoc(doc(db, `${base}/public/data/championshipAccess/estranho_c1`), {
+      ownerId: 'estranho', championshipId: 'c1', members: [{ email: 'estranho@example.com', role: 'scorekeeper' }], memberEmails: ['estranho@example.com'],
+    }));
+    await assertFails(setDoc(doc(db, publicPath), { name: 'Falso' }));
+  });
+});
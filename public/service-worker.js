@@ -0,0 +1,73 @@
+/* eslint-disable no-restricted-globals */
+// Service worker escrito à mão: guarda o app (HTML, JS, CSS, ícones) para abrir sem conexão.
+// Os dados não passam por aqui: o Firestore tem o próprio cache local no IndexedDB.
+
+// Trocar o nome descarta os caches antigos (e os arquivos com hash de builds velhos) no activate
+const CACHE_NAME = 'ping-pong-app-v2';
+const APP_SHELL = ['/', '/index.html', '/manifest.json', '/favicon.ico', '/logo192.png', '/logo512.png'];
+
+// Este arquivo não muda a cada build, então o asset-manifest.json do CRA é lido de novo a cada navegação online:
+// guarda os arquivos do build atual e apaga do cache os de builds anteriores
+const syncBuildAssets = async () => {
+  const response = await fetch('/asset-manifest.json', { cache: 'no-store' });
+  if (!response.ok) return;
+  const { files = {} } = await response.json();
+  const assets = Object.values(files).filter(file => file.startsWith('/static/') && !file.endsWith('.map'));
+  const cache = await caches.open(CACHE_NAME);
+  const cachedRequests = await cache.keys();
+  const cachedPaths = new Set(cachedRequests.map(request => new URL(request.url).pathname));
+  await cache.addAll(assets.filter(asset => !cachedPaths.has(asset)));
+  const current = new Set(assets);
+  await Promise.all(cachedRequests
+    .filter(request => {
+      const { pathname } = new URL(request.url);
+      return pathname.startsWith('/static/') && !current.has(pathname);
+    })
+    .map(request => cache.delete(request)));
+};
+
+self.addEventListener('install', (event) => {
+  // Sem os arquivos do build o app não abriria offline na primeira visita
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)).then(syncBuildAssets));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Navegação: rede primeiro (para pegar versões novas); offline, qualquer rota cai no index.html
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put('/index.html', copy));
+          event.waitUntil(syncBuildAssets().catch(() => {}));
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Arquivos estáticos: o build do CRA põe um hash no nome, então o cache pode ser usado direto
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
@@ -1,11 +1,15 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, onAuthStateChanged, signInWithCustomToken } from 'firebase/auth';
 import {
-    getFirestore, doc, getDoc, addDoc, setDoc, updateDoc, deleteDoc, onSnapshot,
-    collection, query, where, writeBatch
+    getAuth, signInAnonymously, onAuthStateChanged, signInWithCustomToken, signOut, GoogleAuthProvider, EmailAuthProvider,
+    linkWithPopup, linkWithCredential, signInWithCredential, signInWithEmailAndPassword
+} from 'firebase/auth';
+import {
+    initializeFirestore, persistentLocalCache, persistentMultipleTabManager, waitForPendingWrites,
+    doc, getDoc, addDoc, setDoc, updateDoc, deleteDoc, onSnapshot,
+    collection, query, where, writeBatch, arrayUnion, getDocs, getDocsFromCache
 } from 'firebase/firestore';
-import { ChevronsRight, Users, Shield, Plus, Trash2, Edit, Save, X, Trophy, Swords, ArrowRight, Shuffle, List, Settings, UserCheck } from 'lucide-react';
+import { ChevronsRight, Users, Shield, Plus, Trash2, Edit, Save, X, Trophy, Swords, ArrowRight, Shuffle, List, Settings, UserCheck, ArrowUp, ArrowDown, RotateCcw, History, TrendingUp, Clock, Radio, Play, Undo2, Timer, Zap, Globe, Copy, LogIn, LogOut, UserPlus, Link2, Download, Printer, Upload, Wifi, WifiOff, RefreshCw } from 'lucide-react';
 
 // --- CONFIGURAÇÃO DO FIREBASE ---
 // As variáveis __firebase_config e __initial_auth_token serão injetadas pelo ambiente.
@@ -22,7 +26,8 @@ const firebaseConfig = {
 const appId = process.env.REACT_APP_APP_ID || 'ping-pong-manager-default';
 
 const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
+// Cache local persistente (IndexedDB): o app abre e grava sem conexão e sincroniza quando ela volta
+const db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
 const auth = getAuth(app);
 
 // --- COMPONENTES DE UI ---
@@ -82,6 +87,14 @@ const Card = ({ children, className = '' }) => (
     </div>
 );
 
+const UndoToast = ({ message, onUndo, onDismiss }) => (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 bg-gray-700 border border-gray-600 rounded-lg shadow-2xl px-4 py-3 flex items-center gap-4 text-white">
+        <span>{message}</span>
+        <Button variant="secondary" className="py-1" onClick={onUndo}><Undo2 size={16}/> Desfazer</Button>
+        <button onClick={onDismiss} className="text-gray-400 hover:text-white"><X size={18}/></button>
+    </div>
+);
+
 const Spinner = () => (
     <div className="flex justify-center items-center p-4">
         <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
@@ -91,6 +104,80 @@ const Spinner = () => (
 
 // --- LÓGICA DE NEGÓCIO ---
 
+// --- SINCRONIZAÇÃO OFFLINE ---
+
+// A gravação já aparece na tela pelo cache local; a promessa só resolve quando o servidor confirma.
+// Enquanto isso fica contada como pendente.
+const pendingWrites = { count: 0, listeners: new Set() };
+
+const trackPendingWrite = (promise) => {
+    pendingWrites.count += 1;
+    pendingWrites.listeners.forEach(listener => listener(pendingWrites.count));
+    return promise.finally(() => {
+        pendingWrites.count -= 1;
+        pendingWrites.listeners.forEach(listener => listener(pendingWrites.count));
+    });
+};
+
+// Em geral ninguém espera pela gravação e uma recusa do servidor vira alerta. Quem precisa do resultado
+// (ex.: a restauração de backup) usa a promessa devolvida e trata o erro com reportErrors: false.
+const queueWrite = (promise, { reportErrors = true } = {}) => {
+    const tracked = trackPendingWrite(promise);
+    if (reportErrors) {
+        tracked.catch(error => {
+            console.error("Erro ao sincronizar alteração:", error);
+            alert("Uma alteração foi recusada pelo servidor e não foi salva. Recarregue a página para ver os dados atuais.");
+        });
+    }
+    return tracked;
+};
+
+// Sem conexão o Firestore só resolve a promessa quando a gravação chega ao servidor: quem precisa do
+// resultado espera só online e, offline, avisa que a gravação ficou na fila do aparelho
+const QUEUED_OFFLINE_MESSAGE = "Sem conexão: salvo neste aparelho, será enviado quando a conexão voltar.";
+
+const useSyncStatus = (userId) => {
+    const [online, setOnline] = useState(navigator.onLine);
+    const [pending, setPending] = useState(pendingWrites.count);
+
+    useEffect(() => {
+        const handleOnline = () => setOnline(true);
+        const handleOffline = () => setOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        pendingWrites.listeners.add(setPending);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+            pendingWrites.listeners.delete(setPending);
+        };
+    }, []);
+
+    // Gravações feitas offline numa sessão anterior continuam na fila do cache depois de recarregar
+    useEffect(() => {
+        if (!userId) return;
+        trackPendingWrite(waitForPendingWrites(db)).catch(() => {});
+    }, [userId]);
+
+    return { online, pending };
+};
+
+// Lotes do Firestore aceitam até 500 operações; o app usa 450 por lote, com folga, e listas maiores são
+// gravadas em vários lotes
+const FIRESTORE_BATCH_LIMIT = 450;
+
+// Cada lote é gravado por inteiro ou não é gravado; devolve os lotes com os itens e a promessa de cada um
+const commitInChunks = (items, addToBatch, options) => {
+    const chunks = [];
+    for (let start = 0; start < items.length; start += FIRESTORE_BATCH_LIMIT) {
+        const chunkItems = items.slice(start, start + FIRESTORE_BATCH_LIMIT);
+        const batch = writeBatch(db);
+        chunkItems.forEach(item => addToBatch(batch, item));
+        chunks.push({ items: chunkItems, done: queueWrite(batch.commit(), options) });
+    }
+    return chunks;
+};
+
 // Hook customizado para gerenciar CRUD e estado
 const useFirestoreCollection = (collectionName, userId) => {
     const [items, setItems] = useState([]);
@@ -118,276 +205,2850 @@ const useFirestoreCollection = (collectionName, userId) => {
         return () => unsubscribe();
     }, [collectionName, userId, collectionPath]);
 
-    const addItem = async (data) => {
+    const addItem = (data) => {
         if (!userId) return;
-        await addDoc(collection(db, collectionPath), data);
+        queueWrite(addDoc(collection(db, collectionPath), data));
     };
 
-    const updateItem = async (id, data) => {
+    const updateItem = (id, data) => {
         if (!userId) return;
         const docRef = doc(db, collectionPath, id);
-        await updateDoc(docRef, data);
+        queueWrite(updateDoc(docRef, data));
     };
 
-    const deleteItem = async (id) => {
+    const deleteItem = (id) => {
         if (!userId) return;
         const docRef = doc(db, collectionPath, id);
-        await deleteDoc(docRef);
+        queueWrite(deleteDoc(docRef));
     };
 
     return { items, loading, addItem, updateItem, deleteItem };
 };
 
-// --- COMPONENTES PRINCIPAIS ---
-
-function PlayersManager({ players, onAddPlayer, onUpdatePlayer, onDeletePlayer }) {
-    const [isModalOpen, setIsModalOpen] = useState(false);
-    const [newPlayerName, setNewPlayerName] = useState('');
-    const [editingPlayer, setEditingPlayer] = useState(null);
-
-    const handleOpenModal = (player = null) => {
-        setEditingPlayer(player);
-        setNewPlayerName(player ? player.name : '');
-        setIsModalOpen(true);
-    };
-
-    const handleCloseModal = () => {
-        setIsModalOpen(false);
-        setNewPlayerName('');
-        setEditingPlayer(null);
-    };
+// Escuta a subcoleção de partidas de todos os campeonatos (ratings, estatísticas globais)
+const useAllChampionshipMatches = (championships, userId) => {
+    const [matchesByChampionship, setMatchesByChampionship] = useState({});
+    const championshipIds = championships.map(c => c.id).sort().join(',');
 
-    const handleSave = () => {
-        if (newPlayerName.trim() === '') return;
-        if (editingPlayer) {
-            onUpdatePlayer(editingPlayer.id, { name: newPlayerName.trim() });
-        } else {
-            onAddPlayer({ name: newPlayerName.trim() });
+    useEffect(() => {
+        if (!userId || !championshipIds) {
+            setMatchesByChampionship({});
+            return;
         }
-        handleCloseModal();
-    };
 
-    return (
-        <Card>
-            <div className="flex justify-between items-center mb-4">
-                <h2 className="text-2xl font-bold text-white flex items-center gap-2"><Users /> Jogadores</h2>
-                <Button onClick={() => handleOpenModal()}><Plus size={18} /> Adicionar Jogador</Button>
-            </div>
-            <div className="space-y-2">
-                {players.length > 0 ? (
-                    players.map(player => (
-                        <div key={player.id} className="flex justify-between items-center bg-gray-700 p-3 rounded-lg">
-                            <span className="text-white">{player.name}</span>
-                            <div className="flex gap-2">
-                                <Button variant="secondary" className="p-2 h-auto" onClick={() => handleOpenModal(player)}><Edit size={16} /></Button>
-                                <Button variant="danger" className="p-2 h-auto" onClick={() => onDeletePlayer(player.id)}><Trash2 size={16} /></Button>
-                            </div>
-                        </div>
-                    ))
-                ) : (
-                    <p className="text-gray-400">Nenhum jogador cadastrado.</p>
-                )}
-            </div>
+        const unsubscribes = championshipIds.split(',').map(championshipId => {
+            const q = query(collection(db, `artifacts/${appId}/users/${userId}/championships/${championshipId}/matches`));
+            return onSnapshot(q, (querySnapshot) => {
+                const matchesData = querySnapshot.docs.map(doc => ({ id: doc.id, championshipId, ...doc.data() }));
+                setMatchesByChampionship(prev => ({ ...prev, [championshipId]: matchesData }));
+            }, (error) => {
+                console.error(`Error fetching matches of ${championshipId}:`, error);
+            });
+        });
 
-            <Modal isOpen={isModalOpen} onClose={handleCloseModal} title={editingPlayer ? 'Editar Jogador' : 'Adicionar Jogador'}>
-                <div className="space-y-4">
-                    <Input
-                        type="text"
-                        placeholder="Nome do jogador"
-                        value={newPlayerName}
-                        onChange={(e) => setNewPlayerName(e.target.value)}
-                    />
-                    <div className="flex justify-end gap-2">
-                        <Button variant="secondary" onClick={handleCloseModal}>Cancelar</Button>
-                        <Button onClick={handleSave}><Save size={18}/> Salvar</Button>
-                    </div>
-                </div>
-            </Modal>
-        </Card>
-    );
-}
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [championshipIds, userId]);
 
-function TeamsManager({ teams, players, onAddTeam, onUpdateTeam, onDeleteTeam }) {
-    const [isModalOpen, setIsModalOpen] = useState(false);
-    const [editingTeam, setEditingTeam] = useState(null);
-    const [teamData, setTeamData] = useState({ name: '', type: 'doubles', playerIds: [] });
+    return useMemo(() => {
+        const ids = new Set(championshipIds.split(','));
+        return Object.entries(matchesByChampionship)
+            .filter(([championshipId]) => ids.has(championshipId))
+            .flatMap(([, matches]) => matches);
+    }, [matchesByChampionship, championshipIds]);
+};
 
-    const handleOpenModal = (team = null) => {
-        setEditingTeam(team);
-        if (team) {
-            setTeamData({ name: team.name, type: team.type, playerIds: team.playerIds });
-        } else {
-            setTeamData({ name: '', type: 'doubles', playerIds: [] });
+// Campeonatos de outros organizadores em que o usuário foi convidado (pelo e-mail da conta)
+const useSharedChampionships = (email, userId) => {
+    const [accessEntries, setAccessEntries] = useState([]);
+    const [championshipsById, setChampionshipsById] = useState({});
+
+    useEffect(() => {
+        if (!email) {
+            setAccessEntries([]);
+            return;
         }
-        setIsModalOpen(true);
-    };
+        const q = query(collection(db, `artifacts/${appId}/public/data/championshipAccess`), where('memberEmails', 'array-contains', email));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setAccessEntries(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(entry => entry.ownerId !== userId));
+        }, (error) => {
+            console.error("Error fetching shared championships:", error);
+        });
+        return () => unsubscribe();
+    }, [email, userId]);
 
-    const handleCloseModal = () => {
-        setIsModalOpen(false);
-        setEditingTeam(null);
-    };
+    const accessKey = accessEntries.map(entry => `${entry.ownerId}/${entry.championshipId}`).sort().join(',');
 
-    const handleSave = () => {
-        if (teamData.name.trim() === '' || teamData.playerIds.length !== 2) {
-            alert("Nome da equipe e exatamente 2 jogadores são obrigatórios.");
+    useEffect(() => {
+        if (!accessKey) {
+            setChampionshipsById({});
             return;
         }
+        const unsubscribes = accessKey.split(',').map(key => {
+            const [ownerId, championshipId] = key.split('/');
+            return onSnapshot(doc(db, `artifacts/${appId}/users/${ownerId}/championships`, championshipId), (docSnap) => {
+                setChampionshipsById(prev => ({ ...prev, [championshipId]: docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null }));
+            }, (error) => {
+                console.error(`Error fetching shared championship ${championshipId}:`, error);
+            });
+        });
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [accessKey]);
 
-        const playerNames = teamData.playerIds.map(id => players.find(p => p.id === id)?.name || '');
-        const finalData = { ...teamData, playerNames, type: 'doubles' }; // Force type to doubles
+    return useMemo(() => accessEntries
+        .filter(entry => championshipsById[entry.championshipId])
+        .map(entry => ({
+            ...championshipsById[entry.championshipId],
+            ownerId: entry.ownerId,
+            ownerEmail: entry.ownerEmail,
+            role: entry.members.find(m => m.email === email)?.role || 'viewer',
+        })), [accessEntries, championshipsById, email]);
+};
 
-        if (editingTeam) {
-            onUpdateTeam(editingTeam.id, finalData);
-        } else {
-            onAddTeam(finalData);
-        }
-        handleCloseModal();
-    };
+// --- MATA-MATA ---
 
-    const handlePlayerSelection = (playerId) => {
-        setTeamData(prev => {
-            const newPlayerIds = prev.playerIds.includes(playerId)
-                ? prev.playerIds.filter(id => id !== playerId)
-                : [...prev.playerIds, playerId];
+// Ordem dos cabeças de chave no chaveamento (1x8, 4x5, 2x7, 3x6...), para que os melhores só se cruzem no fim
+const getBracketSeedOrder = (size) => {
+    let order = [1];
+    while (order.length < size) {
+        const total = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, total - seed]);
+    }
+    return order;
+};
 
-            if (newPlayerIds.length > 2) {
-                 return { ...prev, playerIds: [newPlayerIds[newPlayerIds.length - 2], newPlayerIds[newPlayerIds.length-1]]};
-            }
-            return { ...prev, playerIds: newPlayerIds };
+const getKnockoutRoundName = (numMatches) => {
+    if (numMatches === 1) return 'Final';
+    if (numMatches === 2) return 'Semifinal';
+    if (numMatches === 4) return 'Quartas de Final';
+    if (numMatches === 8) return 'Oitavas de Final';
+    return `Rodada de ${numMatches * 2}`;
+};
+
+// Chaveamento com N participantes usa a próxima potência de 2; as vagas que sobram viram folgas (byes)
+const getBracketSize = (numParticipants) => {
+    let size = 2;
+    while (size < numParticipants) size *= 2;
+    return size;
+};
+
+const compareAcrossGroups = (a, b) => (
+    b.points - a.points
+    || b.setDifference - a.setDifference
+    || (b.pointsFor - b.pointsAgainst) - (a.pointsFor - a.pointsAgainst)
+);
+
+// Rodada em que duas vagas da 1ª rodada podem se cruzar: 1 = já na 1ª, log2(tamanho) = só na final
+const getSlotMeetingRound = (slotA, slotB) => (slotA ^ slotB).toString(2).length;
+
+// Distribui os classificados de cada faixa (2º colocados, 3º...) entre os cabeças daquela faixa, pelo
+// critério da ITTF: cada um vai para a vaga mais distante dos colegas de grupo já posicionados, de modo
+// que o 2º de um grupo fique na metade oposta à do 1º. Empates ficam com o melhor cabeça de chave.
+const placeQualifiersApart = (tiers) => {
+    const total = tiers.reduce((sum, tier) => sum + tier.length, 0);
+    const order = getBracketSeedOrder(getBracketSize(total));
+    const slotBySeed = new Map(order.map((seed, slot) => [seed, slot]));
+    const placed = [];
+    tiers.forEach((tier, tierIndex) => {
+        const freeSeeds = tier.map((_, index) => placed.length + index + 1);
+        const tierPlacement = [];
+        tier.forEach(qualifier => {
+            const groupSlots = [...placed, ...tierPlacement.filter(Boolean)]
+                .filter(other => other.groupName === qualifier.groupName)
+                .map(other => slotBySeed.get(other.seed));
+            const distance = seed => Math.min(Infinity, ...groupSlots.map(slot => getSlotMeetingRound(slot, slotBySeed.get(seed))));
+            const seed = tierIndex === 0 ? freeSeeds[0] : freeSeeds.reduce((best, candidate) => distance(candidate) > distance(best) ? candidate : best);
+            freeSeeds.splice(freeSeeds.indexOf(seed), 1);
+            tierPlacement[seed - placed.length - 1] = { ...qualifier, seed };
         });
-    };
-    
-    const getPlayerNames = (team) => {
-        return team.playerIds.map(id => players.find(p => p.id === id)?.name).filter(Boolean).join(' & ');
-    };
+        placed.push(...tierPlacement);
+    });
+    return placed.map(({ seed, ...qualifier }) => qualifier);
+};
 
-    return (
-        <Card>
-            <div className="flex justify-between items-center mb-4">
-                <h2 className="text-2xl font-bold text-white flex items-center gap-2"><Shield /> Equipes de Duplas</h2>
-                <Button onClick={() => handleOpenModal()}><Plus size={18} /> Criar Equipe</Button>
-            </div>
-            <div className="space-y-2">
-                {teams.length > 0 ? teams.map(team => (
-                    <div key={team.id} className="flex justify-between items-center bg-gray-700 p-3 rounded-lg">
-                        <div>
-                            <p className="text-white font-semibold">{team.name}</p>
-                            <p className="text-sm text-gray-400">{getPlayerNames(team)}</p>
-                        </div>
-                        <div className="flex gap-2">
-                            <Button variant="secondary" className="p-2 h-auto" onClick={() => handleOpenModal(team)}><Edit size={16} /></Button>
-                            <Button variant="danger" className="p-2 h-auto" onClick={() => onDeleteTeam(team.id)}><Trash2 size={16} /></Button>
-                        </div>
-                    </div>
-                )) : (
-                    <p className="text-gray-400">Nenhuma equipe de dupla criada.</p>
-                )}
-            </div>
+// Classificados em ordem de cabeça de chave: todos os 1º colocados (A1, B1...), depois os 2º, e assim por
+// diante, cada faixa distribuída para separar colegas de grupo. Com comparableRows, cada faixa de posição
+// é ordenada pelo desempenho em vez da ordem dos grupos.
+const getKnockoutQualifiers = (standings, numAdvancing, comparableRows = null) => {
+    const sortedStandings = [...standings].sort((a, b) => a.groupName.localeCompare(b.groupName));
+    const tiers = [];
+    for (let position = 0; position < numAdvancing; position++) {
+        const tier = sortedStandings
+            .filter(standing => standing.table[position])
+            .map(standing => ({
+                participantId: standing.table[position].participantId,
+                groupName: standing.groupName,
+                label: `${standing.groupName.replace('Grupo ', '')}${position + 1}`
+            }));
+        if (comparableRows) tier.sort((a, b) => compareAcrossGroups(comparableRows.get(a.participantId), comparableRows.get(b.participantId)));
+        if (tier.length > 0) tiers.push(tier);
+    }
+    return placeQualifiersApart(tiers);
+};
 
-            <Modal isOpen={isModalOpen} onClose={handleCloseModal} title={editingTeam ? 'Editar Equipe' : 'Criar Equipe'}>
-                <div className="space-y-4">
-                    <Input
-                        type="text"
-                        placeholder="Nome da equipe"
-                        value={teamData.name}
-                        onChange={(e) => setTeamData({ ...teamData, name: e.target.value })}
-                    />
-                    <div className="text-white">
-                        <p className="font-semibold mb-2">Selecione 2 jogadores:</p>
-                        <div className="max-h-48 overflow-y-auto space-y-2 p-2 bg-gray-900 rounded-lg">
-                            {players.map(player => (
-                                <label key={player.id} className="flex items-center gap-3 p-2 rounded-md hover:bg-gray-700 cursor-pointer">
-                                    <input
-                                        type="checkbox"
-                                        checked={teamData.playerIds.includes(player.id)}
-                                        onChange={() => handlePlayerSelection(player.id)}
-                                        className="form-checkbox h-5 w-5 bg-gray-700 border-gray-600 text-blue-500 focus:ring-blue-500 rounded"
-                                    />
-                                    {player.name}
-                                </label>
-                            ))}
-                        </div>
-                    </div>
-                    <div className="flex justify-end gap-2">
-                        <Button variant="secondary" onClick={handleCloseModal}>Cancelar</Button>
-                        <Button onClick={handleSave}><Save size={18} /> Salvar</Button>
-                    </div>
-                </div>
-            </Modal>
-        </Card>
-    );
-}
+// Rodadas da eliminatória simples com as vagas da 1ª rodada preenchidas; cabeças de chave além de N ficam vazios
+const createEliminationRounds = (seedIds, createId) => {
+    const size = getBracketSize(seedIds.length);
+    const order = getBracketSeedOrder(size);
+    const rounds = [];
+    for (let numMatches = size / 2; numMatches >= 1; numMatches /= 2) {
+        rounds.push({
+            name: getKnockoutRoundName(numMatches),
+            matchIds: Array.from({ length: numMatches }, () => createId())
+        });
+    }
 
-function ChampionshipsManager({ championships, teams, players, onAddChampionship, onDeleteChampionship, onSelectChampionship }) {
-    const [isModalOpen, setIsModalOpen] = useState(false);
-    const [champData, setChampData] = useState({ name: '', year: new Date().getFullYear(), participantType: 'player', participantIds: [] });
+    const matches = rounds.flatMap((round, roundIndex) => round.matchIds.map((id, position) => {
+        const nextRound = rounds[roundIndex + 1];
+        return {
+            id,
+            stage: 'knockout',
+            round: roundIndex,
+            roundName: round.name,
+            position,
+            homeParticipantId: roundIndex === 0 ? seedIds[order[position * 2] - 1] || null : null,
+            awayParticipantId: roundIndex === 0 ? seedIds[order[position * 2 + 1] - 1] || null : null,
+            nextMatchId: nextRound ? nextRound.matchIds[Math.floor(position / 2)] : null,
+            nextSlot: position % 2 === 0 ? 'home' : 'away',
+            homeSets: null,
+            awaySets: null,
+            status: 'pending'
+        };
+    }));
 
-    const handleOpenModal = () => {
-        setChampData({ name: '', year: new Date().getFullYear(), participantType: 'player', participantIds: [] });
-        setIsModalOpen(true);
-    };
+    return { rounds, matches, size };
+};
 
-    const handleCloseModal = () => setIsModalOpen(false);
+// Resolve as folgas na montagem, em ordem de disputa. Uma partida com só um lado possível vira 'bye':
+// se o participante já é conhecido, ele avança direto; se o lado vem de outra partida, essa partida passa
+// a alimentar o destino seguinte (na chave dos perdedores isso pula rodadas inteiras). Sem lado possível,
+// a partida não acontece. Partidas 'bye' não têm perdedor nem ligações com outras partidas.
+const resolveBracketByes = (matches) => {
+    const matchMap = new Map(matches.map(m => [m.id, { ...m }]));
+    const ordered = [...matchMap.values()].sort((a, b) => a.round - b.round || a.position - b.position);
+    const feeders = new Map();
+    const linkKey = (matchId, slot) => `${matchId}:${slot}`;
+    ordered.forEach(m => {
+        if (m.nextMatchId) feeders.set(linkKey(m.nextMatchId, m.nextSlot), { matchId: m.id, link: 'next' });
+        if (m.loserNextMatchId) feeders.set(linkKey(m.loserNextMatchId, m.loserNextSlot), { matchId: m.id, link: 'loserNext' });
+    });
 
-    const handleSave = () => {
-        if (champData.name.trim() === '' || champData.participantIds.length < 2) {
-            alert("Nome do campeonato e ao menos 2 participantes são obrigatórios.");
-            return;
+    ordered.forEach(match => {
+        const sides = ['home', 'away']
+            .map(side => ({ participantId: match[`${side}ParticipantId`], feeder: feeders.get(linkKey(match.id, side)) }))
+            .filter(({ participantId, feeder }) => participantId || feeder);
+        if (sides.length === 2) return;
+
+        [[match.nextMatchId, match.nextSlot], [match.loserNextMatchId, match.loserNextSlot]]
+            .forEach(([targetId, targetSlot]) => targetId && feeders.delete(linkKey(targetId, targetSlot)));
+        const [side] = sides;
+        if (side?.participantId && match.nextMatchId) {
+            matchMap.get(match.nextMatchId)[`${match.nextSlot}ParticipantId`] = side.participantId;
+        } else if (side?.feeder && match.nextMatchId) {
+            const feederMatch = matchMap.get(side.feeder.matchId);
+            feederMatch[`${side.feeder.link}MatchId`] = match.nextMatchId;
+            feederMatch[`${side.feeder.link}Slot`] = match.nextSlot;
+            feeders.set(linkKey(match.nextMatchId, match.nextSlot), side.feeder);
         }
+        Object.assign(match, {
+            status: 'bye',
+            winnerId: side?.participantId || null,
+            nextMatchId: null,
+            nextSlot: null,
+            loserNextMatchId: null,
+            loserNextSlot: null,
+        });
+    });
+    return matches.map(m => matchMap.get(m.id));
+};
 
-        const initialConfig = {
-            format: 'groups_then_knockout',
-            groupStage: {
-                generated: false,
-                numGroups: 1,
-                numAdvancing: 2,
-                matchFormat: 'single'
-            },
-            matchSettings: {
-                sets: 3
-            },
-            knockoutStage: {
-                generated: false,
-                rounds: []
-            }
+const isByeMatch = (match) => match.status === 'bye';
+
+// Monta todas as rodadas do chaveamento; cada partida sabe para onde o vencedor avança
+const buildKnockoutBracket = (seedIds, createId) => {
+    const { rounds, matches } = createEliminationRounds(seedIds, createId);
+    return { rounds, matches: resolveBracketByes(matches) };
+};
+
+// Eliminatória dupla: quem perde na chave dos vencedores cai na dos perdedores e só sai na segunda derrota.
+// A chave de baixo alterna rodadas de entrada (quem vem de baixo x quem caiu de cima, em ordem invertida
+// para adiar revanches) e rodadas internas. Na grande final o campeão da chave de cima joga como mandante;
+// se perder, os dois ficam com uma derrota e a partida de desempate (resetMatchId) decide o título.
+// Com menos de 4 participantes não há chave dos perdedores: devolve só o erro.
+const buildDoubleEliminationBracket = (seedIds, createId) => {
+    if (seedIds.length < 4) return { error: 'A eliminatória dupla precisa de ao menos 4 participantes.' };
+    const winners = createEliminationRounds(seedIds, createId);
+    const winnersRounds = winners.rounds.map(round => ({ ...round, name: `Vencedores · ${round.name}`, bracket: 'winners' }));
+
+    const losersRounds = [];
+    let numMatches = winners.size / 4;
+    for (let number = 1; number <= 2 * (winnersRounds.length - 1); number++) {
+        losersRounds.push({ name: `Perdedores · Rodada ${number}`, bracket: 'losers', matchIds: Array.from({ length: numMatches }, () => createId()) });
+        if (number % 2 === 0) numMatches /= 2;
+    }
+    const finalRound = { name: 'Grande Final', bracket: 'final', matchIds: [createId()] };
+    const finalId = finalRound.matchIds[0];
+    const resetRound = { name: 'Grande Final · Desempate', bracket: 'final', matchIds: [createId()] };
+
+    // Ordem de disputa: cada rodada de baixo entra logo depois da rodada de cima que a alimenta
+    const rounds = [];
+    winnersRounds.forEach((round, index) => {
+        rounds.push(round);
+        if (index >= 1) rounds.push(losersRounds[2 * index - 2], losersRounds[2 * index - 1]);
+    });
+    rounds.push(finalRound, resetRound);
+    const roundIndexOf = new Map(rounds.flatMap((round, index) => round.matchIds.map(id => [id, index])));
+    const emptyMatch = { stage: 'knockout', homeParticipantId: null, awayParticipantId: null, homeSets: null, awaySets: null, status: 'pending' };
+
+    const winnersMatches = winners.matches.map(match => {
+        const isFinal = match.round === winnersRounds.length - 1;
+        const loserRound = match.round === 0 ? losersRounds[0] : losersRounds[2 * match.round - 1];
+        const loserPosition = match.round === 0 ? Math.floor(match.position / 2) : loserRound.matchIds.length - 1 - match.position;
+        return {
+            ...match,
+            round: roundIndexOf.get(match.id),
+            roundName: winnersRounds[match.round].name,
+            bracket: 'winners',
+            nextMatchId: isFinal ? finalId : match.nextMatchId,
+            nextSlot: isFinal ? 'home' : match.nextSlot,
+            loserNextMatchId: loserRound.matchIds[loserPosition],
+            loserNextSlot: match.round === 0 && match.position % 2 === 0 ? 'home' : 'away',
         };
+    });
 
-        const finalData = {
-            name: champData.name,
-            year: parseInt(champData.year, 10) || new Date().getFullYear(),
-            participantType: champData.participantType,
-            participantIds: champData.participantIds,
-            config: initialConfig,
-            groups: [],
-            standings: [],
+    const losersMatches = losersRounds.flatMap((round, index) => round.matchIds.map((id, position) => {
+        const nextRound = losersRounds[index + 1];
+        // Quando a próxima rodada tem metade das partidas, dois vencedores se cruzam; senão o vencedor
+        // vai como mandante enfrentar quem cai da chave de cima
+        const halves = nextRound && nextRound.matchIds.length < round.matchIds.length;
+        return {
+            ...emptyMatch,
+            id,
+            round: roundIndexOf.get(id),
+            roundName: round.name,
+            bracket: 'losers',
+            position,
+            nextMatchId: nextRound ? nextRound.matchIds[halves ? Math.floor(position / 2) : position] : finalId,
+            nextSlot: !nextRound ? 'away' : halves && position % 2 === 1 ? 'away' : 'home',
         };
-        onAddChampionship(finalData);
-        handleCloseModal();
-    };
+    }));
 
-    const handleParticipantSelection = (participantId) => {
-        setChampData(prev => ({
-            ...prev,
-            participantIds: prev.participantIds.includes(participantId)
-                ? prev.participantIds.filter(id => id !== participantId)
-                : [...prev.participantIds, participantId]
-        }));
-    };
-    
-    const availableParticipants = champData.participantType === 'player' ? players : teams;
+    const finalMatch = { ...emptyMatch, id: finalId, round: rounds.length - 2, roundName: finalRound.name, bracket: 'final', position: 0, nextMatchId: null, nextSlot: null, resetMatchId: resetRound.matchIds[0] };
+    // O desempate não tem ligações comuns (só recebe os finalistas se o visitante vencer), por isso fica fora das folgas
+    const resetMatch = { ...emptyMatch, id: resetRound.matchIds[0], round: rounds.length - 1, roundName: resetRound.name, bracket: 'final', position: 0, nextMatchId: null, nextSlot: null, resetOf: finalId };
+    return { rounds, matches: [...resolveBracketByes([...winnersMatches, ...losersMatches, finalMatch]), resetMatch] };
+};
 
-    return (
-        <Card>
-            <div className="flex justify-between items-center mb-4">
-                <h2 className="text-2xl font-bold text-white flex items-center gap-2"><Trophy /> Campeonatos</h2>
-                <Button onClick={handleOpenModal}><Plus size={18} /> Novo Campeonato</Button>
-            </div>
-            <div className="space-y-2">
-                {championships.length > 0 ? championships.map(c => (
-                    <div key={c.id} className="flex justify-between items-center bg-gray-700 p-3 rounded-lg">
-                        <div>
+// Desempate da grande final só é disputado quando o campeão da chave dos perdedores (visitante) vence a final
+const isGrandFinalResetNeeded = (finalMatch) => {
+    const winnerId = getMatchWinnerId(finalMatch);
+    return !!winnerId && winnerId === finalMatch.awayParticipantId;
+};
+
+// Desempate que não vai acontecer: a grande final já terminou com vitória do mandante
+const isSkippedGrandFinalReset = (match, matchMap) => {
+    const finalMatch = match?.resetOf && matchMap.get(match.resetOf);
+    return !!finalMatch && !!getMatchWinnerId(finalMatch) && !isGrandFinalResetNeeded(finalMatch);
+};
+
+// Campeão do chaveamento: vencedor da última partida, ou da grande final quando o desempate não foi necessário
+const getBracketChampionId = (rounds, matchMap) => {
+    const lastMatch = matchMap.get(rounds[rounds.length - 1]?.matchIds[0]);
+    if (!lastMatch) return null;
+    return getMatchWinnerId(isSkippedGrandFinalReset(lastMatch, matchMap) ? matchMap.get(lastMatch.resetOf) : lastMatch);
+};
+
+const getMatchWinnerId = (match) => {
+    if (match.status !== 'completed') return null;
+    if (match.winnerId) return match.winnerId;
+    if (match.homeSets > match.awaySets) return match.homeParticipantId;
+    if (match.awaySets > match.homeSets) return match.awayParticipantId;
+    return null;
+};
+
+// --- PLACAR ---
+
+// Um set termina em 11 pontos com 2 de vantagem; a partir de 10x10 segue até alguém abrir 2 pontos
+const validateSetScore = (home, away) => {
+    if (!Number.isInteger(home) || !Number.isInteger(away) || home < 0 || away < 0) return 'pontuação inválida';
+    const winnerPoints = Math.max(home, away);
+    const loserPoints = Math.min(home, away);
+    if (winnerPoints < 11) return 'o vencedor precisa de ao menos 11 pontos';
+    if (winnerPoints - loserPoints < 2) return 'é preciso vencer por 2 pontos de diferença';
+    if (winnerPoints > 11 && winnerPoints - loserPoints !== 2) return 'após 10x10 o set termina com exatamente 2 pontos de diferença';
+    return null;
+};
+
+// Set interrompido (ex.: desistência em 7x5): ainda poderia continuar pelas regras
+const isSetInProgress = (home, away) => {
+    if (!Number.isInteger(home) || !Number.isInteger(away) || home < 0 || away < 0) return false;
+    return Math.max(home, away) < 11 || (Math.min(home, away) >= 10 && Math.abs(home - away) < 2);
+};
+
+// Converte as linhas digitadas no modal em sets numéricos, ignorando as linhas vazias do final
+const parseSetInputs = (setInputs) => {
+    const lastFilled = setInputs.map(s => s.home !== '' || s.away !== '').lastIndexOf(true);
+    const sets = [];
+    for (let i = 0; i <= lastFilled; i++) {
+        const { home, away } = setInputs[i];
+        if (home === '' || away === '') return { sets, error: `Preencha os dois lados do ${i + 1}º set.` };
+        sets.push({ home: parseInt(home, 10), away: parseInt(away, 10) });
+    }
+    return { sets, error: null };
+};
+
+// Valida os sets contra a regra de melhor de N e deriva o placar em sets.
+// Com allowUnfinishedLast, o último set pode ter sido interrompido (desistência) e não conta para ninguém.
+const evaluateMatchSets = (sets, bestOf, { allowUnfinishedLast = false } = {}) => {
+    const setsToWin = Math.ceil(bestOf / 2);
+    let homeSets = 0;
+    let awaySets = 0;
+    for (let i = 0; i < sets.length; i++) {
+        if (homeSets === setsToWin || awaySets === setsToWin) {
+            return { homeSets, awaySets, decided: true, error: `O ${i + 1}º set foi lançado depois de a partida estar decidida.` };
+        }
+        const setError = validateSetScore(sets[i].home, sets[i].away);
+        if (setError && allowUnfinishedLast && i === sets.length - 1 && isSetInProgress(sets[i].home, sets[i].away)) break;
+        if (setError) return { homeSets, awaySets, decided: false, error: `${i + 1}º set: ${setError}.` };
+        if (sets[i].home > sets[i].away) homeSets += 1;
+        else awaySets += 1;
+    }
+    return { homeSets, awaySets, decided: homeSets === setsToWin || awaySets === setsToWin, error: null };
+};
+
+const formatSetScores = (sets) => (sets || []).map(s => `${s.home}-${s.away}`).join(', ');
+
+const MATCH_OUTCOME_LABELS = {
+    normal: 'Resultado normal',
+    walkover: 'W.O. (ausência)',
+    retired: 'Desistência durante a partida',
+    disqualified: 'Desclassificação',
+};
+
+const MATCH_OUTCOME_BADGES = { walkover: 'W.O.', retired: 'Desist.', disqualified: 'Desq.' };
+
+// Sem sets disputados: o placar não deve contaminar as estatísticas de sets
+const isNoPlayOutcome = (outcome) => outcome === 'walkover' || outcome === 'disqualified';
+
+// Monta os dados de uma partida encerrada; affectedSide é quem faltou, desistiu ou foi desclassificado
+const buildMatchResult = (match, { outcome = 'normal', affectedSide = 'home', sets = [] }, bestOf) => {
+    const winnerSide = affectedSide === 'home' ? 'away' : 'home';
+    if (isNoPlayOutcome(outcome)) {
+        return {
+            data: {
+                outcome, sets: [], homeSets: null, awaySets: null,
+                winnerId: match[`${winnerSide}ParticipantId`], status: 'completed'
+            }
+        };
+    }
+
+    const evaluation = evaluateMatchSets(sets, bestOf, { allowUnfinishedLast: outcome === 'retired' });
+    if (evaluation.error) return { error: evaluation.error };
+    const { homeSets, awaySets, decided } = evaluation;
+
+    if (outcome === 'retired') {
+        if (decided) return { error: 'A partida já estava decidida nos sets: lance como resultado normal.' };
+        return {
+            data: {
+                outcome, sets, homeSets, awaySets,
+                winnerId: match[`${winnerSide}ParticipantId`], status: 'completed'
+            }
+        };
+    }
+
+    if (!decided) return { error: `A partida é melhor de ${bestOf}: alguém precisa vencer ${Math.ceil(bestOf / 2)} sets.` };
+    return {
+        data: {
+            outcome, sets, homeSets, awaySets,
+            winnerId: homeSets > awaySets ? match.homeParticipantId : match.awayParticipantId,
+            status: 'completed'
+        }
+    };
+};
+
+// --- PLACAR AO VIVO ---
+
+const EXPEDITE_AFTER_MS = 10 * 60000;
+
+const otherSide = (side) => (side === 'home' ? 'away' : 'home');
+
+const createLiveState = (firstServer, homeStartsLeft) => ({
+    firstServer,
+    homeStartsLeft,
+    rallies: [],
+    rallyTimes: [],
+    timeouts: { home: false, away: false },
+    expediteAtRally: null,
+    startedAt: new Date().toISOString(),
+});
+
+// Reconstrói o placar a partir da lista de pontos (o que também torna o "desfazer" trivial).
+// Saque: troca a cada 2 pontos e a cada ponto a partir de 10x10; quem sacou primeiro num game recebe primeiro no seguinte.
+// Com a regra de aceleração o saque alterna a cada ponto até o fim da partida, começando por quem recebeu o ponto anterior.
+// Troca de lado: a cada game e, no game decisivo, quando alguém chega a 5 pontos.
+// O game atual começa quando a partida começou ou no horário do ponto que fechou o game anterior
+// (placares antigos, sem horário por ponto, usam o gameStartedAt gravado).
+const replayLiveMatch = (live, bestOf) => {
+    const setsToWin = Math.ceil(bestOf / 2);
+    const expediteAt = live.expediteAtRally ?? null;
+    const sets = [];
+    const servers = [];
+    let current = { home: 0, away: 0 };
+    let gameFirstServer = live.firstServer;
+    let gameStartIndex = 0;
+    let switchedSides = false;
+    let decidingGameSwitched = false;
+
+    const serverFor = (index) => {
+        const total = current.home + current.away;
+        if (expediteAt !== null && index >= expediteAt) {
+            if (gameStartIndex >= expediteAt) return total % 2 === 0 ? gameFirstServer : otherSide(gameFirstServer);
+            const firstExpediteServer = expediteAt > 0 ? otherSide(servers[expediteAt - 1]) : gameFirstServer;
+            return (index - expediteAt) % 2 === 0 ? firstExpediteServer : otherSide(firstExpediteServer);
+        }
+        const turn = total >= 20 ? total % 2 : Math.floor(total / 2) % 2;
+        return turn === 0 ? gameFirstServer : otherSide(gameFirstServer);
+    };
+
+    live.rallies.forEach((winner, index) => {
+        servers.push(serverFor(index));
+        current = { ...current, [winner]: current[winner] + 1 };
+        switchedSides = false;
+        if (sets.length === bestOf - 1 && !decidingGameSwitched && Math.max(current.home, current.away) === 5) {
+            decidingGameSwitched = true;
+            switchedSides = true;
+        }
+        if (!validateSetScore(current.home, current.away)) {
+            sets.push(current);
+            current = { home: 0, away: 0 };
+            gameFirstServer = otherSide(gameFirstServer);
+            gameStartIndex = index + 1;
+            switchedSides = true;
+        }
+    });
+
+    const homeSets = sets.filter(set => set.home > set.away).length;
+    const awaySets = sets.length - homeSets;
+    const decided = homeSets === setsToWin || awaySets === setsToWin;
+    const homeOnLeft = (live.homeStartsLeft !== false) !== ((sets.length % 2 === 1) !== decidingGameSwitched);
+    const gameStartedAt = gameStartIndex === 0 ? live.startedAt : live.rallyTimes?.[gameStartIndex - 1];
+    return {
+        sets, current, homeSets, awaySets, decided, switchedSides, homeOnLeft,
+        server: decided ? null : serverFor(live.rallies.length),
+        gameStartIndex,
+        gameStartedAt: gameStartedAt || live.gameStartedAt || null,
+    };
+};
+
+// --- CORREÇÃO DE RESULTADOS ---
+
+const EMPTY_MATCH_RESULT = { status: 'pending', outcome: null, sets: [], homeSets: null, awaySets: null, winnerId: null, tie: null };
+
+// Ao corrigir ou reabrir um resultado, o vencedor antigo precisa sair das rodadas seguintes (e, na
+// eliminatória dupla, o perdedor antigo sai da chave dos perdedores). Partidas seguintes já encerradas
+// voltam a pendentes e a correção continua descendo pelo chaveamento.
+const getKnockoutCascadeUpdates = (matches, match, newWinnerId, getName) => {
+    const matchMap = new Map(matches.map(m => [m.id, m]));
+    const updates = [];
+    const queue = [{ source: match, winnerId: newWinnerId }];
+    while (queue.length > 0) {
+        const { source, winnerId } = queue.shift();
+        const loserId = winnerId ? (winnerId === source.homeParticipantId ? source.awayParticipantId : source.homeParticipantId) : null;
+        // A grande final manda os dois finalistas para o desempate só se o visitante vencer; senão o desempate fica vazio
+        const resetNeeded = source.resetMatchId && winnerId && winnerId === source.awayParticipantId;
+        const targets = source.resetMatchId
+            ? [[source.resetMatchId, 'home', resetNeeded ? source.homeParticipantId : null], [source.resetMatchId, 'away', resetNeeded ? source.awayParticipantId : null]]
+            : [[source.nextMatchId, source.nextSlot, winnerId], [source.loserNextMatchId, source.loserNextSlot, loserId]];
+        targets.forEach(([targetId, slot, participantId]) => {
+            const target = targetId && matchMap.get(targetId);
+            if (!target || target[`${slot}ParticipantId`] === participantId) return;
+
+            const data = {
+                [`${slot}ParticipantId`]: participantId,
+                [`${slot}ParticipantName`]: participantId ? getName(participantId) : null,
+            };
+            const resetsResult = target.status === 'completed';
+            updates.push({ id: target.id, data: resetsResult ? { ...data, ...EMPTY_MATCH_RESULT } : data, resetsResult, before: target });
+            matchMap.set(target.id, { ...target, ...data, ...(resetsResult ? EMPTY_MATCH_RESULT : {}) });
+            if (resetsResult) queue.push({ source: matchMap.get(target.id), winnerId: null });
+        });
+    }
+    return updates;
+};
+
+const BRACKET_LINK_FIELDS = ['homeParticipantId', 'awayParticipantId', 'status', 'winnerId', 'nextMatchId', 'nextSlot', 'loserNextMatchId', 'loserNextSlot'];
+
+// Desistência no mata-mata: toda partida pendente do desistente com adversário definido vira W.O. e o
+// vencedor segue. Na eliminatória dupla o desistente não cai na chave dos perdedores: a ligação para lá é
+// cortada e a partida que o esperava vira folga, como na montagem do chaveamento. Devolve uma atualização
+// por partida (walkover: true nas que viraram W.O.) e as partidas em que ele ainda espera adversário.
+const getKnockoutWithdrawalUpdates = (matches, participantId, getName) => {
+    let current = matches.filter(m => m.stage === 'knockout');
+    const entries = new Map();
+    const apply = (id, data) => {
+        const match = current.find(m => m.id === id);
+        const entry = entries.get(id) || { match, data: {}, walkoverBefore: null };
+        entries.set(id, { ...entry, data: { ...entry.data, ...data } });
+        current = current.map(m => (m.id === id ? { ...m, ...data } : m));
+    };
+    const findWalkover = () => current.find(m => m.status === 'pending' && m.homeParticipantId && m.awayParticipantId
+        && [m.homeParticipantId, m.awayParticipantId].includes(participantId));
+    // O desempate da grande final não tem ligações comuns e fica fora da resolução de folgas
+    const resolveByes = () => resolveBracketByes(current.filter(m => !m.resetOf)).forEach(resolved => {
+        const before = current.find(m => m.id === resolved.id);
+        const changed = BRACKET_LINK_FIELDS.filter(field => (resolved[field] ?? null) !== (before[field] ?? null));
+        if (changed.length === 0) return;
+        apply(resolved.id, Object.fromEntries(changed.flatMap(field => {
+            const value = resolved[field] ?? null;
+            const side = field.match(/^(home|away)ParticipantId$/)?.[1];
+            return side ? [[field, value], [`${side}ParticipantName`, value ? getName(value) : null]] : [[field, value]];
+        })));
+    });
+
+    for (let match = findWalkover(); match; match = findWalkover()) {
+        const { data: result } = buildMatchResult(match, { outcome: 'walkover', affectedSide: match.homeParticipantId === participantId ? 'home' : 'away' });
+        const data = { ...result, ...(match.loserNextMatchId && { loserNextMatchId: null, loserNextSlot: null }) };
+        const cascade = getKnockoutCascadeUpdates(current, { ...match, ...data }, data.winnerId, getName);
+        cascade.forEach(update => apply(update.id, update.data));
+        entries.set(match.id, { ...(entries.get(match.id) || { match, data: {} }), walkoverBefore: match });
+        apply(match.id, data);
+        resolveByes();
+    }
+
+    return {
+        updates: [...entries.entries()].map(([id, { match, data, walkoverBefore }]) => ({ id, data, walkover: !!walkoverBefore, before: walkoverBefore || match })),
+        waitingMatchIds: current.filter(m => m.status === 'pending' && [m.homeParticipantId, m.awayParticipantId].includes(participantId)).map(m => m.id),
+    };
+};
+
+// Correção num grupo depois de gerado o mata-mata: em cada posição de cabeça de chave que mudou, o novo
+// classificado entra no lugar do antigo (nas vagas e na folga). Só dá para fazer isso enquanto nenhum dos
+// afetados disputou ou está disputando partida do mata-mata; senão devolve blocked e o chaveamento precisa
+// ser refeito.
+const getKnockoutReseedUpdates = (matches, oldSeedIds, newSeedIds, getName) => {
+    if (oldSeedIds.length !== newSeedIds.length) return { updates: [], blocked: true };
+    const replacements = new Map(oldSeedIds.map((id, i) => [id, newSeedIds[i]]).filter(([oldId, newId]) => oldId !== newId));
+    const updates = [];
+    let blocked = false;
+    matches.filter(m => m.stage === 'knockout').forEach(match => {
+        const sides = ['home', 'away'].filter(side => replacements.has(match[`${side}ParticipantId`]));
+        const replacesByeWinner = isByeMatch(match) && replacements.has(match.winnerId);
+        if (sides.length === 0 && !replacesByeWinner) return;
+        if (match.status === 'completed' || match.live) {
+            blocked = true;
+            return;
+        }
+        const data = Object.fromEntries(sides.flatMap(side => {
+            const participantId = replacements.get(match[`${side}ParticipantId`]);
+            return [[`${side}ParticipantId`, participantId], [`${side}ParticipantName`, getName(participantId)]];
+        }));
+        if (replacesByeWinner) data.winnerId = replacements.get(match.winnerId);
+        updates.push({ id: match.id, data });
+    });
+    return blocked ? { updates: [], blocked } : { updates, blocked };
+};
+
+const pickMatchResult = (match) => ({
+    status: match.status,
+    outcome: match.outcome || null,
+    sets: match.sets || [],
+    homeSets: match.homeSets ?? null,
+    awaySets: match.awaySets ?? null,
+    winnerId: match.winnerId || null,
+    ...(match.tie && { tie: match.tie }),
+});
+
+const MATCH_HISTORY_LABELS = {
+    result: 'Resultado lançado',
+    edit: 'Resultado corrigido',
+    reopen: 'Partida reaberta',
+    reset: 'Reaberta por correção em partida anterior',
+    annul: 'Anulada por desistência',
+    withdrawal: 'W.O. por desistência',
+    regenerate: 'Anulada ao regenerar o grupo',
+};
+
+const describeMatchResult = (result) => {
+    if (result?.status === 'annulled') return 'anulada';
+    if (!result || result.status !== 'completed') return 'pendente';
+    const badge = MATCH_OUTCOME_BADGES[result.outcome];
+    const score = isNoPlayOutcome(result.outcome) ? '' : `${result.homeSets} x ${result.awaySets}`;
+    return [score, badge, result.sets?.length ? `(${formatSetScores(result.sets)})` : ''].filter(Boolean).join(' ');
+};
+
+// --- CLASSIFICAÇÃO ---
+
+const DEFAULT_SCORING = { win: 2, loss: 1, walkover: 2, noShow: 0, disqualified: 0 };
+
+// O sorteio ('drawLot') não entra na lista: é sempre o último critério
+const DEFAULT_TIEBREAKERS = ['headToHead', 'setRatio', 'pointsRatio'];
+
+const TIEBREAKER_LABELS = {
+    headToHead: 'Confronto direto entre os empatados',
+    setRatio: 'Razão de sets entre os empatados (vencidos / perdidos)',
+    pointsRatio: 'Razão de pontos entre os empatados (ganhos / perdidos)',
+    setDifference: 'Saldo de sets',
+    setsFor: 'Sets vencidos',
+    wins: 'Número de vitórias',
+};
+
+const getScoringConfig = (config) => ({ ...DEFAULT_SCORING, ...config.scoring });
+
+const getTiebreakers = (config) => config.tiebreakers || DEFAULT_TIEBREAKERS;
+
+const createStandingsRow = (participantId) => ({
+    participantId,
+    played: 0, wins: 0, losses: 0,
+    setsFor: 0, setsAgainst: 0, setDifference: 0,
+    pointsFor: 0, pointsAgainst: 0, points: 0,
+});
+
+const ratio = (won, lost) => {
+    if (lost === 0) return won > 0 ? Infinity : 0;
+    return won / lost;
+};
+
+// Hash FNV-1a: o "sorteio" de desempate é determinístico para o mesmo campeonato
+const drawLotValue = (seed, participantId) => {
+    let hash = 2166136261;
+    const text = `${seed}:${participantId}`;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+const getStandingsPoints = (match, isWinner, scoring) => {
+    const outcome = match.outcome || 'normal';
+    if (isWinner) return isNoPlayOutcome(outcome) ? scoring.walkover : scoring.win;
+    if (outcome === 'walkover') return scoring.noShow;
+    if (outcome === 'disqualified') return scoring.disqualified;
+    return scoring.loss;
+};
+
+const addMatchToStandings = (rowsById, match, scoring) => {
+    const winnerId = getMatchWinnerId(match);
+    const countsSets = !isNoPlayOutcome(match.outcome);
+    const sides = [
+        { row: rowsById.get(match.homeParticipantId), setsFor: match.homeSets, setsAgainst: match.awaySets, side: 'home' },
+        { row: rowsById.get(match.awayParticipantId), setsFor: match.awaySets, setsAgainst: match.homeSets, side: 'away' },
+    ];
+    sides.forEach(({ row, setsFor, setsAgainst, side }) => {
+        if (!row) return;
+        const other = side === 'home' ? 'away' : 'home';
+        row.played += 1;
+        if (countsSets) {
+            row.setsFor += setsFor;
+            row.setsAgainst += setsAgainst;
+            getMatchSetList(match).forEach(set => {
+                row.pointsFor += set[side];
+                row.pointsAgainst += set[other];
+            });
+        }
+        const isWinner = winnerId !== null && winnerId === row.participantId;
+        if (isWinner) row.wins += 1;
+        else row.losses += 1;
+        row.points += getStandingsPoints(match, isWinner, scoring);
+    });
+};
+
+// Linhas da classificação considerando apenas as partidas entre os participantes empatados
+const getHeadToHeadRows = (block, matches, scoring) => {
+    const ids = new Set(block.map(row => row.participantId));
+    const rowsById = new Map(block.map(row => [row.participantId, createStandingsRow(row.participantId)]));
+    matches
+        .filter(m => ids.has(m.homeParticipantId) && ids.has(m.awayParticipantId))
+        .forEach(m => addMatchToStandings(rowsById, m, scoring));
+    return rowsById;
+};
+
+// Confronto direto e razões de sets/pontos contam só as partidas entre os empatados (regulamento da ITTF)
+const getTiebreakValues = (criterion, block, context) => {
+    if (['headToHead', 'setRatio', 'pointsRatio'].includes(criterion)) {
+        const headToHead = getHeadToHeadRows(block, context.matches, context.scoring);
+        return block.map(row => {
+            const subsetRow = headToHead.get(row.participantId);
+            if (criterion === 'setRatio') return ratio(subsetRow.setsFor, subsetRow.setsAgainst);
+            if (criterion === 'pointsRatio') return ratio(subsetRow.pointsFor, subsetRow.pointsAgainst);
+            return subsetRow.points;
+        });
+    }
+    if (criterion === 'drawLot') return block.map(row => drawLotValue(context.drawSeed, row.participantId));
+    return block.map(row => row[criterion]);
+};
+
+// Desempata um bloco aplicando os critérios em ordem; quando um critério separa parte do bloco,
+// os subgrupos ainda empatados recomeçam pela lista completa (como no regulamento da ITTF)
+const rankTiedBlock = (block, criteria, context) => {
+    if (block.length <= 1 || criteria.length === 0) return block;
+    const [criterion, ...remaining] = criteria;
+    const values = getTiebreakValues(criterion, block, context);
+    const sorted = block.map((row, i) => ({ row, value: values[i] }))
+        .sort((a, b) => (b.value > a.value ? 1 : b.value < a.value ? -1 : 0));
+
+    const ranked = [];
+    let start = 0;
+    while (start < sorted.length) {
+        let end = start;
+        while (end < sorted.length && sorted[end].value === sorted[start].value) end++;
+        const subBlock = sorted.slice(start, end).map(item => item.row);
+        const nextCriteria = subBlock.length < block.length ? context.criteria : remaining;
+        ranked.push(...rankTiedBlock(subBlock, nextCriteria, context));
+        start = end;
+    }
+    return ranked;
+};
+
+const computeGroupStandings = (participantIds, groupMatches, config, drawSeed) => {
+    const scoring = getScoringConfig(config);
+    const rowsById = new Map(participantIds.map(id => [id, createStandingsRow(id)]));
+    groupMatches.forEach(match => addMatchToStandings(rowsById, match, scoring));
+
+    const rows = [...rowsById.values()];
+    rows.forEach(row => {
+        row.setDifference = row.setsFor - row.setsAgainst;
+    });
+
+    const context = { matches: groupMatches, scoring, drawSeed, criteria: [...getTiebreakers(config), 'drawLot'] };
+    return rankTiedBlock(rows, ['points', ...context.criteria], context);
+};
+
+// Classificação refeita dos grupos afetados (sem groupName, de todos); null se o campeonato não tem grupos
+const computeUpdatedStandings = (champ, updatedMatches, groupName) => {
+    const groups = groupName ? champ.groups.filter(g => g.name === groupName) : champ.groups;
+    if (groups.length === 0) return null;
+
+    const byeMatches = getChampionshipFormat(champ.config) === 'swiss' ? getSwissByeMatches(champ.config) : [];
+    const tables = new Map(groups.map(group => {
+        const groupMatches = [...updatedMatches, ...byeMatches].filter(m => m.groupName === group.name && m.status === 'completed');
+        return [group.name, computeGroupStandings(group.participantIds, groupMatches, champ.config, champ.id)];
+    }));
+
+    const newStandings = champ.standings.map(s => tables.has(s.groupName) ? { groupName: s.groupName, table: tables.get(s.groupName) } : s);
+    tables.forEach((table, name) => {
+        if (!newStandings.some(s => s.groupName === name)) newStandings.push({ groupName: name, table });
+    });
+    return newStandings;
+};
+
+// Para comparar participantes de grupos de tamanhos diferentes, os grupos maiores descartam os jogos
+// contra quem ficou abaixo do tamanho do menor grupo (os últimos colocados), como no regulamento da FIFA
+const computeComparableRows = (standings, matches, config, drawSeed) => {
+    const minSize = Math.min(...standings.map(standing => standing.table.length));
+    const rows = new Map();
+    standings.forEach(standing => {
+        const keptIds = standing.table.slice(0, minSize).map(row => row.participantId);
+        const kept = new Set(keptIds);
+        const groupMatches = matches.filter(m => m.groupName === standing.groupName && m.status === 'completed'
+            && kept.has(m.homeParticipantId) && kept.has(m.awayParticipantId));
+        computeGroupStandings(keptIds, groupMatches, config, drawSeed).forEach(row => rows.set(row.participantId, row));
+    });
+    standings.forEach(standing => standing.table.slice(minSize).forEach(row => rows.set(row.participantId, createStandingsRow(row.participantId))));
+    return rows;
+};
+
+// Classificados do mata-mata a partir da classificação gravada. Quem desistiu não se classifica: o próximo
+// da tabela herda a vaga.
+const computeKnockoutQualifiers = (championship, matches) => {
+    const withdrawn = getWithdrawnIds(championship);
+    const standings = championship.standings.map(s => ({ ...s, table: s.table.filter(row => !withdrawn.includes(row.participantId)) }));
+    const comparableRows = championship.config.groupStage.crossGroupRanking === 'normalized'
+        ? computeComparableRows(standings, matches, championship.config, championship.id)
+        : null;
+    return getKnockoutQualifiers(standings, championship.config.groupStage.numAdvancing, comparableRows);
+};
+
+// --- RATING ---
+
+const DEFAULT_RATING = 1500;
+const RATING_K_FACTOR = 32;
+
+const getExpectedScore = (rating, opponentRating) => 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+
+// Partidas em ordem cronológica; resultados antigos sem data ficam antes, na ordem dos campeonatos
+const sortMatchesChronologically = (matches, championships) => {
+    const championshipOrder = new Map(championships.map(c => [c.id, c.year || 0]));
+    return [...matches].sort((a, b) => (
+        (championshipOrder.get(a.championshipId) || 0) - (championshipOrder.get(b.championshipId) || 0)
+        || (a.completedAt || '').localeCompare(b.completedAt || '')
+    ));
+};
+
+// Recalcula o ELO de jogadores e equipes a partir de todas as partidas disputadas; os jogos de simples
+// dos confrontos entre equipes também contam para os jogadores. W.O. e desclassificação não entram: não houve jogo.
+const computeRatings = (participants, matches, championships) => {
+    const ratings = new Map(participants.map(p => [p.id, Number(p.initialRating) || DEFAULT_RATING]));
+    const history = new Map(participants.map(p => [p.id, []]));
+    const deltas = new Map();
+
+    const playedMatches = [...matches, ...getTieRubberMatches(matches)].filter(m => m.status === 'completed' && !isNoPlayOutcome(m.outcome) && getMatchWinnerId(m));
+    sortMatchesChronologically(playedMatches, championships).forEach(match => {
+        const { homeParticipantId: homeId, awayParticipantId: awayId } = match;
+        if (!ratings.has(homeId) || !ratings.has(awayId)) return;
+
+        const homeRating = ratings.get(homeId);
+        const awayRating = ratings.get(awayId);
+        const homeScore = getMatchWinnerId(match) === homeId ? 1 : 0;
+        const delta = Math.round(RATING_K_FACTOR * (homeScore - getExpectedScore(homeRating, awayRating)));
+
+        ratings.set(homeId, homeRating + delta);
+        ratings.set(awayId, awayRating - delta);
+        deltas.set(match.id, { home: delta, away: -delta });
+        history.get(homeId).push({ matchId: match.id, championshipId: match.championshipId, at: match.completedAt || null, rating: homeRating + delta, delta, opponentId: awayId });
+        history.get(awayId).push({ matchId: match.id, championshipId: match.championshipId, at: match.completedAt || null, rating: awayRating - delta, delta: -delta, opponentId: homeId });
+    });
+
+    return { ratings, history, deltas };
+};
+
+const formatRatingDelta = (delta) => (delta > 0 ? `+${delta}` : `${delta}`);
+
+// --- TABELA DE BERGER ---
+
+// Método do círculo: o primeiro participante fica fixo e os demais giram a cada rodada.
+// Com número ímpar, um participante folga por rodada. O fixo alterna mando para equilibrar casa/fora.
+const generateRoundRobinRounds = (participantIds) => {
+    const ids = participantIds.length % 2 === 0 ? [...participantIds] : [...participantIds, null];
+    const numRounds = ids.length - 1;
+    const [fixed, ...rotating] = ids;
+    let circle = rotating;
+    const rounds = [];
+
+    for (let round = 0; round < numRounds; round++) {
+        const lineup = [fixed, ...circle];
+        const pairs = [];
+        for (let i = 0; i < lineup.length / 2; i++) {
+            const first = lineup[i];
+            const second = lineup[lineup.length - 1 - i];
+            pairs.push(i === 0 && round % 2 === 1 ? [second, first] : [first, second]);
+        }
+        rounds.push(pairs.filter(([home, away]) => home !== null && away !== null));
+        circle = [circle[circle.length - 1], ...circle.slice(0, -1)];
+    }
+    return rounds;
+};
+
+// Partidas de um grupo com o número da rodada; no ida e volta, o returno repete as rodadas com mando invertido
+const generateRoundRobinFixtures = (participantIds, homeAndAway = false) => {
+    const rounds = generateRoundRobinRounds(participantIds);
+    const fixtures = rounds.flatMap((pairs, index) => pairs.map(([homeId, awayId]) => ({ round: index + 1, homeId, awayId })));
+    if (!homeAndAway) return fixtures;
+    return [
+        ...fixtures,
+        ...fixtures.map(f => ({ round: f.round + rounds.length, homeId: f.awayId, awayId: f.homeId })),
+    ];
+};
+
+// Partidas de um grupo que ainda precisam ser criadas, sem duplicar as existentes (em qualquer estado, menos
+// anuladas). Seguem a ordem da tabela de Berger e cada uma vai para a primeira rodada em que nenhum dos dois
+// joga: num grupo vazio isso reproduz a tabela de Berger; com partidas já criadas, aproveita quem folgava.
+// Partidas a mais entre os mesmos participantes são duplicadas; com quem não está mais no grupo, obsoletas.
+// Desistentes continuam no grupo, mas não ganham partidas novas.
+const planGroupFixtures = (participantIds, groupMatches, homeAndAway, withdrawnIds = []) => {
+    const members = new Set(participantIds);
+    const active = groupMatches.filter(m => !isAnnulledMatch(m));
+    const stale = active.filter(m => !members.has(m.homeParticipantId) || !members.has(m.awayParticipantId));
+    const unmatched = active.filter(m => !stale.includes(m));
+    const take = (homeId, awayId) => {
+        const index = unmatched.findIndex(m => m.homeParticipantId === homeId && m.awayParticipantId === awayId);
+        if (index === -1) return false;
+        unmatched.splice(index, 1);
+        return true;
+    };
+
+    const busyByRound = new Map();
+    const markBusy = (round, ids) => busyByRound.set(round, new Set([...(busyByRound.get(round) || []), ...ids]));
+    active.filter(m => !stale.includes(m)).forEach(m => markBusy(m.round || 0, [m.homeParticipantId, m.awayParticipantId]));
+
+    const missing = generateRoundRobinFixtures(participantIds, homeAndAway).filter(({ homeId, awayId }) => (
+        !take(homeId, awayId) && (homeAndAway || !take(awayId, homeId))
+        && !withdrawnIds.includes(homeId) && !withdrawnIds.includes(awayId)
+    ));
+    const fixtures = missing.map(({ homeId, awayId }) => {
+        let round = 1;
+        while (busyByRound.get(round)?.has(homeId) || busyByRound.get(round)?.has(awayId)) round++;
+        markBusy(round, [homeId, awayId]);
+        return { round, homeId, awayId };
+    });
+    return { fixtures, duplicates: unmatched, stale };
+};
+
+// Amistosos (partidas avulsas) não pertencem a grupo nem ao chaveamento; os antigos foram gravados como grupo 'Avulso'
+const LEGACY_FRIENDLY_GROUP = 'Avulso';
+
+const getMatchStage = (match) => (match.stage === 'group' && match.groupName === LEGACY_FRIENDLY_GROUP ? 'friendly' : match.stage);
+
+const isGroupStageMatch = (match) => getMatchStage(match) === 'group';
+
+const MATCH_STAGE_ORDER = { group: 0, knockout: 1, friendly: 2 };
+
+const compareMatchStages = (a, b) => MATCH_STAGE_ORDER[getMatchStage(a)] - MATCH_STAGE_ORDER[getMatchStage(b)];
+
+// Seções da lista de partidas: cada rodada de cada grupo (com quem folga), cada fase do mata-mata e os amistosos.
+// Folgas do chaveamento não são partidas de verdade e ficam só no desenho das chaves.
+const buildMatchSections = (matches, groups) => {
+    const sortedMatches = matches.filter(m => !isByeMatch(m)).sort((a, b) => {
+        if (getMatchStage(a) !== getMatchStage(b)) return compareMatchStages(a, b);
+        if (a.stage === 'knockout') return a.round - b.round || a.position - b.position;
+        return (a.groupName || '').localeCompare(b.groupName || '') || (a.round || 0) - (b.round || 0);
+    });
+
+    const sections = [];
+    sortedMatches.forEach(match => {
+        const stage = getMatchStage(match);
+        const key = stage === 'knockout' ? `knockout-${match.round}` : stage === 'friendly' ? 'friendly' : `${match.groupName}-${match.round || 0}`;
+        let section = sections[sections.length - 1];
+        if (!section || section.key !== key) {
+            const title = stage === 'knockout' ? match.roundName
+                : stage === 'friendly' ? 'Amistosos'
+                : match.round ? `${match.groupName} · Rodada ${match.round}` : match.groupName;
+            section = { key, title, groupName: stage === 'group' ? match.groupName : null, matches: [] };
+            sections.push(section);
+        }
+        section.matches.push(match);
+    });
+    return sections.map(section => {
+        const group = groups.find(g => g.name === section.groupName);
+        const playing = new Set(section.matches.flatMap(m => [m.homeParticipantId, m.awayParticipantId]));
+        const resting = group && section.matches[0].round ? group.participantIds.filter(id => !playing.has(id)) : [];
+        return { ...section, resting };
+    });
+};
+
+// --- FORMATOS DE DISPUTA ---
+
+// Abas de cada formato: liga e suíço usam a classificação de um grupo único; eliminatórias vão direto ao chaveamento
+const CHAMPIONSHIP_FORMATS = {
+    groups_then_knockout: { label: 'Grupos + mata-mata', tabs: ['groups', 'matches', 'schedule', 'knockout'] },
+    league: { label: 'Liga (todos contra todos)', tabs: ['groups', 'matches', 'schedule'] },
+    swiss: { label: 'Sistema suíço', tabs: ['groups', 'matches', 'schedule'] },
+    single_elimination: { label: 'Eliminatória simples', tabs: ['knockout', 'matches', 'schedule'] },
+    double_elimination: { label: 'Eliminatória dupla', tabs: ['knockout', 'matches', 'schedule'] },
+};
+
+const LEAGUE_GROUP_NAME = 'Liga';
+const SWISS_GROUP_NAME = 'Suíço';
+
+const getChampionshipFormat = (config) => config.format || 'groups_then_knockout';
+
+const isEliminationFormat = (format) => format === 'single_elimination' || format === 'double_elimination';
+
+// Rodadas suficientes para sobrar um único invicto
+const getSwissRoundCount = (numParticipants) => Math.max(1, Math.ceil(Math.log2(Math.max(numParticipants, 2))));
+
+const getSwissConfig = (config, numParticipants) => ({ numRounds: getSwissRoundCount(numParticipants), byes: [], ...config.swiss });
+
+// A folga do suíço não é uma partida gravada: entra na classificação como vitória por W.O.
+const getSwissByeMatches = (config) => (config.swiss?.byes || []).map(bye => ({
+    id: `folga-${bye.round}`,
+    stage: 'group',
+    groupName: SWISS_GROUP_NAME,
+    round: bye.round,
+    homeParticipantId: bye.participantId,
+    awayParticipantId: null,
+    status: 'completed',
+    outcome: 'walkover',
+    winnerId: bye.participantId,
+}));
+
+// Emparelha uma rodada pela classificação atual: cada um enfrenta o próximo da tabela que ainda não enfrentou,
+// retrocedendo quando a escolha gulosa trava. Na 1ª rodada, a metade de cima enfrenta a de baixo (1º x N/2+1º).
+// Com número ímpar, folga o último colocado que ainda não folgou. Sem emparelhamento possível, retorna null.
+const pairSwissRound = (rankedIds, previousMatches, previousByeIds, roundNumber) => {
+    const playedPairs = new Set(previousMatches.map(m => [m.homeParticipantId, m.awayParticipantId].sort().join(':')));
+    const havePlayed = (a, b) => playedPairs.has([a, b].sort().join(':'));
+
+    let ids = [...rankedIds];
+    let byeId = null;
+    if (ids.length % 2 === 1) {
+        byeId = [...ids].reverse().find(id => !previousByeIds.includes(id)) || ids[ids.length - 1];
+        ids = ids.filter(id => id !== byeId);
+    }
+    if (roundNumber === 1) {
+        const half = ids.length / 2;
+        ids = ids.slice(0, half).flatMap((id, i) => [id, ids[half + i]]);
+    }
+
+    const pair = (remaining) => {
+        if (remaining.length === 0) return [];
+        const [first, ...rest] = remaining;
+        for (const candidate of rest) {
+            if (havePlayed(first, candidate)) continue;
+            const others = pair(rest.filter(id => id !== candidate));
+            if (others) return [[first, candidate], ...others];
+        }
+        return null;
+    };
+
+    const pairs = pair(ids);
+    return pairs ? { pairs, byeId } : null;
+};
+
+// Liga termina quando todas as partidas acabam; o suíço, quando a última rodada prevista também acabou
+const isStandingsFormatFinished = (championship, matches) => {
+    const groupMatches = matches.filter(m => isGroupStageMatch(m) && !isAnnulledMatch(m));
+    if (groupMatches.length === 0 || groupMatches.some(m => m.status !== 'completed')) return false;
+    if (getChampionshipFormat(championship.config) !== 'swiss') return true;
+    const { numRounds } = getSwissConfig(championship.config, championship.participantIds.length);
+    return Math.max(...groupMatches.map(m => m.round || 0)) >= numRounds;
+};
+
+// --- ORDEM DE JOGO ---
+
+const DEFAULT_SCHEDULE = { tables: 2, startTime: '', matchDuration: 20, minRest: 10 };
+
+const getScheduleConfig = (config) => ({ ...DEFAULT_SCHEDULE, ...config.schedule });
+
+const formatTime = (isoString) => new Date(isoString).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+
+// Ordem de prioridade: grupos, depois mata-mata, amistosos por último; rodadas anteriores primeiro
+const compareMatchesForSchedule = (a, b) => {
+    if (getMatchStage(a) !== getMatchStage(b)) return compareMatchStages(a, b);
+    return (a.round || 0) - (b.round || 0) || (a.position || 0) - (b.position || 0) || (a.groupName || '').localeCompare(b.groupName || '');
+};
+
+// Distribui as partidas pendentes nas mesas, sempre ocupando a mesa que fica livre primeiro.
+// Ninguém joga duas partidas ao mesmo tempo, cada jogador descansa minRest minutos entre partidas
+// e uma partida do mata-mata só começa depois das partidas que definem seus participantes.
+const scheduleMatches = (matches, { tables, startTime, matchDuration, minRest }, getPlayerIds) => {
+    const durationMs = matchDuration * 60000;
+    const restMs = minRest * 60000;
+    const feeders = new Map();
+    matches.forEach(m => {
+        [m.nextMatchId, m.loserNextMatchId, m.resetMatchId].filter(Boolean).forEach(targetId => feeders.set(targetId, [...(feeders.get(targetId) || []), m]));
+    });
+
+    const tableFreeAt = Array.from({ length: tables }, () => new Date(startTime).getTime());
+    const endsAt = new Map();
+    const availableAt = new Map();
+    const remaining = matches.filter(m => m.status === 'pending').sort(compareMatchesForSchedule);
+    const assignments = [];
+
+    const canStart = (match, time) => {
+        const feedersDone = (feeders.get(match.id) || []).every(f => f.status === 'completed' || (endsAt.has(f.id) && endsAt.get(f.id) + restMs <= time));
+        return feedersDone && getPlayerIds(match).every(id => (availableAt.get(id) ?? -Infinity) <= time);
+    };
+
+    while (remaining.length > 0) {
+        const table = tableFreeAt.indexOf(Math.min(...tableFreeAt));
+        const time = tableFreeAt[table];
+        const index = remaining.findIndex(m => canStart(m, time));
+
+        if (index === -1) {
+            // Nada pode começar agora: a mesa espera até o próximo jogador ou partida ficar livre
+            const nextTimes = [...availableAt.values(), ...[...endsAt.values()].map(t => t + restMs)].filter(t => t > time);
+            if (nextTimes.length === 0) break;
+            tableFreeAt[table] = Math.min(...nextTimes);
+            continue;
+        }
+
+        const [match] = remaining.splice(index, 1);
+        getPlayerIds(match).forEach(id => availableAt.set(id, time + durationMs + restMs));
+        endsAt.set(match.id, time + durationMs);
+        tableFreeAt[table] = time + durationMs;
+        assignments.push({ id: match.id, table: table + 1, scheduledAt: new Date(time).toISOString() });
+    }
+    return assignments;
+};
+
+// --- SORTEIO DOS GRUPOS ---
+
+// Fisher-Yates: embaralhamento sem viés
+const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+const getGroupName = (index) => `Grupo ${String.fromCharCode(65 + index)}`;
+
+const DEFAULT_GROUP_SIZE = 4;
+
+// A divisão pode ser por número de grupos ou por tamanho máximo do grupo; os potes já equilibram os
+// tamanhos, então a diferença entre o maior e o menor grupo é no máximo 1
+const getGroupCount = (groupStage, numParticipants) => {
+    if (groupStage.division === 'size') {
+        const groupSize = parseInt(groupStage.groupSize, 10) || DEFAULT_GROUP_SIZE;
+        return Math.max(1, Math.ceil(numParticipants / Math.max(groupSize, 2)));
+    }
+    return Math.max(1, Math.min(parseInt(groupStage.numGroups, 10) || 1, numParticipants));
+};
+
+const getGroupSizeRange = (groupsIds) => {
+    const sizes = groupsIds.map(ids => ids.length);
+    return { min: Math.min(...sizes), max: Math.max(...sizes) };
+};
+
+const DRAW_SEEDING_LABELS = {
+    none: 'Aleatório',
+    snake: 'Cabeças de chave em serpentina',
+    pots: 'Potes (um de cada pote por grupo)',
+};
+
+const countClubConflicts = (groupIds, participantId, getClubs) => {
+    const clubs = getClubs(participantId);
+    return groupIds.filter(id => getClubs(id).some(club => clubs.includes(club))).length;
+};
+
+// Distribui os participantes em potes do tamanho do número de grupos; cada grupo recebe um de cada pote.
+// rankedIds vem na ordem do ranking (cabeças de chave primeiro) quando há seeding.
+const drawGroups = (rankedIds, numGroups, { seeding = 'none', separateClubs = false, getClubs = () => [] } = {}) => {
+    const ordered = seeding === 'none' ? shuffle(rankedIds) : rankedIds;
+    const groups = Array.from({ length: numGroups }, () => []);
+
+    for (let potIndex = 0; potIndex * numGroups < ordered.length; potIndex++) {
+        const pot = ordered.slice(potIndex * numGroups, (potIndex + 1) * numGroups);
+        // Na serpentina os potes ímpares são distribuídos de trás para frente (A→D, D→A...)
+        const groupOrder = Array.from({ length: numGroups }, (_, i) => i);
+        if (seeding === 'snake' && potIndex % 2 === 1) groupOrder.reverse();
+        const candidates = seeding === 'pots' && potIndex > 0 ? shuffle(pot) : pot;
+
+        const available = [...groupOrder];
+        candidates.forEach(participantId => {
+            let chosen = available[0];
+            if (separateClubs) {
+                chosen = available.reduce((best, groupIndex) => (
+                    countClubConflicts(groups[groupIndex], participantId, getClubs) < countClubConflicts(groups[best], participantId, getClubs) ? groupIndex : best
+                ), available[0]);
+            }
+            groups[chosen].push(participantId);
+            available.splice(available.indexOf(chosen), 1);
+        });
+    }
+    return groups;
+};
+
+const countGroupClubConflicts = (groups, getClubs) => groups.reduce((total, groupIds) => (
+    total + groupIds.reduce((sum, id, i) => sum + countClubConflicts(groupIds.slice(0, i), id, getClubs), 0)
+), 0);
+
+// --- INSCRIÇÕES ---
+
+// Partida anulada por desistência: continua na lista, mas não conta para classificação, rating ou perfil
+const isAnnulledMatch = (match) => match.status === 'annulled';
+
+const WITHDRAWAL_MODES = {
+    annul: 'Anular os resultados: o grupo é classificado como se ele não tivesse participado',
+    walkover: 'Manter os resultados já lançados e dar W.O. aos adversários nos jogos restantes',
+};
+
+const getWithdrawnIds = (championship) => (championship.withdrawals || []).map(w => w.participantId);
+
+// Desistência no grupo (regulamento da ITTF): anulando, nenhuma partida do desistente conta; mantendo os
+// resultados, só as partidas pendentes mudam, virando W.O. a favor do adversário
+const getWithdrawalMatchUpdates = (participantId, groupMatches, mode) => groupMatches
+    .filter(m => (m.homeParticipantId === participantId || m.awayParticipantId === participantId) && !isAnnulledMatch(m))
+    .filter(m => mode === 'annul' || m.status === 'pending')
+    .map(match => ({
+        match,
+        action: mode === 'annul' ? 'annul' : 'withdrawal',
+        data: mode === 'annul'
+            ? { status: 'annulled', live: null, table: null, scheduledAt: null }
+            : { ...buildMatchResult(match, { outcome: 'walkover', affectedSide: match.homeParticipantId === participantId ? 'home' : 'away' }).data, live: null },
+    }));
+
+// --- MODALIDADES E CATEGORIAS ---
+
+const PLAYER_GENDERS = { M: 'Masculino', F: 'Feminino' };
+
+// Duplas têm exatamente 2 jogadores; equipes de clube, de 2 a 5 (titulares e reservas dos confrontos)
+const TEAM_TYPES = {
+    doubles: { label: 'Dupla', minPlayers: 2, maxPlayers: 2 },
+    club: { label: 'Equipe de clube', minPlayers: 2, maxPlayers: 5 },
+};
+
+const TEAM_CATEGORIES = { open: 'Livre', male: 'Masculina', female: 'Feminina', mixed: 'Mista' };
+
+const CATEGORY_GENDERS = { male: 'M', female: 'F' };
+
+// Cadastros antigos não têm tipo nem categoria: são duplas livres
+const getTeamType = (team) => team.type || 'doubles';
+
+const getTeamCategory = (team) => team.category || 'open';
+
+// Confere a quantidade de jogadores e o gênero exigido pela categoria (dupla mista: um jogador e uma jogadora)
+const validateTeamLineup = ({ type, category }, playerIds, playersById) => {
+    const { label, minPlayers, maxPlayers } = TEAM_TYPES[type];
+    if (playerIds.length < minPlayers || playerIds.length > maxPlayers) {
+        return minPlayers === maxPlayers
+            ? `${label}: selecione exatamente ${minPlayers} jogadores.`
+            : `${label}: selecione de ${minPlayers} a ${maxPlayers} jogadores.`;
+    }
+    if (category === 'open') return null;
+
+    const members = playerIds.map(id => playersById.get(id) || { id, name: '?' });
+    const withoutGender = members.filter(p => !PLAYER_GENDERS[p.gender]);
+    if (withoutGender.length > 0) return `Informe o gênero de ${withoutGender.map(p => p.name).join(', ')} no cadastro de jogadores.`;
+    if (category === 'mixed') {
+        const men = members.filter(p => p.gender === 'M').length;
+        const women = members.length - men;
+        if (type === 'doubles' && men !== 1) return "A dupla mista tem um jogador e uma jogadora.";
+        if (men === 0 || women === 0) return "A equipe mista precisa de jogadores e jogadoras.";
+        return null;
+    }
+    return members.every(p => p.gender === CATEGORY_GENDERS[category])
+        ? null
+        : `Na categoria ${TEAM_CATEGORIES[category].toLowerCase()} todos precisam ser do gênero ${PLAYER_GENDERS[CATEGORY_GENDERS[category]].toLowerCase()}.`;
+};
+
+// Modalidade do campeonato: duplas e equipes de clube são participantes do tipo 'team'
+const CHAMPIONSHIP_MODALITIES = {
+    singles: { label: 'Individual', participantType: 'player' },
+    doubles: { label: 'Duplas', participantType: 'team' },
+    club: { label: 'Equipes de clube', participantType: 'team' },
+};
+
+const getChampionshipModality = (championship) => (championship.participantType === 'player' ? 'singles' : championship.teamType || 'doubles');
+
+// Categorias que fazem sentido em cada modalidade: no individual não há categoria mista
+const getModalityCategories = (modality) => Object.keys(TEAM_CATEGORIES).filter(category => modality !== 'singles' || category !== 'mixed');
+
+// Quem pode se inscrever: o tipo de equipe segue a modalidade e a categoria restringe o gênero (ou a categoria da equipe)
+const isEligibleParticipant = (championship, participant) => {
+    const modality = getChampionshipModality(championship);
+    const category = championship.category || 'open';
+    if (modality === 'singles') return category === 'open' || participant.gender === CATEGORY_GENDERS[category];
+    return getTeamType(participant) === modality && (category === 'open' || getTeamCategory(participant) === category);
+};
+
+// --- CONFRONTOS ENTRE EQUIPES ---
+
+// Um confronto entre equipes de clube é uma série de jogos numa ordem fixa entre as posições escaladas
+// (A, B, C pela equipe da casa; X, Y, Z pela visitante). Vence quem chegar primeiro às vitórias necessárias;
+// os jogos restantes não são disputados.
+const TIE_FORMATS = {
+    corbillon: { label: 'Corbillon (4 simples e 1 dupla)', slots: { home: ['A', 'B'], away: ['X', 'Y'] }, order: ['A-X', 'B-Y', 'doubles', 'A-Y', 'B-X'], rubbersToWin: 3 },
+    swaythling: { label: 'Swaythling (5 simples)', slots: { home: ['A', 'B', 'C'], away: ['X', 'Y', 'Z'] }, order: ['A-X', 'B-Y', 'C-Z', 'A-Y', 'B-X'], rubbersToWin: 3 },
+};
+
+const DEFAULT_TIE_FORMAT = 'corbillon';
+
+const getTieFormatKey = (config) => (TIE_FORMATS[config.tieFormat] ? config.tieFormat : DEFAULT_TIE_FORMAT);
+
+const getTieRubberLabel = (rubber) => (rubber === 'doubles' ? 'Duplas' : rubber.replace('-', ' x '));
+
+const hasDoublesRubber = (format) => format.order.includes('doubles');
+
+const createTieLineup = (format) => Object.fromEntries(['home', 'away'].map(side => [side, {
+    ...Object.fromEntries(format.slots[side].map(slot => [slot, ''])),
+    ...(hasDoublesRubber(format) && { doubles: ['', ''] }),
+}]));
+
+const getRubberPlayers = (rubber, lineup) => {
+    if (rubber === 'doubles') return { homePlayerIds: lineup.home.doubles, awayPlayerIds: lineup.away.doubles };
+    const [homeSlot, awaySlot] = rubber.split('-');
+    return { homePlayerIds: [lineup.home[homeSlot]], awayPlayerIds: [lineup.away[awaySlot]] };
+};
+
+// Cada posição com um jogador diferente; a dupla pode repetir quem joga as simples
+const validateTieLineup = (format, lineup) => {
+    for (const side of ['home', 'away']) {
+        const teamLabel = side === 'home' ? 'da casa' : 'visitante';
+        const slotIds = format.slots[side].map(slot => lineup[side][slot]);
+        const doubles = hasDoublesRubber(format) ? lineup[side].doubles : [];
+        if ([...slotIds, ...doubles].some(id => !id)) return `Complete a escalação da equipe ${teamLabel}.`;
+        if (new Set(slotIds).size < slotIds.length) return `A equipe ${teamLabel} escalou o mesmo jogador em duas posições.`;
+        if (doubles.length > 0 && doubles[0] === doubles[1]) return `A dupla da equipe ${teamLabel} precisa de dois jogadores diferentes.`;
+    }
+    return null;
+};
+
+// Avalia os jogos na ordem do formato até o confronto ser decidido; rubberSets traz os sets de cada jogo
+const evaluateTie = (format, lineup, rubberSets, bestOf) => {
+    const rubbers = [];
+    const score = { home: 0, away: 0 };
+    const isDecided = () => Math.max(score.home, score.away) === format.rubbersToWin;
+    const lastFilled = rubberSets.map(sets => sets.length > 0).lastIndexOf(true);
+    for (let i = 0; i < format.order.length; i++) {
+        const sets = rubberSets[i] || [];
+        const label = `${i + 1}º jogo (${getTieRubberLabel(format.order[i])})`;
+        if (isDecided()) {
+            if (sets.length > 0) return { rubbers, score, decided: true, error: `O ${label} foi lançado depois de o confronto estar decidido.` };
+            continue;
+        }
+        if (sets.length === 0) {
+            if (i < lastFilled) return { rubbers, score, decided: false, error: `Lance o ${label} antes dos seguintes.` };
+            break;
+        }
+        const evaluation = evaluateMatchSets(sets, bestOf);
+        if (evaluation.error) return { rubbers, score, decided: false, error: `${label}: ${evaluation.error}` };
+        if (!evaluation.decided) return { rubbers, score, decided: false, error: `${label}: alguém precisa vencer ${Math.ceil(bestOf / 2)} sets.` };
+        const winnerSide = evaluation.homeSets > evaluation.awaySets ? 'home' : 'away';
+        rubbers.push({ rubber: format.order[i], ...getRubberPlayers(format.order[i], lineup), sets, homeSets: evaluation.homeSets, awaySets: evaluation.awaySets, winnerSide });
+        score[winnerSide] += 1;
+    }
+    return { rubbers, score, decided: isDecided(), error: null };
+};
+
+// Resultado do confronto: o placar é em jogos vencidos e os jogos ficam em tie.rubbers
+const buildTieResult = (match, formatKey, lineup, rubberSets, bestOf) => {
+    const format = TIE_FORMATS[formatKey];
+    const lineupError = validateTieLineup(format, lineup);
+    if (lineupError) return { error: lineupError };
+    const { rubbers, score, decided, error } = evaluateTie(format, lineup, rubberSets, bestOf);
+    if (error) return { error };
+    if (!decided) return { error: `O confronto termina quando uma equipe vence ${format.rubbersToWin} jogos.` };
+    return {
+        data: {
+            outcome: 'normal', sets: [], homeSets: score.home, awaySets: score.away,
+            winnerId: score.home > score.away ? match.homeParticipantId : match.awayParticipantId,
+            status: 'completed',
+            tie: { format: formatKey, lineup, rubbers },
+        }
+    };
+};
+
+// Sets de todos os jogos do confronto, para a razão de pontos na classificação
+const getMatchSetList = (match) => (match.tie ? match.tie.rubbers.flatMap(r => r.sets) : match.sets || []);
+
+// Cada jogo de um confronto encerrado vira uma partida individual (simples ou duplas) para o perfil e o
+// rating dos jogadores; o confronto em si só conta para as equipes
+const getTieRubberMatches = (matches) => matches
+    .filter(m => m.status === 'completed' && m.tie)
+    .flatMap(tieMatch => tieMatch.tie.rubbers.map((rubber, index) => {
+        const isSingles = rubber.homePlayerIds.length === 1;
+        return {
+            id: `${tieMatch.id}-jogo${index + 1}`,
+            tieId: tieMatch.id,
+            championshipId: tieMatch.championshipId,
+            stage: tieMatch.stage,
+            groupName: tieMatch.groupName,
+            round: tieMatch.round,
+            roundName: tieMatch.roundName,
+            completedAt: tieMatch.completedAt,
+            status: 'completed',
+            outcome: 'normal',
+            homeParticipantId: isSingles ? rubber.homePlayerIds[0] : null,
+            awayParticipantId: isSingles ? rubber.awayPlayerIds[0] : null,
+            homePlayerIds: rubber.homePlayerIds,
+            awayPlayerIds: rubber.awayPlayerIds,
+            sets: rubber.sets,
+            homeSets: rubber.homeSets,
+            awaySets: rubber.awaySets,
+            winnerSide: rubber.winnerSide,
+            winnerId: isSingles ? rubber[`${rubber.winnerSide}PlayerIds`][0] : null,
+        };
+    }));
+
+// --- ROTAS ---
+
+// Abas do campeonato e seus trechos na URL
+const CHAMPIONSHIP_TAB_SLUGS = {
+    groups: 'grupos',
+    matches: 'partidas',
+    schedule: 'ordem-de-jogo',
+    knockout: 'mata-mata',
+    settings: 'configuracoes',
+};
+
+const getTabFromSlug = (slug) => Object.keys(CHAMPIONSHIP_TAB_SLUGS).find(tab => CHAMPIONSHIP_TAB_SLUGS[tab] === slug);
+
+// O rewrite do hosting manda qualquer caminho para o index.html; aqui o caminho vira a tela a mostrar
+const parseRoute = (pathname) => {
+    const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    if (parts[0] === 'p' && parts[1] && parts[2]) return { name: 'public', ownerId: parts[1], championshipId: parts[2] };
+    if (parts[0] === 'ranking') return parts[1] ? { name: 'participant', participantId: parts[1] } : { name: 'ranking' };
+    if (parts[0] === 'jogadores' && parts[1]) return { name: 'player', playerId: parts[1] };
+    if (parts[0] === 'duplas' && parts[1]) return { name: 'participant', participantId: parts[1] };
+    if (parts[0] === 'campeonatos' && parts[1]) {
+        const tab = getTabFromSlug(parts[2]) || 'groups';
+        return { name: 'championship', championshipId: parts[1], tab, matchId: tab === 'matches' ? parts[3] || null : null };
+    }
+    return { name: 'list' };
+};
+
+const getChampionshipPath = (championshipId, tab = 'groups', matchId = null) => {
+    const base = `/campeonatos/${encodeURIComponent(championshipId)}`;
+    if (tab === 'groups' && !matchId) return base;
+    return `${base}/${CHAMPIONSHIP_TAB_SLUGS[tab]}${matchId ? `/${encodeURIComponent(matchId)}` : ''}`;
+};
+
+const getParticipantPath = (participantId, participantType = 'player') => `/${participantType === 'player' ? 'jogadores' : 'duplas'}/${encodeURIComponent(participantId)}`;
+
+// Ranking com o histórico de rating de um jogador ou dupla aberto
+const getRankingPath = (participantId = null) => (participantId ? `/ranking/${encodeURIComponent(participantId)}` : '/ranking');
+
+// Roteamento mínimo sobre a History API: voltar/avançar do navegador disparam popstate
+const useRoute = () => {
+    const [pathname, setPathname] = useState(window.location.pathname);
+
+    useEffect(() => {
+        const handlePopState = () => setPathname(window.location.pathname);
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    const navigate = useCallback((path, { replace = false } = {}) => {
+        if (path === window.location.pathname) return;
+        window.history[replace ? 'replaceState' : 'pushState']({}, '', path);
+        setPathname(path);
+        if (!replace) window.scrollTo(0, 0);
+    }, []);
+
+    const route = useMemo(() => parseRoute(pathname), [pathname]);
+    return [route, navigate];
+};
+
+// --- PÁGINA PÚBLICA ---
+
+// A cópia publicada fica fora da área do usuário para que qualquer pessoa com o link consiga ler. O caminho
+// leva o uid do dono: os IDs de campeonato só são únicos dentro da conta de cada organizador.
+const getPublicChampionshipPath = (ownerId, championshipId) => `artifacts/${appId}/public/data/owners/${ownerId}/championships/${championshipId}`;
+
+const getPublicChampionshipUrl = (ownerId, championshipId) => `${window.location.origin}/p/${encodeURIComponent(ownerId)}/${encodeURIComponent(championshipId)}`;
+
+const PUBLIC_MATCH_FIELDS = [
+    'stage', 'groupName', 'round', 'roundName', 'position', 'bracket', 'nextMatchId', 'nextSlot', 'loserNextMatchId', 'loserNextSlot',
+    'resetMatchId', 'resetOf', 'homeParticipantId', 'awayParticipantId', 'homeParticipantName', 'awayParticipantName',
+    'status', 'outcome', 'sets', 'homeSets', 'awaySets', 'winnerId', 'tie', 'table', 'scheduledAt',
+];
+
+// Do placar ao vivo só vai o resultado parcial: a lista de pontos cresce a cada ponto e, somada às
+// demais partidas, estouraria o limite de 1 MiB do documento público
+const toPublicLive = (live, bestOf) => {
+    const { homeSets, awaySets, current } = replayLiveMatch(live, bestOf);
+    return { homeSets, awaySets, current };
+};
+
+// Só o que o espectador vê: sem histórico de alterações nem dados dos cadastros além do nome
+// Nos confrontos entre equipes, a página mostra quem jogou cada jogo: vão só os nomes dos jogadores escalados
+const getPublicTiePlayers = (matches, players) => {
+    const tiePlayerIds = new Set(matches.filter(m => m.tie).flatMap(m => m.tie.rubbers.flatMap(r => [...r.homePlayerIds, ...r.awayPlayerIds])));
+    return players.filter(p => tiePlayerIds.has(p.id)).map(p => ({ id: p.id, name: p.name }));
+};
+
+const buildPublicSnapshot = (championship, participants, matches, players = []) => ({
+    name: championship.name,
+    year: championship.year,
+    participantType: championship.participantType,
+    participants: participants.map(p => ({ id: p.id, name: p.name })),
+    players: getPublicTiePlayers(matches, players),
+    groups: championship.groups || [],
+    standings: championship.standings || [],
+    config: {
+        format: getChampionshipFormat(championship.config),
+        matchSettings: championship.config.matchSettings,
+        groupStage: { generated: !!championship.config.groupStage.generated },
+        knockoutStage: { generated: !!championship.config.knockoutStage.generated, rounds: championship.config.knockoutStage.rounds || [] },
+    },
+    matches: matches.map(match => PUBLIC_MATCH_FIELDS.reduce((publicMatch, field) => (
+        match[field] === undefined ? publicMatch : { ...publicMatch, [field]: match[field] }
+    ), { id: match.id, ...(match.live && { live: toPublicLive(match.live, parseInt(championship.config.matchSettings.sets, 10) || 3) }) })),
+});
+
+// --- CONTAS E ORGANIZADORES ---
+
+const CHAMPIONSHIP_ROLE_LABELS = {
+    owner: 'Dono',
+    scorekeeper: 'Mesário (lança resultados)',
+    viewer: 'Somente leitura',
+};
+
+// Índice público de acesso: ownerId + e-mails convidados, consultado por quem recebeu o convite. O ID do
+// documento começa pelo uid do dono, para que ninguém ocupe o índice do campeonato de outro organizador.
+const getChampionshipAccessPath = (ownerId, championshipId) => `artifacts/${appId}/public/data/championshipAccess/${ownerId}_${championshipId}`;
+
+// Convidados de qualquer campeonato do organizador: as regras do Firestore liberam para eles a leitura
+// dos cadastros de jogadores e equipes, de onde vêm os participantes dos campeonatos compartilhados
+const getOrganizerAccessPath = (ownerId) => `artifacts/${appId}/public/data/organizerAccess/${ownerId}`;
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// Tudo o que sai com o campeonato: partidas, cópia pública, índice de acesso e, por último, o próprio campeonato
+const getChampionshipDeletionPaths = (ownerId, championshipId, matchIds) => {
+    const championshipPath = `artifacts/${appId}/users/${ownerId}/championships/${championshipId}`;
+    return [
+        ...matchIds.map(matchId => `${championshipPath}/matches/${matchId}`),
+        getPublicChampionshipPath(ownerId, championshipId),
+        getChampionshipAccessPath(ownerId, championshipId),
+        championshipPath,
+    ];
+};
+
+// O desfazer da exclusão regrava tudo com os mesmos IDs; o campeonato vai primeiro, para o índice de acesso
+// (que exige o campeonato) poder vir em qualquer lote. publicSnapshot é a cópia pública, se estava publicado.
+const getChampionshipRestoreWrites = ({ ownerId, ownerEmail, championship, matchDocs, publicSnapshot = null }) => {
+    const { id: championshipId, ...championshipData } = championship;
+    const championshipPath = `artifacts/${appId}/users/${ownerId}/championships/${championshipId}`;
+    const writes = [
+        [championshipPath, championshipData],
+        ...matchDocs.map(m => [`${championshipPath}/matches/${m.id}`, m.data]),
+    ];
+    if (publicSnapshot) writes.push([getPublicChampionshipPath(ownerId, championshipId), publicSnapshot]);
+    if (championship.members?.length > 0) {
+        writes.push([getChampionshipAccessPath(ownerId, championshipId), {
+            ownerId,
+            championshipId,
+            ownerEmail,
+            championshipName: championship.name,
+            members: championship.members,
+            memberEmails: championship.members.map(m => m.email),
+        }]);
+    }
+    return writes;
+};
+
+const describeAuthUser = (user) => ({
+    uid: user.uid,
+    email: normalizeEmail(user.email),
+    displayName: user.displayName || '',
+    isAnonymous: user.isAnonymous,
+});
+
+const AUTH_ERROR_MESSAGES = {
+    'auth/email-already-in-use': 'Já existe uma conta com este e-mail. Use "Já tenho conta".',
+    'auth/credential-already-in-use': 'Esta conta já está vinculada a outro usuário.',
+    'auth/invalid-credential': 'E-mail ou senha incorretos.',
+    'auth/wrong-password': 'E-mail ou senha incorretos.',
+    'auth/user-not-found': 'E-mail ou senha incorretos.',
+    'auth/invalid-email': 'E-mail inválido.',
+    'auth/weak-password': 'A senha precisa ter pelo menos 6 caracteres.',
+    'auth/popup-closed-by-user': 'A janela de login foi fechada antes de concluir.',
+    'auth/popup-blocked': 'O navegador bloqueou a janela de login.',
+};
+
+const getAuthErrorMessage = (error) => AUTH_ERROR_MESSAGES[error.code] || `Não foi possível entrar (${error.code || error.message}).`;
+
+// --- EXPORTAÇÃO ---
+
+// CSV com ";" e BOM: é o que o Excel em português abre direto, sem assistente de importação.
+// Textos que começam como fórmula (=, +, -, @) ganham um ' na frente para a planilha não executá-los;
+// números continuam números (saldos negativos inclusive).
+const toCsv = (rows) => '\uFEFF' + rows
+    .map(row => row.map(value => {
+        const raw = value === null || value === undefined ? '' : String(value);
+        const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${raw}` : raw;
+        return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(';'))
+    .join('\r\n');
+
+const downloadFile = (fileName, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+const getExportFileName = (championship, suffix, extension) => {
+    const slug = normalizeName(championship.name).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'campeonato'}-${championship.year}-${suffix}.${extension}`;
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+const PRINT_STYLES = `
+    body { font-family: Arial, sans-serif; color: #000; margin: 24px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 16px; margin: 20px 0 8px; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 12px; }
+    th, td { border: 1px solid #555; padding: 4px 6px; font-size: 12px; text-align: left; }
+    th { background: #eee; }
+    .center { text-align: center; }
+    .section { page-break-inside: avoid; }
+    .bracket { display: flex; gap: 16px; align-items: stretch; }
+    .bracket .round { flex: 1; display: flex; flex-direction: column; justify-content: space-around; gap: 8px; }
+    .bracket .match { border: 1px solid #555; font-size: 12px; }
+    .bracket .match div { padding: 4px 6px; }
+    .bracket .match div + div { border-top: 1px solid #ccc; }
+    .sheet { border: 2px solid #000; padding: 12px; margin-bottom: 16px; page-break-inside: avoid; }
+    .sheet-header { display: flex; justify-content: space-between; font-size: 12px; margin-bottom: 8px; }
+    .sheet td.box { height: 32px; width: 48px; }
+    .sheet .signatures { display: flex; justify-content: space-between; font-size: 12px; margin-top: 16px; }
+    @media print { body { margin: 0; } }
+`;
+
+// Layout de impressão numa janela própria; de lá o navegador também salva em PDF
+const openPrintWindow = (title, bodyHtml) => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        alert("Não foi possível abrir a janela de impressão. Permita pop-ups para este site.");
+        return;
+    }
+    printWindow.document.write(`<!DOCTYPE html><html lang="pt-BR"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${PRINT_STYLES}</style></head><body>${bodyHtml}</body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+};
+
+const getMatchStageLabel = (match) => {
+    if (match.stage === 'knockout') return match.roundName;
+    if (getMatchStage(match) === 'friendly') return 'Amistoso';
+    return match.round ? `${match.groupName} · Rodada ${match.round}` : match.groupName;
+};
+
+const getMatchTableLabel = (match) => [match.table && `Mesa ${match.table}`, match.scheduledAt && formatTime(match.scheduledAt)].filter(Boolean).join(' · ');
+
+const getMatchResultLabel = (match) => {
+    if (isAnnulledMatch(match)) return 'Anulada';
+    if (match.status !== 'completed') return 'Pendente';
+    return match.outcome && match.outcome !== 'normal' ? MATCH_OUTCOME_LABELS[match.outcome] : 'Encerrada';
+};
+
+const STANDINGS_EXPORT_COLUMNS = ['Grupo', 'Pos.', 'Participante', 'P', 'J', 'V', 'D', 'SP', 'SC', 'SD', 'PF', 'PC'];
+
+const getStandingsExportRows = (standings, getName) => standings.flatMap(standing => standing.table.map((row, index) => [
+    standing.groupName, index + 1, getName(row.participantId), row.points, row.played, row.wins, row.losses,
+    row.setsFor, row.setsAgainst, row.setDifference, row.pointsFor ?? '', row.pointsAgainst ?? '',
+]));
+
+const MATCHES_EXPORT_COLUMNS = ['Fase', 'Mesa/Horário', 'Casa', 'Visitante', 'Sets casa', 'Sets visitante', 'Parciais', 'Vencedor', 'Situação'];
+
+const getMatchExportRow = (match, getName) => {
+    const winnerId = getMatchWinnerId(match);
+    const noPlay = isNoPlayOutcome(match.outcome);
+    return [
+        getMatchStageLabel(match),
+        getMatchTableLabel(match),
+        match.homeParticipantName || 'A definir',
+        match.awayParticipantName || 'A definir',
+        match.status === 'completed' && !noPlay ? match.homeSets : '',
+        match.status === 'completed' && !noPlay ? match.awaySets : '',
+        formatSetScores(match.sets),
+        winnerId ? getName(winnerId) : '',
+        getMatchResultLabel(match),
+    ];
+};
+
+const renderHtmlTable = (columns, rows) => `
+    <table>
+        <thead><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(row => `<tr>${row.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>`;
+
+const buildStandingsHtml = (standings, getName) => standings.map(standing => `
+    <div class="section">
+        <h2>${escapeHtml(standing.groupName)}</h2>
+        ${renderHtmlTable(STANDINGS_EXPORT_COLUMNS.slice(1), getStandingsExportRows([standing], getName).map(row => row.slice(1)))}
+    </div>`).join('');
+
+const buildMatchesHtml = (sections, getName) => sections.map(section => `
+    <div class="section">
+        <h2>${escapeHtml(section.title)}</h2>
+        ${renderHtmlTable(MATCHES_EXPORT_COLUMNS.slice(1), section.matches.map(match => getMatchExportRow(match, getName).slice(1)))}
+    </div>`).join('');
+
+const buildBracketHtml = (rounds, matchMap, getName) => `
+    <div class="bracket">
+        ${rounds.filter(round => !isSkippedGrandFinalReset(matchMap.get(round.matchIds[0]), matchMap)).map(round => `
+            <div class="round">
+                <h2 class="center">${escapeHtml(round.name)}</h2>
+                ${round.matchIds.map(id => matchMap.get(id)).filter(match => match && (!isByeMatch(match) || match.winnerId)).map(match => `
+                    <div class="match">
+                        ${['home', 'away'].map(side => {
+                            const participantId = match[`${side}ParticipantId`];
+                            const isWinner = participantId && getMatchWinnerId(match) === participantId;
+                            const sets = match.status === 'completed' && !isNoPlayOutcome(match.outcome) ? match[`${side}Sets`] : '';
+                            return `<div>${isWinner ? '<strong>' : ''}${escapeHtml(participantId ? getName(participantId) : isByeMatch(match) ? 'Folga' : 'A definir')} ${escapeHtml(sets)}${isWinner ? '</strong>' : ''}</div>`;
+                        }).join('')}
+                    </div>`).join('')}
+            </div>`).join('')}
+    </div>`;
+
+// Súmula em branco: um quadro por set do melhor de N, para o árbitro preencher à mão
+const buildScoreSheetsHtml = (matches, bestOf, championshipTitle) => matches.map(match => `
+    <div class="sheet">
+        <div class="sheet-header">
+            <strong>${escapeHtml(championshipTitle)}</strong>
+            <span>${escapeHtml(getMatchStageLabel(match))}</span>
+            <span>${escapeHtml(getMatchTableLabel(match) || 'Mesa ____ · Horário ____')}</span>
+        </div>
+        <table>
+            <thead><tr><th>Participante</th>${Array.from({ length: bestOf }, (_, i) => `<th class="center">Set ${i + 1}</th>`).join('')}<th class="center">Sets</th></tr></thead>
+            <tbody>
+                ${[match.homeParticipantName, match.awayParticipantName].map(name => `<tr><td>${escapeHtml(name)}</td>${'<td class="box"></td>'.repeat(bestOf + 1)}</tr>`).join('')}
+            </tbody>
+        </table>
+        <div class="signatures"><span>Vencedor: ______________________</span><span>Árbitro: ______________________</span></div>
+    </div>`).join('');
+
+// --- IMPORTAÇÃO ---
+
+// A importação grava num único lote, para entrar inteira ou não entrar: vale o mesmo limite dos outros lotes
+const IMPORT_LIMIT = FIRESTORE_BATCH_LIMIT;
+
+const normalizeName = (name) => (name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Colar de planilha vem separado por tab; arquivos CSV, por ";" (Excel em português) ou ","
+const detectDelimiter = (firstLine) => ['\t', ';', ','].find(delimiter => firstLine.includes(delimiter)) || ',';
+
+const parseDelimitedText = (text) => {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const delimiter = detectDelimiter(lines.find(line => line.trim()) || '');
+    return lines.map((line, index) => {
+        const cells = [];
+        let current = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted && char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = !quoted;
+            } else if (char === delimiter && !quoted) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        cells.push(current.trim());
+        return { line: index + 1, cells };
+    }).filter(row => row.cells.some(Boolean));
+};
+
+const IMPORT_COLUMN_ALIASES = {
+    name: ['nome', 'name', 'jogador'],
+    club: ['clube', 'club'],
+    rating: ['rating'],
+    partner: ['parceiro', 'partner', 'dupla'],
+};
+
+// Sem cabeçalho reconhecível, as colunas seguem a ordem nome, clube, rating, parceiro
+const getImportColumns = (headerCells) => {
+    const normalized = headerCells.map(normalizeName);
+    if (!IMPORT_COLUMN_ALIASES.name.includes(normalized[0]) && !normalized.some(cell => IMPORT_COLUMN_ALIASES.partner.includes(cell))) return null;
+    return Object.fromEntries(Object.entries(IMPORT_COLUMN_ALIASES).map(([field, aliases]) => [field, normalized.findIndex(cell => aliases.includes(cell))]));
+};
+
+const getTeamKey = (nameA, nameB) => [normalizeName(nameA), normalizeName(nameB)].sort().join('|');
+
+// Prévia da importação: cada linha vira um jogador novo, um jogador já cadastrado (reaproveitado) ou uma linha inválida;
+// cada parceiro informado vira uma dupla, identificada pelo par de nomes independente da ordem
+const buildImportPreview = (text, existingPlayers, existingTeams) => {
+    const parsedRows = parseDelimitedText(text);
+    const header = parsedRows[0] && getImportColumns(parsedRows[0].cells);
+    const columns = header || { name: 0, club: 1, rating: 2, partner: 3 };
+    const existingByName = new Map(existingPlayers.map(p => [normalizeName(p.name), p]));
+    const existingTeamKeys = new Set(existingTeams.map(team => getTeamKey(...(team.playerIds || []).map(id => existingPlayers.find(p => p.id === id)?.name))));
+    const seenNames = new Set();
+
+    const rows = (header ? parsedRows.slice(1) : parsedRows).map(({ line, cells }) => {
+        const cell = (field) => (columns[field] >= 0 ? cells[columns[field]] || '' : '');
+        const row = { line, name: cell('name'), club: cell('club'), ratingText: cell('rating'), partnerName: cell('partner') };
+        const key = normalizeName(row.name);
+        const rating = parseInt(row.ratingText, 10);
+
+        if (!key) return { ...row, status: 'invalid', error: 'Nome obrigatório' };
+        if (row.ratingText && (Number.isNaN(rating) || rating <= 0)) return { ...row, status: 'invalid', error: 'Rating inválido' };
+        if (seenNames.has(key)) return { ...row, status: 'invalid', error: 'Nome repetido no arquivo' };
+        if (row.partnerName && normalizeName(row.partnerName) === key) return { ...row, status: 'invalid', error: 'Parceiro igual ao próprio jogador' };
+        seenNames.add(key);
+
+        const existing = existingByName.get(key);
+        return existing
+            ? { ...row, status: 'existing', playerId: existing.id }
+            : { ...row, status: 'new', rating: row.ratingText ? rating : DEFAULT_RATING };
+    });
+
+    const displayName = (name) => existingByName.get(normalizeName(name))?.name
+        || rows.find(row => row.status === 'new' && normalizeName(row.name) === normalizeName(name))?.name
+        || name;
+    const teams = [];
+    const teamKeys = new Set();
+    rows.filter(row => row.status !== 'invalid' && row.partnerName).forEach(row => {
+        const key = getTeamKey(row.name, row.partnerName);
+        if (teamKeys.has(key)) return;
+        teamKeys.add(key);
+        const partnerKnown = seenNames.has(normalizeName(row.partnerName)) || existingByName.has(normalizeName(row.partnerName));
+        const team = { key, playerNames: [displayName(row.name), displayName(row.partnerName)] };
+        if (!partnerKnown) teams.push({ ...team, status: 'invalid', error: 'Parceiro não está na lista nem cadastrado' });
+        else if (existingTeamKeys.has(key)) teams.push({ ...team, status: 'existing' });
+        else teams.push({ ...team, status: 'new' });
+    });
+
+    return { rows, teams, hasHeader: !!header };
+};
+
+// --- BACKUP ---
+
+const BACKUP_FORMAT = 'ping-pong-manager-backup';
+const BACKUP_VERSION = 1;
+
+// Estado de compartilhamento não vai para o backup: o índice de acesso e a cópia pública pertencem ao campeonato original
+const stripSharingFields = ({ id, publicPage, members, ...championship }) => championship;
+
+const buildBackup = (players, teams, championships, matchesByChampionship) => ({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    players,
+    teams,
+    championships: championships.map(c => ({
+        id: c.id,
+        ...stripSharingFields(c),
+        matches: matchesByChampionship.get(c.id) || [],
+    })),
+});
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Confere a estrutura e todas as referências entre documentos antes de gravar qualquer coisa
+const validateBackup = (backup) => {
+    const errors = [];
+    if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) return ['O arquivo não é um backup deste aplicativo.'];
+    if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) return [`Versão de backup não suportada (${backup.version}).`];
+    if (!Array.isArray(backup.players) || !Array.isArray(backup.teams) || !Array.isArray(backup.championships)) return ['Listas de jogadores, duplas ou campeonatos ausentes.'];
+
+    const playerIds = new Set();
+    backup.players.forEach((player, i) => {
+        if (!isPlainObject(player) || typeof player.id !== 'string' || typeof player.name !== 'string') errors.push(`Jogador #${i + 1} inválido.`);
+        else playerIds.add(player.id);
+    });
+    const teamIds = new Set();
+    backup.teams.forEach((team, i) => {
+        if (!isPlainObject(team) || typeof team.id !== 'string' || typeof team.name !== 'string' || !Array.isArray(team.playerIds)) {
+            errors.push(`Dupla #${i + 1} inválida.`);
+            return;
+        }
+        if (getAllTeamPlayerIds(team).some(id => !playerIds.has(id))) errors.push(`Dupla "${team.name}" referencia jogador inexistente.`);
+        teamIds.add(team.id);
+    });
+
+    backup.championships.forEach((c, i) => {
+        if (!isPlainObject(c) || typeof c.id !== 'string' || typeof c.name !== 'string' || !isPlainObject(c.config)
+            || !Array.isArray(c.participantIds) || !Array.isArray(c.groups) || !Array.isArray(c.standings) || !Array.isArray(c.matches)) {
+            errors.push(`Campeonato #${i + 1} inválido.`);
+            return;
+        }
+        const participantIds = c.participantType === 'team' ? teamIds : playerIds;
+        // Confrontos entre equipes guardam os jogadores escalados, também nas versões do histórico
+        const getMatchTies = (m) => [m.tie, ...(Array.isArray(m.history) ? m.history : []).flatMap(entry => [entry?.before?.tie, entry?.after?.tie])].filter(Boolean);
+        const isValidBackupTie = (tie) => isPlainObject(tie) && isPlainObject(tie.lineup) && Array.isArray(tie.rubbers)
+            && Object.values(tie.lineup).every(slots => isPlainObject(slots) && Object.values(slots).flat().every(id => playerIds.has(id)))
+            && tie.rubbers.every(r => isPlainObject(r) && Array.isArray(r.homePlayerIds) && Array.isArray(r.awayPlayerIds)
+                && [...r.homePlayerIds, ...r.awayPlayerIds].every(id => playerIds.has(id)));
+        const isKnownParticipant = (id) => id === null || id === undefined || participantIds.has(id);
+        const matchIds = new Set(c.matches.map(m => m?.id));
+        if (c.participantIds.some(id => !participantIds.has(id))) errors.push(`"${c.name}": participante inexistente.`);
+        if (c.groups.some(g => !Array.isArray(g.participantIds) || g.participantIds.some(id => !isKnownParticipant(id)))) errors.push(`"${c.name}": grupo com participante inexistente.`);
+        if (c.standings.some(s => !Array.isArray(s.table) || s.table.some(row => !isKnownParticipant(row.participantId)))) errors.push(`"${c.name}": classificação com participante inexistente.`);
+        if ((c.config.knockoutStage?.rounds || []).some(round => round.matchIds.some(id => !matchIds.has(id)))) errors.push(`"${c.name}": chaveamento referencia partida inexistente.`);
+        if ((c.config.swiss?.byes || []).some(bye => !isKnownParticipant(bye.participantId))) errors.push(`"${c.name}": folga do suíço com participante inexistente.`);
+        if ((c.withdrawals || []).some(w => !isKnownParticipant(w.participantId))) errors.push(`"${c.name}": desistência de participante inexistente.`);
+        c.matches.forEach((m, j) => {
+            if (!isPlainObject(m) || typeof m.id !== 'string') {
+                errors.push(`"${c.name}": partida #${j + 1} inválida.`);
+            } else if (!getMatchTies(m).every(isValidBackupTie)) {
+                errors.push(`"${c.name}": partida #${j + 1} com escalação inválida ou jogador inexistente.`);
+            } else if (![m.homeParticipantId, m.awayParticipantId, m.winnerId].every(isKnownParticipant) || [m.nextMatchId, m.loserNextMatchId, m.resetMatchId, m.resetOf].some(id => id && !matchIds.has(id))) {
+                errors.push(`"${c.name}": partida #${j + 1} com referência inexistente.`);
+            }
+        });
+    });
+    return errors.slice(0, 10);
+};
+
+// Resume o que um conjunto de gravações da restauração contém: "jogadores, campeonato "Aberto"..."
+const describeRestoreItems = (items) => [...new Set(items.map(([, , label]) => label))].join(', ');
+
+// Gera IDs novos para tudo e reescreve as referências; assim a restauração nunca sobrescreve dados existentes
+const remapBackup = (backup, createId) => {
+    const idMap = new Map();
+    const newId = (oldId) => {
+        if (!idMap.has(oldId)) idMap.set(oldId, createId());
+        return idMap.get(oldId);
+    };
+    const mapId = (oldId) => (oldId ? idMap.get(oldId) ?? null : oldId ?? null);
+
+    backup.players.forEach(p => newId(p.id));
+    backup.teams.forEach(t => newId(t.id));
+    backup.championships.forEach(c => {
+        newId(c.id);
+        c.matches.forEach(m => newId(`${c.id}/${m.id}`));
+    });
+
+    // Os jogos de um confronto entre equipes guardam os jogadores escalados
+    const mapTie = (tie) => tie && {
+        ...tie,
+        lineup: Object.fromEntries(Object.entries(tie.lineup).map(([side, slots]) => [side, Object.fromEntries(Object.entries(slots).map(([slot, value]) => [slot, Array.isArray(value) ? value.map(mapId) : mapId(value)]))])),
+        rubbers: tie.rubbers.map(r => ({ ...r, homePlayerIds: r.homePlayerIds.map(mapId), awayPlayerIds: r.awayPlayerIds.map(mapId) })),
+    };
+    const mapResult = (result) => (result ? { ...result, winnerId: mapId(result.winnerId), ...(result.tie && { tie: mapTie(result.tie) }) } : null);
+
+    return {
+        players: backup.players.map(({ id, ...data }) => ({ id: mapId(id), data })),
+        teams: backup.teams.map(({ id, ...data }) => ({
+            id: mapId(id),
+            data: {
+                ...data,
+                playerIds: data.playerIds.map(mapId),
+                ...(data.formerLineups && { formerLineups: data.formerLineups.map(l => ({ ...l, playerIds: l.playerIds.map(mapId) })) }),
+            },
+        })),
+        championships: backup.championships.map(({ id, matches, ...data }) => {
+            const mapMatchId = (matchId) => (matchId ? idMap.get(`${id}/${matchId}`) ?? null : null);
+            return {
+                id: mapId(id),
+                data: {
+                    ...stripSharingFields(data),
+                    participantIds: data.participantIds.map(mapId),
+                    groups: data.groups.map(g => ({ ...g, participantIds: g.participantIds.map(mapId) })),
+                    standings: data.standings.map(s => ({ ...s, table: s.table.map(row => ({ ...row, participantId: mapId(row.participantId) })) })),
+                    ...(data.withdrawals && { withdrawals: data.withdrawals.map(w => ({ ...w, participantId: mapId(w.participantId) })) }),
+                    config: {
+                        ...data.config,
+                        knockoutStage: {
+                            ...data.config.knockoutStage,
+                            rounds: (data.config.knockoutStage?.rounds || []).map(round => ({ ...round, matchIds: round.matchIds.map(mapMatchId) })),
+                        },
+                        ...(data.config.swiss && {
+                            swiss: { ...data.config.swiss, byes: (data.config.swiss.byes || []).map(bye => ({ ...bye, participantId: mapId(bye.participantId) })) },
+                        }),
+                    },
+                },
+                matches: matches.map(({ id: matchId, ...match }) => ({
+                    id: mapMatchId(matchId),
+                    data: {
+                        ...match,
+                        homeParticipantId: mapId(match.homeParticipantId),
+                        awayParticipantId: mapId(match.awayParticipantId),
+                        winnerId: mapId(match.winnerId),
+                        ...(match.tie && { tie: mapTie(match.tie) }),
+                        nextMatchId: mapMatchId(match.nextMatchId),
+                        loserNextMatchId: mapMatchId(match.loserNextMatchId),
+                        ...(match.resetMatchId && { resetMatchId: mapMatchId(match.resetMatchId) }),
+                        ...(match.resetOf && { resetOf: mapMatchId(match.resetOf) }),
+                        history: (match.history || []).map(entry => ({ ...entry, before: mapResult(entry.before), after: mapResult(entry.after) })),
+                    },
+                })),
+            };
+        }),
+    };
+};
+
+// --- EXCLUSÃO SEGURA ---
+
+const UNDO_WINDOW_MS = 8000;
+
+const countParticipantMatches = (participantId, matches) => matches.filter(m => m.homeParticipantId === participantId || m.awayParticipantId === participantId).length;
+
+// Dupla que trocou de jogador guarda as formações anteriores, em ordem, com a data da troca. Cada partida
+// conta para quem estava na dupla quando foi disputada; partidas antigas sem data ficam com a 1ª formação.
+const getTeamPlayerIdsAt = (team, at) => {
+    const lineup = (team.formerLineups || []).find(l => (at || '') < l.until);
+    return lineup ? lineup.playerIds : team.playerIds || [];
+};
+
+const getAllTeamPlayerIds = (team) => [...new Set([...(team.formerLineups || []).flatMap(l => l.playerIds), ...(team.playerIds || [])])];
+
+// O que aponta para um jogador ou dupla; as partidas de uma dupla (inclusive de formações anteriores)
+// também contam como histórico dos seus jogadores
+const getParticipantReferences = (participantId, { teams, championships, matches }) => {
+    const memberOfTeams = teams.filter(t => getAllTeamPlayerIds(t).includes(participantId));
+    return {
+        teams: memberOfTeams,
+        championships: championships.filter(c => c.participantIds.includes(participantId)),
+        matchCount: countParticipantMatches(participantId, matches)
+            + memberOfTeams.reduce((total, team) => total + countParticipantMatches(team.id, matches), 0),
+    };
+};
+
+// Com histórico de partidas, jogador/dupla é arquivado (some das listas, mas os resultados continuam com nome);
+// referenciado só por duplas ou campeonatos, a exclusão é bloqueada; sem referências, é excluído
+const getParticipantDeletionAction = ({ teams, championships, matchCount }) => {
+    if (matchCount > 0) return 'archive';
+    if (teams.length > 0 || championships.length > 0) return 'block';
+    return 'delete';
+};
+
+const describeParticipantReferences = ({ teams, championships, matchCount }) => [
+    teams.length > 0 && `duplas: ${teams.map(t => t.name).join(', ')}`,
+    championships.length > 0 && `campeonatos: ${championships.map(c => c.name).join(', ')}`,
+    matchCount > 0 && `${matchCount} partida(s) disputada(s)`,
+].filter(Boolean).join('; ');
+
+// --- NOMES DESNORMALIZADOS ---
+
+// Duplas e partidas guardam cópias dos nomes; quando um cadastro é renomeado, estas são as cópias a corrigir
+const findStaleNameUpdates = (players, teams, matches) => {
+    const names = new Map([...players, ...teams].map(p => [p.id, p.name]));
+    const updates = [];
+    teams.forEach(team => {
+        const playerNames = (team.playerIds || []).map((id, i) => names.get(id) ?? team.playerNames?.[i] ?? '');
+        if (playerNames.some((name, i) => name !== team.playerNames?.[i])) {
+            updates.push({ path: `teams/${team.id}`, data: { playerNames } });
+        }
+    });
+    matches.forEach(match => {
+        const data = {};
+        ['home', 'away'].forEach(side => {
+            const name = names.get(match[`${side}ParticipantId`]);
+            if (name !== undefined && name !== match[`${side}ParticipantName`]) data[`${side}ParticipantName`] = name;
+        });
+        if (Object.keys(data).length > 0) updates.push({ path: `championships/${match.championshipId}/matches/${match.id}`, data });
+    });
+    return updates;
+};
+
+// Na tela, o nome vem sempre do cadastro; a cópia gravada na partida só vale para participante excluído
+const resolveMatchNames = (match, participantMap) => ({
+    ...match,
+    homeParticipantName: participantMap.get(match.homeParticipantId)?.name || match.homeParticipantName || null,
+    awayParticipantName: participantMap.get(match.awayParticipantId)?.name || match.awayParticipantName || null,
+});
+
+// --- PERFIL DO JOGADOR ---
+
+const PROFILE_FORM_SIZES = [5, 10, 20];
+
+// Partidas encerradas de um jogador, em simples, numa dupla ou nos jogos dos confrontos entre equipes de
+// clube, na ordem em que foram disputadas. O confronto em si não conta: é da equipe, não dos jogadores.
+const getPlayerMatchEntries = (playerId, { matches, teams, championships }) => {
+    const teamsById = new Map(teams.map(t => [t.id, t]));
+    const playersAt = (side, match) => {
+        if (match[`${side}PlayerIds`]) return match[`${side}PlayerIds`];
+        const participantId = match[`${side}ParticipantId`];
+        const team = teamsById.get(participantId);
+        return team ? getTeamPlayerIdsAt(team, match.completedAt) : [participantId];
+    };
+    const isClubMatch = (match) => [match.homeParticipantId, match.awayParticipantId].some(id => teamsById.get(id)?.type === 'club');
+    const includesPlayer = (side, match) => playersAt(side, match).includes(playerId);
+    const playerMatches = [...matches.filter(m => !isClubMatch(m)), ...getTieRubberMatches(matches)]
+        .filter(m => m.status === 'completed' && (includesPlayer('home', m) || includesPlayer('away', m)));
+
+    return sortMatchesChronologically(playerMatches, championships).map(match => {
+        const side = includesPlayer('home', match) ? 'home' : 'away';
+        const ownPlayerIds = playersAt(side, match);
+        const played = !isNoPlayOutcome(match.outcome);
+        return {
+            match,
+            side,
+            isDoubles: ownPlayerIds.length > 1,
+            partnerId: ownPlayerIds.find(id => id !== playerId) || null,
+            opponentId: match[`${otherSide(side)}ParticipantId`],
+            opponentPlayerIds: playersAt(otherSide(side), match),
+            won: match.tieId ? match.winnerSide === side : getMatchWinnerId(match) === match[`${side}ParticipantId`],
+            setsFor: played ? match[`${side}Sets`] || 0 : 0,
+            setsAgainst: played ? match[`${otherSide(side)}Sets`] || 0 : 0,
+        };
+    });
+};
+
+const summarizeMatchEntries = (entries) => entries.reduce((summary, entry) => ({
+    played: summary.played + 1,
+    wins: summary.wins + (entry.won ? 1 : 0),
+    losses: summary.losses + (entry.won ? 0 : 1),
+    setsFor: summary.setsFor + entry.setsFor,
+    setsAgainst: summary.setsAgainst + entry.setsAgainst,
+}), { played: 0, wins: 0, losses: 0, setsFor: 0, setsAgainst: 0 });
+
+// Campeão é o vencedor da final do chaveamento; em liga e suíço, o líder depois da última rodada
+const getChampionshipWinnerId = (championship, matches) => {
+    const format = getChampionshipFormat(championship.config);
+    if (format === 'league' || format === 'swiss') {
+        const championshipMatches = matches.filter(m => m.championshipId === championship.id);
+        return isStandingsFormatFinished(championship, championshipMatches) ? championship.standings[0]?.table[0]?.participantId || null : null;
+    }
+    const rounds = championship.config.knockoutStage?.rounds || [];
+    return getBracketChampionId(rounds, new Map(matches.filter(m => m.championshipId === championship.id).map(m => [m.id, m])));
+};
+
+// Numa dupla campeã, o título é de quem estava na formação ao fim do campeonato
+const getPlayerTitles = (playerId, { championships, matches, teams }) => championships.filter(championship => {
+    const winnerId = getChampionshipWinnerId(championship, matches);
+    const team = teams.find(t => t.id === winnerId);
+    if (!team) return winnerId === playerId;
+    const endedAt = matches.filter(m => m.championshipId === championship.id).reduce((latest, m) => ((m.completedAt || '') > latest ? m.completedAt : latest), '');
+    return getTeamPlayerIdsAt(team, endedAt).includes(playerId);
+});
+
+const getDoublesPartners = (entries) => {
+    const partners = new Map();
+    entries.filter(entry => entry.partnerId).forEach(entry => {
+        const current = partners.get(entry.partnerId) || { partnerId: entry.partnerId, played: 0, wins: 0 };
+        partners.set(entry.partnerId, { ...current, played: current.played + 1, wins: current.wins + (entry.won ? 1 : 0) });
+    });
+    return [...partners.values()].sort((a, b) => b.played - a.played || b.wins - a.wins);
+};
+
+const getWinRate = ({ played, wins }) => (played > 0 ? Math.round((wins / played) * 100) : 0);
+
+// --- COMPONENTES PRINCIPAIS ---
+
+// Sai do modo convidado vinculando a conta anônima: o uid não muda, então os dados do navegador são preservados
+function AuthModal({ isOpen, onClose, hasLocalData, onSignedIn }) {
+    const [mode, setMode] = useState('signup');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const confirmSwitchAccount = () => !hasLocalData || window.confirm(
+        "Esta conta já existe. Ao entrar nela, os jogadores, duplas e campeonatos criados neste navegador como convidado não serão transferidos. Continuar?"
+    );
+
+    const finish = (user) => {
+        onSignedIn(user);
+        setEmail('');
+        setPassword('');
+        setError('');
+        onClose();
+    };
+
+    const run = async (action) => {
+        setBusy(true);
+        setError('');
+        try {
+            await action();
+        } catch (authError) {
+            console.error("Erro de autenticação:", authError);
+            setError(getAuthErrorMessage(authError));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleGoogle = () => run(async () => {
+        try {
+            const result = await linkWithPopup(auth.currentUser, new GoogleAuthProvider());
+            finish(result.user);
+        } catch (linkError) {
+            // A conta Google já existe: só dá para entrar nela, sem levar os dados do convidado
+            const credential = linkError.code === 'auth/credential-already-in-use' && GoogleAuthProvider.credentialFromError(linkError);
+            if (!credential) throw linkError;
+            if (!confirmSwitchAccount()) return;
+            const result = await signInWithCredential(auth, credential);
+            finish(result.user);
+        }
+    });
+
+    const handleEmail = () => run(async () => {
+        if (!email.trim() || !password) {
+            setError('Informe e-mail e senha.');
+            return;
+        }
+        if (mode === 'signup') {
+            const result = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email.trim(), password));
+            finish(result.user);
+        } else {
+            if (!confirmSwitchAccount()) return;
+            const result = await signInWithEmailAndPassword(auth, email.trim(), password);
+            finish(result.user);
+        }
+    });
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={mode === 'signup' ? 'Criar Conta' : 'Entrar'}>
+            <div className="space-y-4">
+                <p className="text-sm text-gray-400">
+                    {mode === 'signup'
+                        ? 'Os dados que você já criou como convidado passam para a nova conta e ficam disponíveis em qualquer navegador.'
+                        : 'Entre com uma conta existente para acessar seus campeonatos.'}
+                </p>
+                <Button variant="secondary" className="w-full" onClick={handleGoogle} disabled={busy}>Continuar com Google</Button>
+                <div className="text-center text-gray-500 text-sm">ou com e-mail</div>
+                <Input type="email" placeholder="E-mail" value={email} onChange={e => setEmail(e.target.value)} />
+                <Input type="password" placeholder="Senha" value={password} onChange={e => setPassword(e.target.value)} />
+                {error && <p className="text-red-400 text-sm">{error}</p>}
+                <div className="flex justify-between items-center gap-2">
+                    <button onClick={() => { setMode(mode === 'signup' ? 'signin' : 'signup'); setError(''); }} className="text-sm text-blue-400 hover:text-blue-300">
+                        {mode === 'signup' ? 'Já tenho conta' : 'Criar uma conta nova'}
+                    </button>
+                    <Button onClick={handleEmail} disabled={busy}>
+                        {mode === 'signup' ? <><UserPlus size={18}/> Criar Conta</> : <><LogIn size={18}/> Entrar</>}
+                    </Button>
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
+function BackupModal({ isOpen, onClose, onExport, onRestore }) {
+    const [backup, setBackup] = useState(null);
+    const [errors, setErrors] = useState([]);
+    const [busy, setBusy] = useState(false);
+    const [restoreReport, setRestoreReport] = useState(null);
+
+    const handleClose = () => {
+        setBackup(null);
+        setErrors([]);
+        setRestoreReport(null);
+        onClose();
+    };
+
+    const handleFile = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        setRestoreReport(null);
+        try {
+            const data = JSON.parse(await file.text());
+            const validationErrors = validateBackup(data);
+            setErrors(validationErrors);
+            setBackup(validationErrors.length === 0 ? data : null);
+        } catch (error) {
+            setErrors(['O arquivo não é um JSON válido.']);
+            setBackup(null);
+        }
+    };
+
+    const run = async (action) => {
+        setBusy(true);
+        try {
+            await action();
+        } catch (error) {
+            console.error("Erro no backup:", error);
+            alert("A operação falhou. Verifique a conexão e tente novamente.");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const showRestoreReport = (report) => {
+        if (report.queued) {
+            alert(`${QUEUED_OFFLINE_MESSAGE} (${report.total} documento(s) do backup)`);
+            handleClose();
+            return;
+        }
+        if (report.retry) {
+            setRestoreReport(report);
+            return;
+        }
+        alert(`Backup restaurado: ${report.written} documento(s) gravado(s).`);
+        handleClose();
+    };
+
+    const handleRestore = () => run(async () => showRestoreReport(await onRestore(backup)));
+    const handleRetryRestore = () => run(async () => showRestoreReport(await restoreReport.retry()));
+
+    return (
+        <Modal isOpen={isOpen} onClose={handleClose} title="Backup e Restauração">
+            <div className="space-y-6">
+                <div>
+                    <h3 className="text-white font-semibold mb-1">Exportar</h3>
+                    <p className="text-sm text-gray-400 mb-2">Baixa jogadores, duplas, campeonatos e todas as partidas num arquivo JSON.</p>
+                    <Button onClick={() => run(onExport)} disabled={busy}><Download size={18}/> Baixar backup</Button>
+                </div>
+                <div>
+                    <h3 className="text-white font-semibold mb-1">Restaurar</h3>
+                    <p className="text-sm text-gray-400 mb-2">Os dados do arquivo são adicionados como cópias novas; nada do que já existe é apagado ou sobrescrito.</p>
+                    <input type="file" accept=".json,application/json" onChange={handleFile} className="text-sm text-gray-400" />
+                    {errors.length > 0 && (
+                        <div className="mt-2 text-sm text-red-400 space-y-1">
+                            {errors.map(error => <p key={error}>{error}</p>)}
+                        </div>
+                    )}
+                    {backup && (
+                        <div className="mt-3 bg-gray-700 p-3 rounded-lg text-sm text-gray-300">
+                            <p>Backup de {new Date(backup.exportedAt).toLocaleString('pt-BR')}</p>
+                            <p>
+                                {backup.players.length} jogador(es), {backup.teams.length} dupla(s), {backup.championships.length} campeonato(s)
+                                {' '}e {backup.championships.reduce((total, c) => total + c.matches.length, 0)} partida(s)
+                            </p>
+                            {!restoreReport && <Button className="mt-3" onClick={handleRestore} disabled={busy}><Upload size={18}/> Restaurar</Button>}
+                        </div>
+                    )}
+                    {restoreReport && (
+                        <div className="mt-3 bg-red-900 p-3 rounded-lg text-sm text-red-100 space-y-1">
+                            <p className="font-semibold">Restauração incompleta: {restoreReport.written} de {restoreReport.total} documento(s) gravado(s).</p>
+                            {restoreReport.writtenParts && <p>Gravados: {restoreReport.writtenParts}.</p>}
+                            <p>Não gravados: {restoreReport.failedParts}.</p>
+                            <p>Tentar de novo grava só o que faltou, sem duplicar o que já entrou.</p>
+                            <Button className="mt-2" onClick={handleRetryRestore} disabled={busy}><RefreshCw size={18}/> Tentar de novo</Button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
+function ImportParticipantsModal({ isOpen, onClose, players, teams, onImport }) {
+    const [text, setText] = useState('');
+    const [importing, setImporting] = useState(false);
+    const preview = useMemo(() => buildImportPreview(text, players, teams), [text, players, teams]);
+    const newPlayers = preview.rows.filter(row => row.status === 'new');
+    const newTeams = preview.teams.filter(team => team.status === 'new');
+    const exceedsLimit = newPlayers.length + newTeams.length > IMPORT_LIMIT;
+
+    const handleFile = async (event) => {
+        const file = event.target.files[0];
+        if (file) setText(await file.text());
+        event.target.value = '';
+    };
+
+    const handleClose = () => {
+        setText('');
+        onClose();
+    };
+
+    const handleImport = async () => {
+        setImporting(true);
+        try {
+            await onImport({ players: newPlayers, teams: newTeams });
+            handleClose();
+        } catch (error) {
+            console.error("Erro ao importar:", error);
+            alert("Não foi possível importar. Nada foi gravado; tente novamente.");
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    const statusBadge = (item) => {
+        if (item.status === 'new') return <span className="text-green-400">Novo</span>;
+        if (item.status === 'existing') return <span className="text-yellow-400">Já cadastrado</span>;
+        return <span className="text-red-400">{item.error}</span>;
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={handleClose} title="Importar Jogadores e Duplas">
+            <div className="space-y-4">
+                <p className="text-sm text-gray-400">
+                    Cole da planilha ou envie um CSV com as colunas <strong>nome, clube, rating, parceiro</strong> (cabeçalho opcional).
+                    Quem tiver parceiro forma uma dupla; basta informar o parceiro em uma das duas linhas.
+                </p>
+                <textarea
+                    value={text}
+                    onChange={e => setText(e.target.value)}
+                    rows={6}
+                    placeholder={'Ana Souza;Clube A;1650;Bia Lima\nBia Lima;Clube A;1580;'}
+                    className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <input type="file" accept=".csv,.txt,text/csv" onChange={handleFile} className="text-sm text-gray-400" />
+                {preview.rows.length > 0 && (
+                    <div className="max-h-60 overflow-y-auto bg-gray-900 rounded-lg p-2 text-sm">
+                        <table className="w-full text-left text-gray-300">
+                            <thead>
+                                <tr className="border-b border-gray-700">
+                                    <th className="p-1">Linha</th>
+                                    <th className="p-1">Nome</th>
+                                    <th className="p-1">Clube</th>
+                                    <th className="p-1">Rating</th>
+                                    <th className="p-1">Situação</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {preview.rows.map(row => (
+                                    <tr key={row.line} className="border-b border-gray-800 last:border-0">
+                                        <td className="p-1 text-gray-500">{row.line}</td>
+                                        <td className="p-1">{row.name}</td>
+                                        <td className="p-1">{row.club}</td>
+                                        <td className="p-1">{row.ratingText}</td>
+                                        <td className="p-1">{statusBadge(row)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {preview.teams.length > 0 && (
+                            <div className="mt-3 space-y-1">
+                                <p className="font-semibold text-white">Duplas</p>
+                                {preview.teams.map(team => (
+                                    <p key={team.key} className="flex justify-between">
+                                        <span>{team.playerNames.join(' & ')}</span>
+                                        {statusBadge(team)}
+                                    </p>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+                {exceedsLimit && (
+                    <p className="text-sm text-red-400">
+                        São {newPlayers.length + newTeams.length} registros novos: importe no máximo {IMPORT_LIMIT} (jogadores + duplas) por vez, dividindo a lista.
+                    </p>
+                )}
+                <div className="flex justify-end gap-2">
+                    <Button variant="secondary" onClick={handleClose}>Cancelar</Button>
+                    <Button onClick={handleImport} disabled={importing || exceedsLimit || (newPlayers.length === 0 && newTeams.length === 0)}>
+                        <Upload size={18}/> Importar {newPlayers.length} jogador(es) e {newTeams.length} dupla(s)
+                    </Button>
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
+function PlayersManager({ players, teams, ratings, onAddPlayer, onUpdatePlayer, onDeletePlayer, onImport, onOpenProfile }) {
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [isImportModalOpen, setImportModalOpen] = useState(false);
+    const [showArchived, setShowArchived] = useState(false);
+    const archivedCount = players.filter(p => p.archived).length;
+    const visiblePlayers = players.filter(p => !!p.archived === showArchived);
+    const [newPlayerName, setNewPlayerName] = useState('');
+    const [newPlayerClub, setNewPlayerClub] = useState('');
+    const [newPlayerGender, setNewPlayerGender] = useState('');
+    const [newPlayerRating, setNewPlayerRating] = useState('');
+    const [editingPlayer, setEditingPlayer] = useState(null);
+
+    const handleOpenModal = (player = null) => {
+        setEditingPlayer(player);
+        setNewPlayerName(player ? player.name : '');
+        setNewPlayerClub(player?.club || '');
+        setNewPlayerGender(player?.gender || '');
+        setNewPlayerRating(player?.initialRating ? String(player.initialRating) : '');
+        setIsModalOpen(true);
+    };
+
+    const handleCloseModal = () => {
+        setIsModalOpen(false);
+        setNewPlayerName('');
+        setNewPlayerClub('');
+        setNewPlayerGender('');
+        setNewPlayerRating('');
+        setEditingPlayer(null);
+    };
+
+    const handleSave = () => {
+        if (newPlayerName.trim() === '') return;
+        const playerData = {
+            name: newPlayerName.trim(),
+            club: newPlayerClub.trim(),
+            gender: newPlayerGender,
+            initialRating: parseInt(newPlayerRating, 10) || DEFAULT_RATING,
+        };
+        if (editingPlayer) {
+            onUpdatePlayer(editingPlayer.id, playerData);
+        } else {
+            onAddPlayer(playerData);
+        }
+        handleCloseModal();
+    };
+
+    return (
+        <Card>
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-white flex items-center gap-2"><Users /> Jogadores</h2>
+                <div className="flex gap-2">
+                    <Button variant="secondary" onClick={() => setImportModalOpen(true)}><Upload size={18} /> Importar</Button>
+                    <Button onClick={() => handleOpenModal()}><Plus size={18} /> Adicionar Jogador</Button>
+                </div>
+            </div>
+            <div className="space-y-2">
+                {visiblePlayers.length > 0 ? (
+                    visiblePlayers.map(player => (
+                        <div key={player.id} className="flex justify-between items-center bg-gray-700 p-3 rounded-lg">
+                            <span className="text-white">
+                                <button onClick={() => onOpenProfile(player)} className="hover:text-blue-400 hover:underline">{player.name}</button> {player.club && <span className="text-sm text-gray-400">({player.club})</span>}
+                                <span className="ml-2 text-xs font-bold text-yellow-400">{ratings.get(player.id) ?? DEFAULT_RATING}</span>
+                            </span>
+                            {player.archived ? (
+                                <Button variant="secondary" className="p-2 h-auto" onClick={() => onUpdatePlayer(player.id, { archived: false })}><RotateCcw size={16} /> Reativar</Button>
+                            ) : (
+                                <div className="flex gap-2">
+                                    <Button variant="secondary" className="p-2 h-auto" onClick={() => handleOpenModal(player)}><Edit size={16} /></Button>
+                                    <Button variant="danger" className="p-2 h-auto" onClick={() => onDeletePlayer(player)}><Trash2 size={16} /></Button>
+                                </div>
+                            )}
+                        </div>
+                    ))
+                ) : (
+                    <p className="text-gray-400">{showArchived ? 'Nenhum jogador arquivado.' : 'Nenhum jogador cadastrado.'}</p>
+                )}
+            </div>
+            {archivedCount > 0 && (
+                <button onClick={() => setShowArchived(!showArchived)} className="mt-3 text-sm text-blue-400 hover:text-blue-300">
+                    {showArchived ? 'Voltar aos jogadores ativos' : `Ver arquivados (${archivedCount})`}
+                </button>
+            )}
+
+            <Modal isOpen={isModalOpen} onClose={handleCloseModal} title={editingPlayer ? 'Editar Jogador' : 'Adicionar Jogador'}>
+                <div className="space-y-4">
+                    <Input
+                        type="text"
+                        placeholder="Nome do jogador"
+                        value={newPlayerName}
+                        onChange={(e) => setNewPlayerName(e.target.value)}
+                    />
+                    <Input
+                        type="text"
+                        placeholder="Clube (opcional)"
+                        value={newPlayerClub}
+                        onChange={(e) => setNewPlayerClub(e.target.value)}
+                    />
+                    <Select value={newPlayerGender} onChange={(e) => setNewPlayerGender(e.target.value)}>
+                        <option value="">Gênero (opcional, exigido nas categorias)</option>
+                        {Object.entries(PLAYER_GENDERS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </Select>
+                    <Input
+                        type="number"
+                        placeholder={`Rating inicial (padrão ${DEFAULT_RATING})`}
+                        value={newPlayerRating}
+                        onChange={(e) => setNewPlayerRating(e.target.value)}
+                    />
+                    <div className="flex justify-end gap-2">
+                        <Button variant="secondary" onClick={handleCloseModal}>Cancelar</Button>
+                        <Button onClick={handleSave}><Save size={18}/> Salvar</Button>
+                    </div>
+                </div>
+            </Modal>
+            <ImportParticipantsModal
+                isOpen={isImportModalOpen}
+                onClose={() => setImportModalOpen(false)}
+                players={players}
+                teams={teams}
+                onImport={onImport}
+            />
+        </Card>
+    );
+}
+
+function TeamsManager({ teams, players, ratings, onAddTeam, onUpdateTeam, onDeleteTeam }) {
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingTeam, setEditingTeam] = useState(null);
+    const [teamData, setTeamData] = useState({ name: '', type: 'doubles', category: 'open', playerIds: [] });
+    const [showArchived, setShowArchived] = useState(false);
+    const archivedCount = teams.filter(t => t.archived).length;
+    const visibleTeams = teams.filter(t => !!t.archived === showArchived);
+
+    const handleOpenModal = (team = null) => {
+        setEditingTeam(team);
+        if (team) {
+            setTeamData({ name: team.name, type: getTeamType(team), category: getTeamCategory(team), playerIds: team.playerIds });
+        } else {
+            setTeamData({ name: '', type: 'doubles', category: 'open', playerIds: [] });
+        }
+        setIsModalOpen(true);
+    };
+
+    const handleCloseModal = () => {
+        setIsModalOpen(false);
+        setEditingTeam(null);
+    };
+
+    const { minPlayers, maxPlayers } = TEAM_TYPES[teamData.type];
+    const isLineupChanged = !!editingTeam && teamData.playerIds.length >= minPlayers
+        && [...editingTeam.playerIds].sort().join() !== [...teamData.playerIds].sort().join();
+
+    const handleSave = () => {
+        if (teamData.name.trim() === '') {
+            alert("O nome da equipe é obrigatório.");
+            return;
+        }
+        const lineupError = validateTeamLineup(teamData, teamData.playerIds, new Map(players.map(p => [p.id, p])));
+        if (lineupError) {
+            alert(lineupError);
+            return;
+        }
+
+        const playerNames = teamData.playerIds.map(id => players.find(p => p.id === id)?.name || '');
+        const finalData = { ...teamData, playerNames };
+        // Trocar jogador é uma substituição: a formação anterior fica registrada e mantém as partidas já disputadas
+        if (isLineupChanged) {
+            finalData.formerLineups = [...(editingTeam.formerLineups || []), { playerIds: editingTeam.playerIds, until: new Date().toISOString() }];
+        }
+
+        if (editingTeam) {
+            onUpdateTeam(editingTeam.id, finalData);
+        } else {
+            onAddTeam(finalData);
+        }
+        handleCloseModal();
+    };
+
+    // Passando do limite do tipo, os primeiros selecionados saem
+    const handlePlayerSelection = (playerId) => {
+        setTeamData(prev => {
+            const newPlayerIds = prev.playerIds.includes(playerId)
+                ? prev.playerIds.filter(id => id !== playerId)
+                : [...prev.playerIds, playerId];
+            return { ...prev, playerIds: newPlayerIds.slice(-TEAM_TYPES[prev.type].maxPlayers) };
+        });
+    };
+
+    const handleTypeChange = (type) => {
+        setTeamData(prev => ({ ...prev, type, playerIds: prev.playerIds.slice(-TEAM_TYPES[type].maxPlayers) }));
+    };
+    
+    const getPlayerNames = (team) => {
+        return team.playerIds.map(id => players.find(p => p.id === id)?.name).filter(Boolean).join(team.type === 'club' ? ', ' : ' & ');
+    };
+
+    return (
+        <Card>
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-white flex items-center gap-2"><Shield /> Duplas e Equipes</h2>
+                <Button onClick={() => handleOpenModal()}><Plus size={18} /> Criar Equipe</Button>
+            </div>
+            <div className="space-y-2">
+                {visibleTeams.length > 0 ? visibleTeams.map(team => (
+                    <div key={team.id} className="flex justify-between items-center bg-gray-700 p-3 rounded-lg">
+                        <div>
+                            <p className="text-white font-semibold">
+                                {team.name} <span className="ml-1 text-xs font-bold text-yellow-400">{ratings.get(team.id) ?? DEFAULT_RATING}</span>
+                                <span className="ml-2 text-xs font-normal text-gray-400">{TEAM_TYPES[getTeamType(team)].label} · {TEAM_CATEGORIES[getTeamCategory(team)]}</span>
+                            </p>
+                            <p className="text-sm text-gray-400">{getPlayerNames(team)}</p>
+                            {team.formerLineups?.length > 0 && (
+                                <p className="text-xs text-gray-500">
+                                    Antes: {team.formerLineups.map(l => `${getPlayerNames(l)} (até ${new Date(l.until).toLocaleDateString('pt-BR')})`).join('; ')}
+                                </p>
+                            )}
+                        </div>
+                        {team.archived ? (
+                            <Button variant="secondary" className="p-2 h-auto" onClick={() => onUpdateTeam(team.id, { archived: false })}><RotateCcw size={16} /> Reativar</Button>
+                        ) : (
+                            <div className="flex gap-2">
+                                <Button variant="secondary" className="p-2 h-auto" onClick={() => handleOpenModal(team)}><Edit size={16} /></Button>
+                                <Button variant="danger" className="p-2 h-auto" onClick={() => onDeleteTeam(team)}><Trash2 size={16} /></Button>
+                            </div>
+                        )}
+                    </div>
+                )) : (
+                    <p className="text-gray-400">{showArchived ? 'Nenhuma dupla arquivada.' : 'Nenhuma equipe de dupla criada.'}</p>
+                )}
+            </div>
+            {archivedCount > 0 && (
+                <button onClick={() => setShowArchived(!showArchived)} className="mt-3 text-sm text-blue-400 hover:text-blue-300">
+                    {showArchived ? 'Voltar às duplas ativas' : `Ver arquivadas (${archivedCount})`}
+                </button>
+            )}
+
+            <Modal isOpen={isModalOpen} onClose={handleCloseModal} title={editingTeam ? 'Editar Equipe' : 'Criar Equipe'}>
+                <div className="space-y-4">
+                    <Input
+                        type="text"
+                        placeholder="Nome da equipe"
+                        value={teamData.name}
+                        onChange={(e) => setTeamData({ ...teamData, name: e.target.value })}
+                    />
+                    <div className="grid grid-cols-2 gap-2">
+                        <Select value={teamData.type} onChange={(e) => handleTypeChange(e.target.value)}>
+                            {Object.entries(TEAM_TYPES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                        </Select>
+                        <Select value={teamData.category} onChange={(e) => setTeamData({ ...teamData, category: e.target.value })}>
+                            {Object.entries(TEAM_CATEGORIES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </Select>
+                    </div>
+                    <div className="text-white">
+                        <p className="font-semibold mb-2">Selecione {minPlayers === maxPlayers ? minPlayers : `de ${minPlayers} a ${maxPlayers}`} jogadores:</p>
+                        <div className="max-h-48 overflow-y-auto space-y-2 p-2 bg-gray-900 rounded-lg">
+                            {players.filter(player => !player.archived || teamData.playerIds.includes(player.id)).map(player => (
+                                <label key={player.id} className="flex items-center gap-3 p-2 rounded-md hover:bg-gray-700 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={teamData.playerIds.includes(player.id)}
+                                        onChange={() => handlePlayerSelection(player.id)}
+                                        className="form-checkbox h-5 w-5 bg-gray-700 border-gray-600 text-blue-500 focus:ring-blue-500 rounded"
+                                    />
+                                    {player.name}
+                                    {teamData.category !== 'open' && player.gender && <span className="text-xs text-gray-400">{PLAYER_GENDERS[player.gender]}</span>}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                    {isLineupChanged && (
+                        <p className="text-sm text-yellow-400">
+                            Substituição: as partidas já disputadas continuam contando para {getPlayerNames(editingTeam)}; {teamData.type === 'club' ? 'a equipe' : 'a dupla'} mantém o nome, o rating e o histórico.
+                        </p>
+                    )}
+                    <div className="flex justify-end gap-2">
+                        <Button variant="secondary" onClick={handleCloseModal}>Cancelar</Button>
+                        <Button onClick={handleSave}><Save size={18} /> Salvar</Button>
+                    </div>
+                </div>
+            </Modal>
+        </Card>
+    );
+}
+
+function ChampionshipsManager({ championships, sharedChampionships, teams, players, onAddChampionship, onDeleteChampionship, onSelectChampionship }) {
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const createChampData = () => ({ name: '', year: new Date().getFullYear(), modality: 'singles', category: 'open', tieFormat: DEFAULT_TIE_FORMAT, format: 'groups_then_knockout', participantIds: [] });
+    const [champData, setChampData] = useState(createChampData);
+
+    const handleOpenModal = () => {
+        setChampData(createChampData());
+        setIsModalOpen(true);
+    };
+
+    // O rascunho no formato de um campeonato, para filtrar quem pode ser inscrito
+    const draftChampionship = {
+        participantType: CHAMPIONSHIP_MODALITIES[champData.modality].participantType,
+        ...(champData.modality !== 'singles' && { teamType: champData.modality }),
+        category: champData.category,
+    };
+
+    const handleCloseModal = () => setIsModalOpen(false);
+
+    const handleSave = () => {
+        if (champData.name.trim() === '' || champData.participantIds.length < 2) {
+            alert("Nome do campeonato e ao menos 2 participantes são obrigatórios.");
+            return;
+        }
+        if (champData.format === 'double_elimination' && champData.participantIds.length < 4) {
+            alert("A eliminatória dupla precisa de ao menos 4 participantes.");
+            return;
+        }
+        if (champData.modality === 'club') {
+            const { label, slots } = TIE_FORMATS[champData.tieFormat];
+            const shortTeams = teams.filter(t => champData.participantIds.includes(t.id) && t.playerIds.length < slots.home.length);
+            if (shortTeams.length > 0) {
+                alert(`No formato ${label} cada equipe escala ${slots.home.length} jogadores. Sem jogadores suficientes: ${shortTeams.map(t => t.name).join(', ')}.`);
+                return;
+            }
+        }
+
+        const initialConfig = {
+            format: champData.format,
+            groupStage: {
+                generated: false,
+                division: 'count',
+                numGroups: 1,
+                groupSize: DEFAULT_GROUP_SIZE,
+                numAdvancing: 2,
+                crossGroupRanking: 'group',
+                matchFormat: 'single'
+            },
+            matchSettings: {
+                sets: 3
+            },
+            scoring: DEFAULT_SCORING,
+            tiebreakers: DEFAULT_TIEBREAKERS,
+            knockoutStage: {
+                generated: false,
+                rounds: []
+            },
+            ...(champData.modality === 'club' && { tieFormat: champData.tieFormat }),
+        };
+
+        const finalData = {
+            name: champData.name,
+            year: parseInt(champData.year, 10) || new Date().getFullYear(),
+            ...draftChampionship,
+            participantIds: champData.participantIds,
+            config: initialConfig,
+            groups: [],
+            standings: [],
+        };
+        onAddChampionship(finalData);
+        handleCloseModal();
+    };
+
+    const handleParticipantSelection = (participantId) => {
+        setChampData(prev => ({
+            ...prev,
+            participantIds: prev.participantIds.includes(participantId)
+                ? prev.participantIds.filter(id => id !== participantId)
+                : [...prev.participantIds, participantId]
+        }));
+    };
+    
+    const availableParticipants = (draftChampionship.participantType === 'player' ? players : teams).filter(p => !p.archived && isEligibleParticipant(draftChampionship, p));
+
+    return (
+        <Card>
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-white flex items-center gap-2"><Trophy /> Campeonatos</h2>
+                <Button onClick={handleOpenModal}><Plus size={18} /> Novo Campeonato</Button>
+            </div>
+            <div className="space-y-2">
+                {championships.length > 0 ? championships.map(c => (
+                    <div key={c.id} className="flex justify-between items-center bg-gray-700 p-3 rounded-lg">
+                        <div>
                             <p className="text-white font-semibold">{c.name} - {c.year}</p>
-                            <p className="text-sm text-gray-400">{c.participantIds.length} {c.participantType === 'player' ? 'jogadores' : 'equipes'}</p>
+                            <p className="text-sm text-gray-400">
+                                {c.participantIds.length} {c.participantType === 'player' ? 'jogadores' : 'equipes'} · {CHAMPIONSHIP_MODALITIES[getChampionshipModality(c)].label}
+                                {c.category && c.category !== 'open' && ` (${TEAM_CATEGORIES[c.category].toLowerCase()})`} · {CHAMPIONSHIP_FORMATS[getChampionshipFormat(c.config)].label}
+                            </p>
                         </div>
                         <div className="flex gap-2">
                             <Button className="p-2 h-auto" onClick={() => onSelectChampionship(c.id)}><ChevronsRight size={16} /> Gerenciar</Button>
@@ -398,6 +3059,22 @@ function ChampionshipsManager({ championships, teams, players, onAddChampionship
                     <p className="text-gray-400">Nenhum campeonato criado.</p>
                 )}
             </div>
+            {sharedChampionships.length > 0 && (
+                <>
+                    <h3 className="text-lg font-bold text-white mt-6 mb-2 flex items-center gap-2"><Users size={18} /> Compartilhados comigo</h3>
+                    <div className="space-y-2">
+                        {sharedChampionships.map(c => (
+                            <div key={c.id} className="flex justify-between items-center bg-gray-700 p-3 rounded-lg">
+                                <div>
+                                    <p className="text-white font-semibold">{c.name} - {c.year}</p>
+                                    <p className="text-sm text-gray-400">{c.ownerEmail || 'Organizador'} · {CHAMPIONSHIP_ROLE_LABELS[c.role]}</p>
+                                </div>
+                                <Button className="p-2 h-auto" onClick={() => onSelectChampionship(c.id)}><ChevronsRight size={16} /> {c.role === 'viewer' ? 'Ver' : 'Gerenciar'}</Button>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
 
             <Modal isOpen={isModalOpen} onClose={handleCloseModal} title="Novo Campeonato">
                 <div className="space-y-4">
@@ -413,9 +3090,21 @@ function ChampionshipsManager({ championships, teams, players, onAddChampionship
                         value={champData.year}
                         onChange={(e) => setChampData({ ...champData, year: e.target.value })}
                     />
-                     <Select value={champData.participantType} onChange={(e) => setChampData({ ...champData, participantType: e.target.value, participantIds: [] })}>
-                        <option value="player">Individual</option>
-                        <option value="team">Duplas</option>
+                    <div className="grid grid-cols-2 gap-2">
+                        <Select value={champData.modality} onChange={(e) => setChampData({ ...champData, modality: e.target.value, category: 'open', participantIds: [] })}>
+                            {Object.entries(CHAMPIONSHIP_MODALITIES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                        </Select>
+                        <Select value={champData.category} onChange={(e) => setChampData({ ...champData, category: e.target.value, participantIds: [] })}>
+                            {getModalityCategories(champData.modality).map(category => <option key={category} value={category}>Categoria {TEAM_CATEGORIES[category].toLowerCase()}</option>)}
+                        </Select>
+                    </div>
+                    {champData.modality === 'club' && (
+                        <Select value={champData.tieFormat} onChange={(e) => setChampData({ ...champData, tieFormat: e.target.value })}>
+                            {Object.entries(TIE_FORMATS).map(([value, { label }]) => <option key={value} value={value}>Confronto: {label}</option>)}
+                        </Select>
+                    )}
+                    <Select value={champData.format} onChange={(e) => setChampData({ ...champData, format: e.target.value })}>
+                        {Object.entries(CHAMPIONSHIP_FORMATS).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
                     </Select>
                      <div className="text-white">
                         <p className="font-semibold mb-2">Selecione os participantes:</p>
@@ -433,27 +3122,809 @@ function ChampionshipsManager({ championships, teams, players, onAddChampionship
                             )) : <p className="text-gray-500 text-center p-2">Nenhum participante disponível para este tipo.</p>}
                         </div>
                     </div>
-                    <div className="flex justify-end gap-2">
-                        <Button variant="secondary" onClick={handleCloseModal}>Cancelar</Button>
-                        <Button onClick={handleSave}><Save size={18} /> Criar Campeonato</Button>
+                    <div className="flex justify-end gap-2">
+                        <Button variant="secondary" onClick={handleCloseModal}>Cancelar</Button>
+                        <Button onClick={handleSave}><Save size={18} /> Criar Campeonato</Button>
+                    </div>
+                </div>
+            </Modal>
+        </Card>
+    );
+}
+
+function RankingPage({ players, teams, ratingData, championships, selectedParticipantId, onSelectParticipant, onOpenPlayer, onBack }) {
+    const [participantType, setParticipantType] = useState(teams.some(t => t.id === selectedParticipantId) ? 'team' : 'player');
+    const source = participantType === 'player' ? players : teams;
+    const championshipNames = useMemo(() => new Map(championships.map(c => [c.id, `${c.name} - ${c.year}`])), [championships]);
+    const nameOf = (id) => source.find(p => p.id === id)?.name || 'Desconhecido';
+
+    const ranking = useMemo(() => source
+        .map(p => ({ id: p.id, name: p.name, rating: ratingData.ratings.get(p.id) ?? DEFAULT_RATING, history: ratingData.history.get(p.id) || [] }))
+        .sort((a, b) => b.rating - a.rating), [source, ratingData]);
+
+    return (
+        <div>
+            <Button onClick={onBack} variant="secondary" className="mb-4">
+                <ArrowRight className="transform rotate-180" size={18}/> Voltar para a lista
+            </Button>
+            <Card>
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold text-white flex items-center gap-2"><TrendingUp /> Ranking</h2>
+                    <div className="w-48">
+                        <Select value={participantType} onChange={e => setParticipantType(e.target.value)}>
+                            <option value="player">Individual</option>
+                            <option value="team">Duplas</option>
+                        </Select>
+                    </div>
+                </div>
+                <table className="w-full text-left text-gray-300">
+                    <thead>
+                        <tr className="border-b border-gray-600">
+                            <th className="p-2">#</th>
+                            <th className="p-2">{participantType === 'player' ? 'Jogador' : 'Dupla'}</th>
+                            <th className="p-2 text-center">Rating</th>
+                            <th className="p-2 text-center">Partidas</th>
+                            <th className="p-2 text-center">Última variação</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {ranking.map((row, index) => {
+                            const last = row.history[row.history.length - 1];
+                            return (
+                                <React.Fragment key={row.id}>
+                                    {/* A linha abre o histórico de rating; o perfil do jogador tem link próprio */}
+                                    <tr onClick={() => onSelectParticipant(selectedParticipantId === row.id ? null : row.id, participantType)} className="border-b border-gray-700 cursor-pointer hover:bg-gray-700">
+                                        <td className="p-2 font-bold">{index + 1}</td>
+                                        <td className="p-2 font-semibold">
+                                            {row.name}
+                                            {participantType === 'player' && (
+                                                <button onClick={e => { e.stopPropagation(); onOpenPlayer(row.id); }} className="ml-2 text-xs font-normal text-blue-400 hover:underline">
+                                                    Ver perfil
+                                                </button>
+                                            )}
+                                        </td>
+                                        <td className="p-2 text-center text-lg font-bold text-white">{row.rating}</td>
+                                        <td className="p-2 text-center">{row.history.length}</td>
+                                        <td className={`p-2 text-center ${last?.delta > 0 ? 'text-green-400' : 'text-red-400'}`}>{last ? formatRatingDelta(last.delta) : '-'}</td>
+                                    </tr>
+                                    {selectedParticipantId === row.id && (
+                                        <tr>
+                                            <td colSpan={5} className="p-2 bg-gray-900 text-sm">
+                                                {row.history.length === 0 ? <p className="text-gray-500">Nenhuma partida disputada.</p> : [...row.history].reverse().map(entry => (
+                                                    <p key={entry.matchId} className="text-gray-400">
+                                                        <span className={entry.delta > 0 ? 'text-green-400' : 'text-red-400'}>{formatRatingDelta(entry.delta)}</span> → {entry.rating} vs {nameOf(entry.opponentId)} <span className="text-gray-600">({championshipNames.get(entry.championshipId)})</span>
+                                                    </p>
+                                                ))}
+                                            </td>
+                                        </tr>
+                                    )}
+                                </React.Fragment>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </Card>
+        </div>
+    );
+}
+
+function PlayerProfile({ player, players, teams, championships, matches, ratingData, onBack, onOpenMatch }) {
+    const [formSize, setFormSize] = useState(PROFILE_FORM_SIZES[0]);
+    const [rivalId, setRivalId] = useState('');
+
+    const championshipNames = useMemo(() => new Map(championships.map(c => [c.id, `${c.name} - ${c.year}`])), [championships]);
+    const participantMap = useMemo(() => new Map([...players, ...teams].map(p => [p.id, p])), [players, teams]);
+    const nameOf = (id) => participantMap.get(id)?.name || 'Desconhecido';
+    // Nas duplas de um confronto entre equipes o adversário não é uma dupla cadastrada: vale o nome dos dois
+    const opponentName = (entry) => (entry.opponentId ? nameOf(entry.opponentId) : entry.opponentPlayerIds.map(nameOf).join(' & '));
+
+    const entries = useMemo(() => getPlayerMatchEntries(player.id, { matches, teams, championships }), [player.id, matches, teams, championships]);
+    const summary = useMemo(() => summarizeMatchEntries(entries), [entries]);
+    const singles = useMemo(() => summarizeMatchEntries(entries.filter(e => !e.isDoubles)), [entries]);
+    const doubles = useMemo(() => summarizeMatchEntries(entries.filter(e => e.isDoubles)), [entries]);
+    const form = entries.slice(-formSize);
+    const titles = useMemo(() => getPlayerTitles(player.id, { championships, matches, teams }), [player.id, championships, matches, teams]);
+    const partners = useMemo(() => getDoublesPartners(entries), [entries]);
+    const headToHead = useMemo(() => entries.filter(e => rivalId && e.opponentPlayerIds.includes(rivalId)), [entries, rivalId]);
+    const headToHeadSummary = summarizeMatchEntries(headToHead);
+    const rivals = players.filter(p => p.id !== player.id).sort((a, b) => a.name.localeCompare(b.name));
+    const ratingDeltas = useMemo(() => new Map((ratingData.history.get(player.id) || []).map(h => [`${h.championshipId}-${h.matchId}`, h.delta])), [ratingData, player.id]);
+
+    const renderEntry = (entry) => {
+        const { match, side } = entry;
+        const delta = ratingDeltas.get(`${match.championshipId}-${match.id}`);
+        const score = isNoPlayOutcome(match.outcome) ? MATCH_OUTCOME_LABELS[match.outcome] : `${match[`${side}Sets`]} x ${match[`${otherSide(side)}Sets`]}`;
+        return (
+            <div key={`${match.championshipId}-${match.id}`} onClick={() => onOpenMatch(match)} className="flex justify-between items-center bg-gray-700 p-2 rounded-lg cursor-pointer hover:bg-gray-600 text-sm">
+                <div>
+                    <span className={`font-bold mr-2 ${entry.won ? 'text-green-400' : 'text-red-400'}`}>{entry.won ? 'V' : 'D'}</span>
+                    <span className="text-white">vs {opponentName(entry)}</span>
+                    {entry.partnerId && <span className="text-gray-400"> (com {nameOf(entry.partnerId)})</span>}
+                    <p className="text-xs text-gray-500">{championshipNames.get(match.championshipId)} · {getMatchStageLabel(match)}{match.tieId && ' · Confronto entre equipes'}</p>
+                </div>
+                <div className="text-right">
+                    <span className="text-white font-semibold">{score}</span>
+                    {delta !== undefined && <p className={`text-xs ${delta > 0 ? 'text-green-400' : 'text-red-400'}`}>{formatRatingDelta(delta)}</p>}
+                </div>
+            </div>
+        );
+    };
+
+    const renderRecord = (label, record) => (
+        <div className="bg-gray-700 rounded-lg p-3 text-center">
+            <p className="text-xs text-gray-400 uppercase">{label}</p>
+            <p className="text-xl font-bold text-white">{record.wins}V - {record.losses}D</p>
+            <p className="text-xs text-gray-400">{getWinRate(record)}% · Sets {record.setsFor}-{record.setsAgainst}</p>
+        </div>
+    );
+
+    return (
+        <div className="space-y-6">
+            <Button onClick={onBack} variant="secondary">
+                <ArrowRight className="transform rotate-180" size={18}/> Voltar para a lista
+            </Button>
+            <Card>
+                <div className="flex justify-between items-start mb-4">
+                    <div>
+                        <h2 className="text-3xl font-bold text-white">{player.name}</h2>
+                        {player.club && <p className="text-gray-400">{player.club}</p>}
+                        {player.archived && <p className="text-xs text-yellow-400">Arquivado</p>}
+                    </div>
+                    <div className="text-right">
+                        <p className="text-xs text-gray-400 uppercase">Rating</p>
+                        <p className="text-3xl font-bold text-yellow-400">{ratingData.ratings.get(player.id) ?? DEFAULT_RATING}</p>
+                    </div>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    {renderRecord('Geral', summary)}
+                    {renderRecord('Simples', singles)}
+                    {renderRecord('Duplas', doubles)}
+                </div>
+            </Card>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <Card>
+                    <div className="flex justify-between items-center mb-3">
+                        <h3 className="text-lg font-bold text-white">Forma recente</h3>
+                        <div className="w-24">
+                            <Select value={formSize} onChange={e => setFormSize(parseInt(e.target.value, 10))}>
+                                {PROFILE_FORM_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                            </Select>
+                        </div>
+                    </div>
+                    {form.length === 0 ? <p className="text-gray-500 text-sm">Nenhuma partida disputada.</p> : (
+                        <>
+                            <div className="flex flex-wrap gap-1">
+                                {form.map(entry => (
+                                    <span key={`${entry.match.championshipId}-${entry.match.id}`} title={`vs ${opponentName(entry)}`} className={`w-7 h-7 flex items-center justify-center rounded font-bold text-sm ${entry.won ? 'bg-green-600' : 'bg-red-600'} text-white`}>
+                                        {entry.won ? 'V' : 'D'}
+                                    </span>
+                                ))}
+                            </div>
+                            <p className="text-sm text-gray-400 mt-2">{summarizeMatchEntries(form).wins} vitória(s) nas últimas {form.length} partida(s).</p>
+                        </>
+                    )}
+                </Card>
+                <Card>
+                    <h3 className="text-lg font-bold text-white mb-3 flex items-center gap-2"><Trophy size={18} className="text-yellow-400" /> Títulos</h3>
+                    {titles.length === 0 ? <p className="text-gray-500 text-sm">Nenhum título conquistado.</p> : titles.map(c => (
+                        <p key={c.id} className="text-white text-sm">{c.name} - {c.year}</p>
+                    ))}
+                </Card>
+                <Card>
+                    <h3 className="text-lg font-bold text-white mb-3 flex items-center gap-2"><Users size={18} /> Parceiros de dupla</h3>
+                    {partners.length === 0 ? <p className="text-gray-500 text-sm">Nenhuma partida de duplas.</p> : partners.map(partner => (
+                        <p key={partner.partnerId} className="text-sm text-gray-300 flex justify-between">
+                            <span className="text-white">{nameOf(partner.partnerId)}</span>
+                            <span>{partner.wins}V - {partner.played - partner.wins}D</span>
+                        </p>
+                    ))}
+                </Card>
+            </div>
+
+            <Card>
+                <h3 className="text-lg font-bold text-white mb-3 flex items-center gap-2"><Swords size={18} /> Confronto direto</h3>
+                <Select value={rivalId} onChange={e => setRivalId(e.target.value)}>
+                    <option value="">Escolha um jogador...</option>
+                    {rivals.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </Select>
+                {rivalId && (
+                    <div className="mt-4 space-y-2">
+                        <div className="flex justify-around items-center bg-gray-900 rounded-lg p-4 text-center">
+                            <div><p className="text-white font-semibold">{player.name}</p><p className="text-3xl font-bold text-green-400">{headToHeadSummary.wins}</p></div>
+                            <div className="text-gray-400 text-sm">Sets {headToHeadSummary.setsFor}-{headToHeadSummary.setsAgainst}</div>
+                            <div><p className="text-white font-semibold">{nameOf(rivalId)}</p><p className="text-3xl font-bold text-red-400">{headToHeadSummary.losses}</p></div>
+                        </div>
+                        {headToHead.length === 0 ? <p className="text-gray-500 text-sm text-center">Os jogadores ainda não se enfrentaram.</p> : [...headToHead].reverse().map(renderEntry)}
+                    </div>
+                )}
+            </Card>
+
+            <Card>
+                <h3 className="text-lg font-bold text-white mb-3 flex items-center gap-2"><History size={18} /> Partidas ({entries.length})</h3>
+                <div className="space-y-2">
+                    {entries.length === 0 ? <p className="text-gray-500 text-sm">Nenhuma partida disputada.</p> : [...entries].reverse().map(renderEntry)}
+                </div>
+            </Card>
+        </div>
+    );
+}
+
+function GroupDrawPanel({ participants, numGroups, getClubs, onConfirm }) {
+    const [seeding, setSeeding] = useState('none');
+    const [separateClubs, setSeparateClubs] = useState(false);
+    const [manualOrder, setManualOrder] = useState(null);
+    const [draft, setDraft] = useState(null);
+    const [dragging, setDragging] = useState(null);
+
+    // A lista de inscritos pode mudar com o painel aberto: a ordem ajustada à mão é mantida para quem
+    // continua inscrito, quem entrou vai para o fim na ordem do rating e um sorteio já feito é descartado
+    const rankedIds = useMemo(() => {
+        const ids = participants.map(p => p.id);
+        if (!manualOrder) return ids;
+        return [...manualOrder.filter(id => ids.includes(id)), ...ids.filter(id => !manualOrder.includes(id))];
+    }, [participants, manualOrder]);
+
+    const participantKey = participants.map(p => p.id).sort().join(',');
+    useEffect(() => {
+        setDraft(null);
+    }, [participantKey]);
+
+    const nameOf = (id) => participants.find(p => p.id === id)?.name || 'Desconhecido';
+
+    const handleMoveSeed = (index, direction) => {
+        const target = index + direction;
+        if (target < 0 || target >= rankedIds.length) return;
+        const next = [...rankedIds];
+        [next[index], next[target]] = [next[target], next[index]];
+        setManualOrder(next);
+    };
+
+    const handleDraw = () => {
+        setDraft(drawGroups(rankedIds, numGroups, { seeding, separateClubs, getClubs }));
+    };
+
+    // Ajuste manual: arrastar um participante para outro grupo
+    const handleDrop = (targetGroupIndex) => {
+        if (!dragging || dragging.groupIndex === targetGroupIndex) return;
+        setDraft(prev => prev.map((groupIds, i) => {
+            if (i === dragging.groupIndex) return groupIds.filter(id => id !== dragging.participantId);
+            if (i === targetGroupIndex) return [...groupIds, dragging.participantId];
+            return groupIds;
+        }));
+        setDragging(null);
+    };
+
+    const handleConfirm = () => {
+        const { min, max } = getGroupSizeRange(draft);
+        if (max - min > 1 && !window.confirm(`Os grupos ficaram desequilibrados (de ${min} a ${max} participantes). Confirmar mesmo assim?`)) return;
+        onConfirm(draft);
+    };
+
+    if (draft) {
+        const conflicts = countGroupClubConflicts(draft, getClubs);
+        const { min, max } = getGroupSizeRange(draft);
+        return (
+            <div className="space-y-4">
+                <p className="text-gray-300 text-center">Arraste os participantes entre os grupos para ajustar o sorteio antes de confirmar.</p>
+                {conflicts > 0 && <p className="text-yellow-400 text-center text-sm">Atenção: {conflicts} confronto(s) entre participantes do mesmo clube.</p>}
+                {max - min > 1 && <p className="text-yellow-400 text-center text-sm">Atenção: grupos desequilibrados, de {min} a {max} participantes.</p>}
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                    {draft.map((groupIds, groupIndex) => (
+                        <div key={groupIndex} onDragOver={e => e.preventDefault()} onDrop={() => handleDrop(groupIndex)} className="bg-gray-700 rounded-lg p-3 min-h-[120px]">
+                            <h4 className="font-bold text-blue-400 mb-2">{getGroupName(groupIndex)} <span className="text-gray-400 text-sm">({groupIds.length})</span></h4>
+                            {groupIds.map(id => (
+                                <div key={id} draggable onDragStart={() => setDragging({ participantId: id, groupIndex })} className="bg-gray-800 text-white px-2 py-1 rounded mb-1 cursor-move">
+                                    {nameOf(id)} {getClubs(id).length > 0 && <span className="text-xs text-gray-400">({getClubs(id).join(', ')})</span>}
+                                </div>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+                <div className="flex justify-center gap-2">
+                    <Button variant="secondary" onClick={() => setDraft(null)}><X size={18}/> Voltar</Button>
+                    <Button variant="secondary" onClick={handleDraw}><Shuffle size={18}/> Sortear Novamente</Button>
+                    <Button onClick={handleConfirm}><Save size={18}/> Confirmar Sorteio</Button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-lg mx-auto space-y-4">
+            <p className="text-gray-300 text-center">A fase de grupos ainda não foi gerada.</p>
+            <p className="text-gray-400 text-sm text-center">
+                {participants.length} participantes em {numGroups} grupo(s) de {Math.floor(participants.length / numGroups)}
+                {participants.length % numGroups > 0 && ` a ${Math.ceil(participants.length / numGroups)}`} participantes.
+            </p>
+            <div>
+                <label className="text-gray-300 font-semibold">Tipo de Sorteio</label>
+                <Select value={seeding} onChange={e => setSeeding(e.target.value)}>
+                    {Object.entries(DRAW_SEEDING_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </Select>
+            </div>
+            <label className="flex items-center gap-3 text-white cursor-pointer">
+                <input type="checkbox" checked={separateClubs} onChange={e => setSeparateClubs(e.target.checked)} className="form-checkbox h-5 w-5 bg-gray-700 border-gray-600 text-blue-500 focus:ring-blue-500 rounded" />
+                Separar participantes do mesmo clube
+            </label>
+            {seeding !== 'none' && (
+                <div>
+                    <p className="text-gray-300 font-semibold mb-2">Ranking (os {numGroups} primeiros são cabeças de chave):</p>
+                    <div className="max-h-64 overflow-y-auto space-y-1 p-2 bg-gray-900 rounded-lg">
+                        {rankedIds.map((id, index) => (
+                            <div key={id} className={`flex items-center justify-between px-2 py-1 rounded ${index < numGroups ? 'bg-blue-900' : 'bg-gray-700'}`}>
+                                <span className="text-white">{index + 1}. {nameOf(id)}</span>
+                                <div className="flex gap-1">
+                                    <Button variant="secondary" className="p-1 h-auto" onClick={() => handleMoveSeed(index, -1)} disabled={index === 0} aria-label={`Subir ${nameOf(id)}`}><ArrowUp size={14}/></Button>
+                                    <Button variant="secondary" className="p-1 h-auto" onClick={() => handleMoveSeed(index, 1)} disabled={index === rankedIds.length - 1} aria-label={`Descer ${nameOf(id)}`}><ArrowDown size={14}/></Button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+            <div className="flex justify-center">
+                <Button onClick={handleDraw}><Shuffle size={18}/> Sortear Grupos</Button>
+            </div>
+        </div>
+    );
+}
+
+// Escalação das duas equipes e placar de cada jogo do confronto, na ordem do formato
+function TieScoreEditor({ format, teams, getPlayerName, draft, evaluation, onChange }) {
+    const setLineup = (side, slot, value) => onChange({ ...draft, lineup: { ...draft.lineup, [side]: { ...draft.lineup[side], [slot]: value } } });
+    const setDoubles = (side, index, value) => setLineup(side, 'doubles', draft.lineup[side].doubles.map((id, i) => (i === index ? value : id)));
+    const setSetInput = (rubberIndex, setIndex, side, value) => onChange({
+        ...draft,
+        rubberInputs: draft.rubberInputs.map((inputs, i) => (i !== rubberIndex ? inputs : inputs.map((set, j) => (j === setIndex ? { ...set, [side]: value } : set)))),
+    });
+    const describeSide = (ids) => (ids.every(Boolean) ? ids.map(getPlayerName).join(' / ') : '?');
+
+    const renderPlayerSelect = (side, value, onSelect, label) => (
+        <Select value={value} onChange={e => onSelect(e.target.value)} aria-label={label}>
+            <option value="">Jogador</option>
+            {(teams[side]?.playerIds || []).map(id => <option key={id} value={id}>{getPlayerName(id)}</option>)}
+        </Select>
+    );
+
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+                {['home', 'away'].map(side => (
+                    <div key={side} className="space-y-2">
+                        <p className="text-gray-300 font-semibold truncate">{teams[side]?.name}</p>
+                        {format.slots[side].map(slot => (
+                            <div key={slot} className="flex items-center gap-2">
+                                <span className="text-gray-400 w-5">{slot}</span>
+                                {renderPlayerSelect(side, draft.lineup[side][slot], value => setLineup(side, slot, value), `Posição ${slot}`)}
+                            </div>
+                        ))}
+                        {hasDoublesRubber(format) && draft.lineup[side].doubles.map((id, index) => (
+                            <div key={index} className="flex items-center gap-2">
+                                <span className="text-gray-400 w-5">D</span>
+                                {renderPlayerSelect(side, id, value => setDoubles(side, index, value), `Dupla ${side === 'home' ? 'da casa' : 'visitante'} ${index + 1}`)}
+                            </div>
+                        ))}
+                    </div>
+                ))}
+            </div>
+            <div className="space-y-2">
+                {format.order.map((rubber, rubberIndex) => {
+                    const { homePlayerIds, awayPlayerIds } = getRubberPlayers(rubber, draft.lineup);
+                    const result = evaluation.rubbers[rubberIndex];
+                    const notPlayed = evaluation.decided && rubberIndex >= evaluation.rubbers.length;
+                    return (
+                        <div key={rubber} className={`bg-gray-900 rounded-lg p-2 ${notPlayed ? 'opacity-50' : ''}`}>
+                            <div className="flex justify-between text-sm">
+                                <span className="text-gray-300"><span className="font-bold text-blue-400">{rubberIndex + 1}º {getTieRubberLabel(rubber)}</span> · {describeSide(homePlayerIds)} x {describeSide(awayPlayerIds)}</span>
+                                {result && <span className="font-bold text-white">{result.homeSets} x {result.awaySets}</span>}
+                                {notPlayed && <span className="text-gray-500">Não disputado</span>}
+                            </div>
+                            <div className="flex flex-wrap gap-2 mt-1">
+                                {draft.rubberInputs[rubberIndex].map((set, setIndex) => (
+                                    <div key={setIndex} className="flex items-center gap-1">
+                                        <Input type="number" min="0" value={set.home} onChange={e => setSetInput(rubberIndex, setIndex, 'home', e.target.value)} className="w-12 text-center text-yellow-300 bg-gray-700 rounded-lg" aria-label={`Jogo ${rubberIndex + 1}, set ${setIndex + 1}, casa`} />
+                                        <span className="text-gray-500">-</span>
+                                        <Input type="number" min="0" value={set.away} onChange={e => setSetInput(rubberIndex, setIndex, 'away', e.target.value)} className="w-12 text-center text-yellow-300 bg-gray-700 rounded-lg" aria-label={`Jogo ${rubberIndex + 1}, set ${setIndex + 1}, visitante`} />
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+// Na página pública o placar ao vivo já chega resumido, sem a lista de pontos
+const LiveMatchBadge = ({ live, bestOf }) => {
+    const state = live.rallies ? replayLiveMatch(live, bestOf) : live;
+    return (
+        <div className="flex items-center gap-2">
+            <span className="text-xs px-2 py-1 rounded bg-red-600 text-white font-bold animate-pulse">AO VIVO</span>
+            <span className="font-bold text-xl">{state.homeSets} x {state.awaySets}</span>
+            <span className="text-sm text-gray-300">({state.current.home}-{state.current.away})</span>
+        </div>
+    );
+};
+
+const SyncStatusBadge = ({ online, pending }) => {
+    if (!online) {
+        return (
+            <span className="flex items-center gap-1 px-2 py-1 rounded bg-red-900 text-red-200" title="As alterações ficam salvas neste aparelho e são enviadas quando a conexão voltar">
+                <WifiOff size={14}/> Offline{pending > 0 && ` · ${pending} alteração(ões) na fila`}
+            </span>
+        );
+    }
+    if (pending > 0) {
+        return (
+            <span className="flex items-center gap-1 px-2 py-1 rounded bg-yellow-900 text-yellow-200">
+                <RefreshCw size={14} className="animate-spin"/> Sincronizando {pending} alteração(ões)
+            </span>
+        );
+    }
+    return <span className="flex items-center gap-1 px-2 py-1 rounded bg-gray-800 text-green-400"><Wifi size={14}/> Sincronizado</span>;
+};
+
+function LiveScoreboard({ match, bestOf, onUpdateLive, onFinish, onClose }) {
+    const [setup, setSetup] = useState({ firstServer: 'home', homeStartsLeft: true });
+    const [now, setNow] = useState(Date.now());
+    const live = match.live;
+
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    const state = useMemo(() => (live ? replayLiveMatch(live, bestOf) : null), [live, bestOf]);
+
+    if (!live) {
+        return (
+            <div className="fixed inset-0 bg-gray-900 z-50 flex flex-col justify-center items-center p-6 text-white">
+                <h2 className="text-3xl font-bold mb-8">{match.homeParticipantName} <span className="text-gray-400">vs</span> {match.awayParticipantName}</h2>
+                <div className="w-full max-w-md space-y-4">
+                    <div>
+                        <label className="text-gray-300 font-semibold">Primeiro saque</label>
+                        <Select value={setup.firstServer} onChange={e => setSetup({ ...setup, firstServer: e.target.value })}>
+                            <option value="home">{match.homeParticipantName}</option>
+                            <option value="away">{match.awayParticipantName}</option>
+                        </Select>
+                    </div>
+                    <div>
+                        <label className="text-gray-300 font-semibold">Lado esquerdo no início</label>
+                        <Select value={setup.homeStartsLeft ? 'home' : 'away'} onChange={e => setSetup({ ...setup, homeStartsLeft: e.target.value === 'home' })}>
+                            <option value="home">{match.homeParticipantName}</option>
+                            <option value="away">{match.awayParticipantName}</option>
+                        </Select>
+                    </div>
+                    <div className="flex justify-between gap-2">
+                        <Button variant="secondary" onClick={onClose}>Cancelar</Button>
+                        <Button onClick={() => onUpdateLive(createLiveState(setup.firstServer, setup.homeStartsLeft))}><Play size={18}/> Iniciar Partida</Button>
                     </div>
                 </div>
-            </Modal>
+            </div>
+        );
+    }
+
+    const gameElapsed = state.gameStartedAt ? now - new Date(state.gameStartedAt).getTime() : 0;
+    const expediteActive = live.expediteAtRally !== null && live.expediteAtRally !== undefined;
+    // A aceleração não se aplica se ambos já fizeram ao menos 9 pontos
+    const expediteDue = !expediteActive && gameElapsed >= EXPEDITE_AFTER_MS && !(state.current.home >= 9 && state.current.away >= 9);
+
+    const handlePoint = (side) => {
+        if (state.decided) return;
+        const rallyTimes = [...(live.rallyTimes || live.rallies.map(() => null)), new Date().toISOString()];
+        onUpdateLive({ ...live, rallies: [...live.rallies, side], rallyTimes });
+    };
+
+    const handleUndo = () => {
+        if (live.rallies.length === 0) return;
+        const rallies = live.rallies.slice(0, -1);
+        const rallyTimes = (live.rallyTimes || live.rallies.map(() => null)).slice(0, rallies.length);
+        const expediteAtRally = expediteActive && live.expediteAtRally > rallies.length ? null : live.expediteAtRally;
+        onUpdateLive({ ...live, rallies, rallyTimes, expediteAtRally });
+    };
+
+    const sides = state.homeOnLeft ? ['home', 'away'] : ['away', 'home'];
+    const formatClock = (ms) => `${Math.floor(ms / 60000)}:${String(Math.floor(ms / 1000) % 60).padStart(2, '0')}`;
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 z-50 flex flex-col p-4 text-white select-none">
+            <div className="flex justify-between items-center mb-4">
+                <Button variant="secondary" onClick={onClose}><X size={18}/> Fechar</Button>
+                <div className="text-center">
+                    <p className="text-gray-400 text-sm">Melhor de {bestOf} · Game {state.sets.length + (state.decided ? 0 : 1)}</p>
+                    <p className={`font-mono text-lg ${expediteDue ? 'text-red-400' : 'text-gray-300'}`}>{formatClock(gameElapsed)}</p>
+                </div>
+                <Button variant="secondary" onClick={handleUndo} disabled={live.rallies.length === 0}><Undo2 size={18}/> Desfazer</Button>
+            </div>
+            {state.switchedSides && !state.decided && <p className="text-center text-yellow-400 font-bold text-xl mb-2">Troca de lado!</p>}
+            {expediteActive && <p className="text-center text-red-400 font-bold mb-2">Regra de aceleração ativa: o saque alterna a cada ponto.</p>}
+            <div className="flex-1 grid grid-cols-2 gap-4">
+                {sides.map(side => (
+                    <button key={side} onClick={() => handlePoint(side)} disabled={state.decided} className="bg-gray-800 rounded-2xl border border-gray-700 flex flex-col justify-center items-center active:bg-gray-700 disabled:opacity-60">
+                        <p className="text-2xl font-bold truncate max-w-full px-4">
+                            {state.server === side && <span className="inline-block w-4 h-4 rounded-full bg-yellow-400 mr-2" title="Saque"></span>}
+                            {match[`${side}ParticipantName`]}
+                        </p>
+                        <p className="text-[10rem] leading-none font-extrabold">{state.current[side]}</p>
+                        <p className="text-3xl text-blue-400 font-bold">{state[`${side}Sets`]} sets</p>
+                    </button>
+                ))}
+            </div>
+            <div className="flex justify-center gap-2 mt-2 text-gray-400">
+                {state.sets.map((set, i) => <span key={i} className="bg-gray-800 px-2 py-1 rounded">{set.home}-{set.away}</span>)}
+            </div>
+            <div className="flex justify-center flex-wrap gap-2 mt-4">
+                {['home', 'away'].map(side => (
+                    <Button key={side} variant="secondary" disabled={live.timeouts[side]} onClick={() => onUpdateLive({ ...live, timeouts: { ...live.timeouts, [side]: true } })}>
+                        <Timer size={18}/> Tempo {match[`${side}ParticipantName`]}
+                    </Button>
+                ))}
+                <Button variant={expediteDue ? 'danger' : 'secondary'} disabled={expediteActive} onClick={() => onUpdateLive({ ...live, expediteAtRally: live.rallies.length })}>
+                    <Zap size={18}/> Regra de Aceleração
+                </Button>
+                {state.decided && <Button onClick={() => onFinish(state.sets)}><Save size={18}/> Encerrar e Salvar Resultado</Button>}
+            </div>
+        </div>
+    );
+}
+
+function GroupStandingsTable({ standing, participantMap }) {
+    return (
+        <Card className="mb-6">
+            <h3 className="text-xl font-bold text-blue-400 mb-4">{standing.groupName}</h3>
+            <div className="overflow-x-auto">
+                <table className="w-full text-left text-gray-300">
+                    <thead>
+                        <tr className="border-b border-gray-600">
+                            <th className="p-2">#</th>
+                            <th className="p-2">Participante</th>
+                            <th className="p-2 text-center">P</th>
+                            <th className="p-2 text-center">J</th>
+                            <th className="p-2 text-center">V</th>
+                            <th className="p-2 text-center">D</th>
+                            <th className="p-2 text-center">SP</th>
+                            <th className="p-2 text-center">SC</th>
+                            <th className="p-2 text-center">SD</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                    {standing.table.map((row, index) => (
+                        <tr key={row.participantId} className="border-b border-gray-700 last:border-0">
+                            <td className="p-2 font-bold">{index + 1}</td>
+                            <td className="p-2 font-semibold">{participantMap.get(row.participantId)?.name || 'Desconhecido'}</td>
+                            <td className="p-2 text-center text-lg font-bold text-white">{row.points}</td>
+                            <td className="p-2 text-center">{row.played}</td>
+                            <td className="p-2 text-center text-green-400">{row.wins}</td>
+                            <td className="p-2 text-center text-red-400">{row.losses}</td>
+                            <td className="p-2 text-center">{row.setsFor}</td>
+                            <td className="p-2 text-center">{row.setsAgainst}</td>
+                            <td className="p-2 text-center">{row.setDifference}</td>
+                        </tr>
+                    ))}
+                    </tbody>
+                </table>
+            </div>
         </Card>
     );
 }
 
-function ChampionshipDetail({ championship, teams, players, onBack, onUpdateChampionship, userId }) {
+const BRACKET_ROW_TITLES = { winners: 'Chave dos vencedores', losers: 'Chave dos perdedores', final: null };
+
+function KnockoutBracket({ rounds, matches, participantMap, onOpenScore }) {
+    const matchMap = useMemo(() => new Map(matches.map(m => [m.id, m])), [matches]);
+    const championId = getBracketChampionId(rounds, matchMap);
+    // Na eliminatória dupla cada chave ocupa uma linha; as rodadas já vêm em ordem de disputa
+    const visibleRounds = useMemo(() => rounds.filter(round => !isSkippedGrandFinalReset(matchMap.get(round.matchIds[0]), matchMap)), [rounds, matchMap]);
+    const bracketRows = useMemo(() => visibleRounds.reduce((rows, round) => {
+        const bracket = round.bracket || 'main';
+        const row = rows.find(r => r.bracket === bracket);
+        if (row) row.rounds.push(round);
+        else rows.push({ bracket, rounds: [round] });
+        return rows;
+    }, []), [visibleRounds]);
+
+    const renderSlot = (match, side) => {
+        const participantId = match[`${side}ParticipantId`];
+        const sets = isNoPlayOutcome(match.outcome) ? '' : match[`${side}Sets`];
+        const isWinner = participantId && getMatchWinnerId(match) === participantId;
+        const badge = !isWinner && MATCH_OUTCOME_BADGES[match.outcome];
+        const emptyLabel = isByeMatch(match) ? 'Folga' : 'A definir';
+        return (
+            <div className={`flex justify-between items-center px-3 py-2 ${isWinner ? 'text-green-400 font-bold' : 'text-gray-300'}`}>
+                <span className={`truncate ${participantId ? '' : 'italic text-gray-500'}`}>{participantId ? (participantMap.get(participantId)?.name || match[`${side}ParticipantName`]) : emptyLabel}</span>
+                <span className="ml-2">{match.status === 'completed' ? sets : ''} {badge && <span className="text-xs text-yellow-400">{badge}</span>}</span>
+            </div>
+        );
+    };
+
+    return (
+        <div>
+            {championId && (
+                <div className="text-center mb-6 text-2xl font-bold text-yellow-400 flex items-center justify-center gap-2">
+                    <Trophy /> Campeão: {participantMap.get(championId)?.name || 'Desconhecido'}
+                </div>
+            )}
+            {bracketRows.map(({ bracket, rounds: rowRounds }) => (
+                <div key={bracket}>
+                    {BRACKET_ROW_TITLES[bracket] && <h3 className="text-lg font-bold text-white mb-2">{BRACKET_ROW_TITLES[bracket]}</h3>}
+                    <div className="flex gap-6 overflow-x-auto pb-4">
+                        {rowRounds.map(round => (
+                            <div key={round.name} className="flex flex-col justify-around gap-4 min-w-[220px]">
+                                <h4 className="text-center font-bold text-blue-400">{round.name}</h4>
+                                {round.matchIds.map(matchId => {
+                                    const match = matchMap.get(matchId);
+                                    // Folga sem ninguém (o lado foi redirecionado na montagem) não aparece
+                                    if (!match || (isByeMatch(match) && !match.winnerId)) return null;
+                                    const canScore = match.status === 'pending' && match.homeParticipantId && match.awayParticipantId;
+                                    return (
+                                        <div key={matchId} className="bg-gray-700 rounded-lg divide-y divide-gray-600">
+                                            {renderSlot(match, 'home')}
+                                            {renderSlot(match, 'away')}
+                                            {canScore && onOpenScore && (
+                                                <button onClick={() => onOpenScore(match)} className="w-full text-sm text-blue-400 hover:text-blue-300 py-1">Lançar Placar</button>
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function PublicChampionshipView({ ownerId, championshipId }) {
     const [activeTab, setActiveTab] = useState('groups');
-    const [matches, setMatches] = useState([]);
+    const [championship, setChampionship] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        setLoading(true);
+        const unsubscribe = onSnapshot(doc(db, getPublicChampionshipPath(ownerId, championshipId)), (docSnap) => {
+            setChampionship(docSnap.exists() ? docSnap.data() : null);
+            setLoading(false);
+        }, (error) => {
+            console.error("Error fetching public championship:", error);
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, [ownerId, championshipId]);
+
+    const participantMap = useMemo(() => new Map((championship?.participants || []).map(p => [p.id, p])), [championship]);
+    const playerNames = useMemo(() => new Map((championship?.players || []).map(p => [p.id, p.name])), [championship]);
+    const matches = useMemo(() => championship?.matches || [], [championship]);
+    const matchSections = useMemo(() => buildMatchSections(matches, championship?.groups || []), [matches, championship]);
+    const liveMatches = matches.filter(m => m.status === 'pending' && m.live);
+
+    if (loading) return <Spinner />;
+    if (!championship) {
+        return (
+            <Card className="text-center">
+                <h2 className="text-2xl font-bold text-white">Campeonato não encontrado</h2>
+                <p className="text-gray-400 mt-2">O link está incorreto ou o organizador deixou de publicar este campeonato.</p>
+            </Card>
+        );
+    }
+
+    const bestOf = parseInt(championship.config.matchSettings?.sets, 10) || 3;
+
+    const getPlayerName = (id) => playerNames.get(id) || '?';
+
+    const renderMatchRow = (match) => (
+        <div key={match.id} className="bg-gray-700 p-3 rounded-lg">
+            <div className="flex items-center gap-4">
+                <div className="text-xs text-gray-400 w-24 truncate">
+                    {match.table && match.status === 'pending' && <p className="text-blue-400">Mesa {match.table}{match.scheduledAt && ` · ${formatTime(match.scheduledAt)}`}</p>}
+                </div>
+                <span className={`flex-1 text-right truncate font-semibold ${match.status === 'completed' && getMatchWinnerId(match) === match.homeParticipantId ? 'text-green-400' : ''}`}>{match.homeParticipantName || 'A definir'}</span>
+                {match.status === 'completed' ? (
+                    <div className="flex flex-col items-center">
+                        <span className="font-bold text-xl">{isNoPlayOutcome(match.outcome) ? '-' : `${match.homeSets ?? '-'} x ${match.awaySets ?? '-'}`}</span>
+                        {MATCH_OUTCOME_BADGES[match.outcome] && <span className="text-xs text-yellow-400">{MATCH_OUTCOME_BADGES[match.outcome]}</span>}
+                        {match.sets?.length > 0 && <span className="text-xs text-gray-400">{formatSetScores(match.sets)}</span>}
+                    </div>
+                ) : isAnnulledMatch(match) ? (
+                    <span className="text-xs px-2 py-1 rounded bg-gray-600 text-gray-300">Anulada</span>
+                ) : match.live ? (
+                    <LiveMatchBadge live={match.live} bestOf={bestOf} />
+                ) : (
+                    <span className="text-gray-400 font-bold text-xl">vs</span>
+                )}
+                <span className={`flex-1 text-left truncate font-semibold ${match.status === 'completed' && getMatchWinnerId(match) === match.awayParticipantId ? 'text-green-400' : ''}`}>{match.awayParticipantName || 'A definir'}</span>
+            </div>
+            {match.status === 'completed' && match.tie && (
+                <div className="mt-2 text-xs text-gray-400 flex flex-wrap justify-center gap-x-4">
+                    {match.tie.rubbers.map((rubber, index) => (
+                        <span key={index}>
+                            {getTieRubberLabel(rubber.rubber)}: {rubber.homePlayerIds.map(getPlayerName).join(' / ')} <span className="text-white font-semibold">{rubber.homeSets}x{rubber.awaySets}</span> {rubber.awayPlayerIds.map(getPlayerName).join(' / ')}
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+
+    const format = getChampionshipFormat(championship.config);
+    const tabs = [
+        ...(isEliminationFormat(format) ? [] : [['groups', <List size={18}/>, format === 'groups_then_knockout' ? 'Grupos & Classificação' : 'Classificação']]),
+        ['matches', <Swords size={18}/>, 'Partidas'],
+        ...(championship.config.knockoutStage.generated ? [['knockout', <Trophy size={18}/>, isEliminationFormat(format) ? 'Chaveamento' : 'Mata-mata']] : []),
+    ];
+    const currentTab = tabs.some(([tab]) => tab === activeTab) ? activeTab : tabs[0][0];
+
+    return (
+        <div>
+            <div className="text-center mb-6">
+                <h2 className="text-3xl font-bold text-white">{championship.name} - {championship.year}</h2>
+                <p className="text-blue-400">{championship.participants.length} {championship.participantType === 'player' ? 'Jogadores' : 'Equipes'} - {championship.participantType === 'player' ? "Individual" : "Duplas"}</p>
+                <p className="text-xs text-gray-500 mt-1">Resultados atualizados automaticamente{championship.updatedAt && ` · última atualização ${new Date(championship.updatedAt).toLocaleString('pt-BR')}`}</p>
+            </div>
+            {liveMatches.length > 0 && (
+                <Card className="mb-6">
+                    <h3 className="text-xl font-bold text-red-400 mb-4 flex items-center gap-2"><Radio size={20}/> Ao vivo agora</h3>
+                    <div className="space-y-3">{liveMatches.map(renderMatchRow)}</div>
+                </Card>
+            )}
+            <div className="flex justify-center border-b border-gray-700 mb-6">
+                {tabs.map(([tab, icon, label]) => (
+                    <button key={tab} onClick={() => setActiveTab(tab)} className={`px-4 py-2 font-semibold flex items-center gap-2 ${currentTab === tab ? 'text-blue-500 border-b-2 border-blue-500' : 'text-gray-400'}`}>{icon} {label}</button>
+                ))}
+            </div>
+            {currentTab === 'groups' && (
+                championship.config.groupStage.generated
+                    ? championship.standings.map(standing => <GroupStandingsTable key={standing.groupName} standing={standing} participantMap={participantMap} />)
+                    : <Card><p className="text-center text-gray-400">{format === 'groups_then_knockout' ? 'Os grupos ainda não foram sorteados.' : 'A classificação ainda não foi gerada.'}</p></Card>
+            )}
+            {currentTab === 'matches' && (
+                <Card>
+                    {matchSections.length === 0 && <p className="text-center text-gray-400">Nenhuma partida gerada ainda.</p>}
+                    <div className="space-y-3">
+                        {matchSections.map(section => (
+                            <div key={section.key} className="space-y-3">
+                                <h4 className="text-sm font-bold text-blue-400 mt-4">
+                                    {section.title}
+                                    {section.resting.length > 0 && <span className="ml-2 font-normal text-gray-400">Folga: {section.resting.map(id => participantMap.get(id)?.name || '?').join(', ')}</span>}
+                                </h4>
+                                {section.matches.map(renderMatchRow)}
+                            </div>
+                        ))}
+                    </div>
+                </Card>
+            )}
+            {currentTab === 'knockout' && (
+                <Card>
+                    <KnockoutBracket rounds={championship.config.knockoutStage.rounds} matches={matches} participantMap={participantMap} />
+                </Card>
+            )}
+        </div>
+    );
+}
+
+function ChampionshipDetail({ championship, teams, players, ratingData, activeTab, focusedMatchId, onNavigate, onBack, onUpdateChampionship, userId, userEmail, role = 'owner' }) {
+    const [storedMatches, setStoredMatches] = useState([]);
     const [loadingMatches, setLoadingMatches] = useState(true);
     const [isScoreModalOpen, setScoreModalOpen] = useState(false);
     const [isConfigModalOpen, setConfigModalOpen] = useState(false);
     const [isManualMatchModalOpen, setManualMatchModalOpen] = useState(false);
     const [editingMatch, setEditingMatch] = useState(null);
-    const [matchScore, setMatchScore] = useState({ home: '', away: '' });
-    const [currentConfig, setCurrentConfig] = useState(championship.config);
+    const [setInputs, setSetInputs] = useState([]);
+    const [resultOutcome, setResultOutcome] = useState({ outcome: 'normal', affectedSide: 'home' });
+    const [tieDraft, setTieDraft] = useState(null);
+    const [expandedHistoryId, setExpandedHistoryId] = useState(null);
+    const [currentConfig, setCurrentConfig] = useState({
+        ...championship.config,
+        scoring: getScoringConfig(championship.config),
+        tiebreakers: getTiebreakers(championship.config),
+    });
     const [manualMatchData, setManualMatchData] = useState({ homeParticipantId: '', awayParticipantId: ''});
+    const [isExportModalOpen, setExportModalOpen] = useState(false);
+    const [entryDraft, setEntryDraft] = useState({ participantId: '', groupName: '' });
+    const [withdrawalDraft, setWithdrawalDraft] = useState(null);
     
     const participantMap = useMemo(() => {
         const map = new Map();
@@ -465,13 +3936,27 @@ function ChampionshipDetail({ championship, teams, players, onBack, onUpdateCham
     const participants = useMemo(() => {
         return championship.participantIds.map(id => participantMap.get(id)).filter(Boolean);
     }, [championship.participantIds, participantMap]);
+
+    const matches = useMemo(() => storedMatches.map(m => resolveMatchNames(m, participantMap)), [storedMatches, participantMap]);
+    const withdrawnIds = useMemo(() => getWithdrawnIds(championship), [championship]);
     
-    const collectionPath = `artifacts/${appId}/users/${userId}/championships/${championship.id}/matches`;
+    // Campeonatos compartilhados continuam na área de quem os criou
+    const ownerId = championship.ownerId || userId;
+    const canManage = role === 'owner';
+    const canScore = role !== 'viewer';
+    // O rating vem do histórico de partidas de quem abre o app; num campeonato compartilhado esse histórico
+    // (o do dono) não está disponível, então variações de rating e cabeças de chave não são mostradas
+    const showsRatings = role === 'owner';
+    const format = getChampionshipFormat(championship.config);
+    const tabs = [...CHAMPIONSHIP_FORMATS[format].tabs, ...(canManage ? ['settings'] : [])];
+    // Abas que não existem no formato (ou sem permissão) caem na primeira aba do formato
+    const currentTab = tabs.includes(activeTab) ? activeTab : tabs[0];
+    const collectionPath = `artifacts/${appId}/users/${ownerId}/championships/${championship.id}/matches`;
 
     useEffect(() => {
         if (!userId) {
             setLoadingMatches(false);
-            setMatches([]);
+            setStoredMatches([]);
             return;
         }
 
@@ -479,7 +3964,7 @@ function ChampionshipDetail({ championship, teams, players, onBack, onUpdateCham
         const q = query(collection(db, collectionPath));
         const unsubscribe = onSnapshot(q, (querySnapshot) => {
             const matchesData = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setMatches(matchesData);
+            setStoredMatches(matchesData);
             setLoadingMatches(false);
         }, (error) => {
             console.error(`Error fetching matches:`, error);
@@ -489,187 +3974,667 @@ function ChampionshipDetail({ championship, teams, players, onBack, onUpdateCham
         return () => unsubscribe();
     }, [userId, championship.id, collectionPath]);
 
-    const addMatch = async (data) => {
-        if (!userId) return;
-        await addDoc(collection(db, collectionPath), data);
-    };
+    const isPublished = !!championship.publicPage?.published;
+    const publicUrl = getPublicChampionshipUrl(ownerId, championship.id);
+    const publicSnapshot = useMemo(() => (
+        isPublished && canScore && !loadingMatches ? buildPublicSnapshot(championship, participants, matches, players) : null
+    ), [isPublished, canScore, loadingMatches, championship, participants, matches, players]);
+    const lastPublishedRef = useRef(null);
+
+    // Resultados e placar ao vivo publicam junto com a própria gravação (addPublicSnapshot); as demais
+    // mudanças, enquanto esta tela está aberta, são espelhadas na cópia pública por aqui
+    useEffect(() => {
+        if (!publicSnapshot) return;
+        const serialized = JSON.stringify(publicSnapshot);
+        if (serialized === lastPublishedRef.current) return;
+        lastPublishedRef.current = serialized;
+        queueWrite(setDoc(doc(db, getPublicChampionshipPath(ownerId, championship.id)), { ...publicSnapshot, updatedAt: new Date().toISOString() }));
+    }, [publicSnapshot, ownerId, championship.id]);
+
+    const addPublicSnapshot = (batch, updatedMatches, updatedChampionship = championship) => {
+        if (!isPublished || !canScore) return;
+        const snapshot = buildPublicSnapshot(updatedChampionship, participants, updatedMatches, players);
+        lastPublishedRef.current = JSON.stringify(snapshot);
+        batch.set(doc(db, getPublicChampionshipPath(ownerId, championship.id)), { ...snapshot, updatedAt: new Date().toISOString() });
+    };
+
+    const handleTogglePublicPage = async () => {
+        if (!isPublished) {
+            await onUpdateChampionship(championship.id, { publicPage: { published: true, publishedAt: new Date().toISOString() } });
+            return;
+        }
+        if (!window.confirm("Despublicar a página? Quem tiver o link não conseguirá mais acompanhar o campeonato.")) return;
+        await onUpdateChampionship(championship.id, { publicPage: { published: false } });
+        queueWrite(deleteDoc(doc(db, getPublicChampionshipPath(ownerId, championship.id))));
+        lastPublishedRef.current = null;
+    };
+
+    const handleCopyPublicLink = async () => {
+        try {
+            await navigator.clipboard.writeText(publicUrl);
+            alert("Link copiado!");
+        } catch (error) {
+            window.prompt("Copie o link da página pública:", publicUrl);
+        }
+    };
+
+    const members = championship.members || [];
+    const [memberDraft, setMemberDraft] = useState({ email: '', role: 'scorekeeper' });
+
+    // A lista fica no campeonato e é espelhada no índice de acesso consultado pelos convidados
+    const handleSaveMembers = async (updatedMembers) => {
+        const batch = writeBatch(db);
+        batch.update(doc(db, `artifacts/${appId}/users/${ownerId}/championships`, championship.id), { members: updatedMembers });
+        if (updatedMembers.length > 0) {
+            batch.set(doc(db, getChampionshipAccessPath(ownerId, championship.id)), {
+                ownerId,
+                championshipId: championship.id,
+                ownerEmail: championship.ownerEmail || userEmail || '',
+                championshipName: championship.name,
+                members: updatedMembers,
+                memberEmails: updatedMembers.map(m => m.email),
+            });
+        } else {
+            batch.delete(doc(db, getChampionshipAccessPath(ownerId, championship.id)));
+        }
+        queueWrite(batch.commit());
+    };
+
+    const handleAddMember = async () => {
+        const email = normalizeEmail(memberDraft.email);
+        if (!email.includes('@')) {
+            alert("Informe um e-mail válido.");
+            return;
+        }
+        if (email === userEmail || members.some(m => m.email === email)) {
+            alert("Este e-mail já tem acesso ao campeonato.");
+            return;
+        }
+        await handleSaveMembers([...members, { email, role: memberDraft.role }]);
+        setMemberDraft({ ...memberDraft, email: '' });
+    };
+
+    const handleChangeMemberRole = (email, newRole) => handleSaveMembers(members.map(m => m.email === email ? { ...m, role: newRole } : m));
+
+    const handleRemoveMember = async (email) => {
+        if (!window.confirm(`Remover o acesso de ${email}?`)) return;
+        await handleSaveMembers(members.filter(m => m.email !== email));
+    };
+
+    const addMatch = (data) => {
+        if (!userId) return;
+        queueWrite(addDoc(collection(db, collectionPath), data));
+    };
+
+    // Sem groupName, recalcula todos os grupos (ex.: após mudar a pontuação ou os critérios de desempate)
+    const handleRecalculateStandings = useCallback(async (champ, updatedMatches, groupName) => {
+        const newStandings = computeUpdatedStandings(champ, updatedMatches, groupName);
+        if (!newStandings) return;
+        await onUpdateChampionship(champ.id, { standings: newStandings });
+    }, [onUpdateChampionship]);
+
+    const bestOf = parseInt(championship.config.matchSettings.sets, 10) || 3;
+    // Equipes de clube disputam confrontos: o placar é lançado jogo a jogo, com a escalação de cada equipe
+    const tieFormatKey = getChampionshipModality(championship) === 'club' ? getTieFormatKey(championship.config) : null;
+    const tieFormat = tieFormatKey && TIE_FORMATS[tieFormatKey];
+    const getPlayerName = (id) => players.find(p => p.id === id)?.name || '?';
+
+    const tieEvaluation = useMemo(() => {
+        if (!tieFormat || !tieDraft) return null;
+        return evaluateTie(tieFormat, tieDraft.lineup, tieDraft.rubberInputs.map(inputs => parseSetInputs(inputs).sets), bestOf);
+    }, [tieFormat, tieDraft, bestOf]);
+
+    const scoreEvaluation = useMemo(() => {
+        const { sets, error } = parseSetInputs(setInputs);
+        if (error) return { sets, homeSets: 0, awaySets: 0, decided: false, error };
+        return { sets, ...evaluateMatchSets(sets, bestOf, { allowUnfinishedLast: resultOutcome.outcome === 'retired' }) };
+    }, [setInputs, bestOf, resultOutcome.outcome]);
+
+    const handleSetInputChange = (index, side, value) => {
+        setSetInputs(prev => prev.map((s, i) => i === index ? { ...s, [side]: value } : s));
+    };
+
+    const openScoreModal = (match) => {
+        setEditingMatch(match);
+        // Partidas encerradas abrem com o resultado atual para correção
+        const existingSets = match.status === 'completed' ? match.sets || [] : [];
+        setSetInputs(Array.from({ length: Math.max(bestOf, existingSets.length) }, (_, i) => ({
+            home: existingSets[i] ? String(existingSets[i].home) : '',
+            away: existingSets[i] ? String(existingSets[i].away) : '',
+        })));
+        if (tieFormat) {
+            const rubbers = match.status === 'completed' ? match.tie?.rubbers || [] : [];
+            setTieDraft({
+                lineup: match.tie?.lineup || createTieLineup(tieFormat),
+                rubberInputs: tieFormat.order.map((_, i) => Array.from({ length: bestOf }, (_, j) => {
+                    const set = rubbers[i]?.sets[j];
+                    return { home: set ? String(set.home) : '', away: set ? String(set.away) : '' };
+                })),
+            });
+        }
+        if (match.status === 'completed' && match.outcome && match.outcome !== 'normal') {
+            setResultOutcome({ outcome: match.outcome, affectedSide: match.winnerId === match.homeParticipantId ? 'away' : 'home' });
+        } else {
+            setResultOutcome({ outcome: 'normal', affectedSide: 'home' });
+        }
+        setScoreModalOpen(true);
+    };
+
+    // Grava o resultado (ou a reabertura) com histórico e propaga a mudança no chaveamento e na classificação
+    const applyMatchResult = async (match, resultData, action) => {
+        const getName = (id) => participantMap.get(id)?.name || '?';
+        const cascade = match.stage === 'knockout' ? getKnockoutCascadeUpdates(matches, match, resultData.winnerId || null, getName) : [];
+        const resetMatches = cascade.filter(u => u.resetsResult);
+        if (resetMatches.length > 0 && !window.confirm(`Esta mudança reabre ${resetMatches.length} partida(s) seguinte(s) do mata-mata que já tinham resultado. Continuar?`)) {
+            return false;
+        }
+
+        let updatedMatches = matches.map(m => {
+            if (m.id === match.id) return { ...m, ...resultData };
+            const cascadeUpdate = cascade.find(u => u.id === m.id);
+            return cascadeUpdate ? { ...m, ...cascadeUpdate.data } : m;
+        });
+        const newStandings = isGroupStageMatch(match) ? computeUpdatedStandings(championship, updatedMatches, match.groupName) : null;
+
+        // Com o mata-mata já gerado, a correção num grupo pode mudar os classificados
+        const reseed = newStandings && championship.config.knockoutStage.generated
+            ? getKnockoutReseedUpdates(
+                updatedMatches,
+                computeKnockoutQualifiers(championship, matches).map(q => q.participantId),
+                computeKnockoutQualifiers({ ...championship, standings: newStandings }, updatedMatches).map(q => q.participantId),
+                getName)
+            : { updates: [], blocked: false };
+        if (reseed.blocked && !window.confirm("Esta correção muda os classificados do mata-mata, que já tem partidas disputadas por eles. OK apaga o chaveamento para gerá-lo de novo com a nova classificação; Cancelar desiste da correção.")) {
+            return false;
+        }
+        const knockoutMatches = reseed.blocked ? updatedMatches.filter(m => m.stage === 'knockout') : [];
+        updatedMatches = reseed.blocked
+            ? updatedMatches.filter(m => m.stage !== 'knockout')
+            : updatedMatches.map(m => ({ ...m, ...reseed.updates.find(u => u.id === m.id)?.data }));
+
+        const at = new Date().toISOString();
+        const batch = writeBatch(db);
+        batch.update(doc(db, collectionPath, match.id), {
+            ...resultData,
+            completedAt: resultData.status === 'completed' ? at : null,
+            history: arrayUnion({ action, by: userEmail || userId, at, before: pickMatchResult(match), after: pickMatchResult({ ...match, ...resultData }) })
+        });
+        cascade.forEach(({ id, data, resetsResult, before }) => {
+            batch.update(doc(db, collectionPath, id), resetsResult
+                ? { ...data, completedAt: null, history: arrayUnion({ action: 'reset', by: userEmail || userId, at, before: pickMatchResult(before), after: pickMatchResult(EMPTY_MATCH_RESULT) }) }
+                : data);
+        });
+        reseed.updates.forEach(({ id, data }) => batch.update(doc(db, collectionPath, id), data));
+        knockoutMatches.forEach(m => batch.delete(doc(db, collectionPath, m.id)));
+        const updatedChampionship = {
+            ...championship,
+            ...(newStandings && { standings: newStandings }),
+            ...(reseed.blocked && { config: { ...championship.config, knockoutStage: { generated: false, rounds: [] } } }),
+        };
+        addPublicSnapshot(batch, updatedMatches, updatedChampionship);
+        queueWrite(batch.commit());
+
+        if (newStandings || reseed.blocked) {
+            await onUpdateChampionship(championship.id, {
+                ...(newStandings && { standings: newStandings }),
+                ...(reseed.blocked && { 'config.knockoutStage': { generated: false, rounds: [] } }),
+            });
+        }
+        return true;
+    };
+
+    const [liveMatchId, setLiveMatchId] = useState(null);
+    const liveMatch = matches.find(m => m.id === liveMatchId);
+
+    // O estado ao vivo fica no documento da partida: quem acompanha o campeonato vê a atualização pelo onSnapshot
+    const handleUpdateLive = async (live) => {
+        if (!userId) return;
+        const batch = writeBatch(db);
+        batch.update(doc(db, collectionPath, liveMatchId), { live });
+        addPublicSnapshot(batch, matches.map(m => m.id === liveMatchId ? { ...m, live } : m));
+        queueWrite(batch.commit());
+    };
+
+    const handleFinishLive = async (sets) => {
+        const { data, error } = buildMatchResult(liveMatch, { sets }, bestOf);
+        if (error) {
+            alert(error);
+            return;
+        }
+        const saved = await applyMatchResult(liveMatch, { ...data, live: null }, 'result');
+        if (saved) setLiveMatchId(null);
+    };
+
+    const handleReopenMatch = async (match) => {
+        if (!window.confirm(`Reabrir ${match.homeParticipantName} x ${match.awayParticipantName}? O resultado atual será descartado.`)) return;
+        await applyMatchResult(match, EMPTY_MATCH_RESULT, 'reopen');
+    };
+
+    const handleSaveScore = async () => {
+        if (!editingMatch) return;
+        if (tieFormat && !isNoPlayOutcome(resultOutcome.outcome)) {
+            await handleSaveTie();
+            return;
+        }
+        const { sets, error: inputError } = parseSetInputs(setInputs);
+        if (inputError && !isNoPlayOutcome(resultOutcome.outcome)) {
+            alert(inputError);
+            return;
+        }
+        const { data: updatedMatchData, error } = buildMatchResult(editingMatch, { ...resultOutcome, sets }, bestOf);
+        if (error) {
+            alert(error);
+            return;
+        }
+        const saved = await applyMatchResult(editingMatch, { ...updatedMatchData, ...(tieFormat && { tie: null }) }, editingMatch.status === 'completed' ? 'edit' : 'result');
+        if (!saved) return;
+
+        setScoreModalOpen(false);
+        setEditingMatch(null);
+    };
+
+    const handleSaveTie = async () => {
+        const rubberSets = [];
+        for (let i = 0; i < tieDraft.rubberInputs.length; i++) {
+            const { sets, error } = parseSetInputs(tieDraft.rubberInputs[i]);
+            if (error) {
+                alert(`${i + 1}º jogo: ${error}`);
+                return;
+            }
+            rubberSets.push(sets);
+        }
+        const { data, error } = buildTieResult(editingMatch, tieFormatKey, tieDraft.lineup, rubberSets, bestOf);
+        if (error) {
+            alert(error);
+            return;
+        }
+        const saved = await applyMatchResult(editingMatch, data, editingMatch.status === 'completed' ? 'edit' : 'result');
+        if (!saved) return;
+
+        setScoreModalOpen(false);
+        setEditingMatch(null);
+    };
+    
+    const matchSections = useMemo(() => buildMatchSections(matches, championship.groups), [matches, championship.groups]);
+
+    // Clubes de um participante; uma dupla carrega os clubes dos seus dois jogadores
+    const getParticipantClubs = useCallback((participantId) => {
+        const participant = participantMap.get(participantId);
+        if (!participant) return [];
+        const clubs = championship.participantType === 'player'
+            ? [participant.club]
+            : (participant.playerIds || []).map(id => players.find(p => p.id === id)?.club);
+        return [...new Set(clubs.filter(Boolean))];
+    }, [participantMap, championship.participantType, players]);
+
+    const handleGenerateGroups = async (drawnGroups) => {
+        if (participants.length < 2 || championship.config.groupStage.numGroups < 1) {
+            alert("É necessário ter ao menos 2 participantes e 1 grupo para gerar as chaves.");
+            return;
+        }
+        if (drawnGroups.some(groupIds => groupIds.length === 0)) {
+            alert("Todos os grupos precisam ter ao menos um participante.");
+            return;
+        }
+
+        const newGroups = drawnGroups.map((groupIds, i) => ({
+            name: getGroupName(i),
+            participantIds: groupIds
+        }));
+
+        const newStandings = newGroups.map(g => ({
+            groupName: g.name,
+            table: g.participantIds.map(createStandingsRow)
+        }));
+
+        await onUpdateChampionship(championship.id, { 
+            groups: newGroups,
+            standings: newStandings,
+            'config.groupStage.generated': true
+         });
+    };
+
+    const addGroupMatch = (batch, groupName, round, homeId, awayId) => {
+        batch.set(doc(collection(db, collectionPath)), {
+            stage: 'group',
+            groupName,
+            round,
+            homeParticipantId: homeId,
+            awayParticipantId: awayId,
+            homeParticipantName: participantMap.get(homeId)?.name || '?',
+            awayParticipantName: participantMap.get(awayId)?.name || '?',
+            homeSets: null,
+            awaySets: null,
+            status: 'pending'
+        });
+    };
+
+    const addGroupFixtures = (batch, groupName, fixtures) => {
+        fixtures.forEach(({ round, homeId, awayId }) => addGroupMatch(batch, groupName, round, homeId, awayId));
+    };
+
+    const homeAndAway = championship.config.groupStage.matchFormat === 'home_and_away';
+    const usesRoundRobin = format === 'groups_then_knockout' || format === 'league';
+    // O que falta, sobra ou ficou obsoleto em cada grupo, comparando as partidas existentes com a tabela de Berger
+    const groupFixturePlans = useMemo(() => (usesRoundRobin ? championship.groups : []).map(group => ({
+        group,
+        ...planGroupFixtures(group.participantIds, matches.filter(m => isGroupStageMatch(m) && m.groupName === group.name), homeAndAway, withdrawnIds),
+    })), [usesRoundRobin, championship.groups, matches, homeAndAway, withdrawnIds]);
+    const missingFixtureCount = groupFixturePlans.reduce((total, plan) => total + plan.fixtures.length, 0);
+    const hasGroupMatches = matches.some(isGroupStageMatch);
+    const groupIssues = hasGroupMatches
+        ? groupFixturePlans.filter(plan => plan.fixtures.length + plan.duplicates.length + plan.stale.length > 0)
+        : [];
+
+    // Gerar de novo só cria o que falta: partidas existentes (inclusive com resultado) nunca são repetidas
+    const handleGenerateMatches = async () => {
+        const batch = writeBatch(db);
+        groupFixturePlans.forEach(plan => addGroupFixtures(batch, plan.group.name, plan.fixtures));
+        queueWrite(batch.commit());
+        alert(`${missingFixtureCount} partida(s) da fase de grupos gerada(s)!`);
+    };
+
+    // Regenerar um grupo (depois de um novo sorteio, por exemplo): as partidas duplicadas ou com quem saiu do
+    // grupo são apagadas se ainda pendentes e anuladas se já têm resultado; as que faltam são criadas
+    const handleRegenerateGroup = async (plan) => {
+        const obsolete = [...plan.stale, ...plan.duplicates];
+        const withResult = obsolete.filter(m => m.status === 'completed');
+        if (withResult.length > 0 && !window.confirm(`${withResult.length} partida(s) do ${plan.group.name} já têm resultado e serão anuladas. Continuar?`)) return;
+        const at = new Date().toISOString();
+        const batch = writeBatch(db);
+        obsolete.forEach(match => {
+            if (match.status !== 'completed') {
+                batch.delete(doc(db, collectionPath, match.id));
+                return;
+            }
+            const data = { status: 'annulled' };
+            batch.update(doc(db, collectionPath, match.id), { ...data, history: arrayUnion({ action: 'regenerate', by: userEmail || userId, at, before: pickMatchResult(match), after: pickMatchResult({ ...match, ...data }) }) });
+        });
+        addGroupFixtures(batch, plan.group.name, plan.fixtures);
+        queueWrite(batch.commit());
+        if (withResult.length > 0) {
+            const updatedMatches = matches.map(m => (withResult.includes(m) ? { ...m, status: 'annulled' } : m));
+            await handleRecalculateStandings(championship, updatedMatches, plan.group.name);
+        }
+    };
+
+    // Refazer o sorteio só é possível enquanto nenhuma partida dos grupos tem resultado
+    const canRedrawGroups = format === 'groups_then_knockout' && championship.config.groupStage.generated
+        && !championship.config.knockoutStage.generated && !matches.some(m => isGroupStageMatch(m) && m.status === 'completed');
+
+    const handleRedrawGroups = async () => {
+        if (!window.confirm("Refazer o sorteio dos grupos? Depois do novo sorteio, regenere as partidas de cada grupo.")) return;
+        await onUpdateChampionship(championship.id, { 'config.groupStage.generated': false });
+    };
+
+    const participantsByRating = useMemo(() => [...participants].sort((a, b) => (
+        (ratingData.ratings.get(b.id) ?? DEFAULT_RATING) - (ratingData.ratings.get(a.id) ?? DEFAULT_RATING)
+    )), [participants, ratingData]);
+
+    // Liga e suíço: um grupo único com todos; a liga já nasce com a tabela completa, o suíço com a 1ª rodada
+    const handleStartStandingsFormat = async () => {
+        const groupName = format === 'swiss' ? SWISS_GROUP_NAME : LEAGUE_GROUP_NAME;
+        const group = { name: groupName, participantIds: participantsByRating.map(p => p.id) };
+        const batch = writeBatch(db);
+        const updates = {
+            groups: [group],
+            standings: [{ groupName, table: group.participantIds.map(createStandingsRow) }],
+            'config.groupStage.generated': true,
+        };
+        if (format === 'swiss') {
+            const { pairs, byeId } = pairSwissRound(group.participantIds, [], [], 1);
+            pairs.forEach(([homeId, awayId]) => addGroupMatch(batch, groupName, 1, homeId, awayId));
+            const swiss = { ...getSwissConfig(championship.config, participants.length), byes: byeId ? [{ round: 1, participantId: byeId }] : [] };
+            updates['config.swiss'] = swiss;
+            if (byeId) {
+                const byeMatches = getSwissByeMatches({ swiss });
+                updates.standings = [{ groupName, table: computeGroupStandings(group.participantIds, byeMatches, championship.config, championship.id) }];
+            }
+        } else {
+            addGroupFixtures(batch, groupName, planGroupFixtures(group.participantIds, [], homeAndAway).fixtures);
+        }
+        queueWrite(batch.commit());
+        await onUpdateChampionship(championship.id, updates);
+    };
+
+    const swissConfig = getSwissConfig(championship.config, participants.length);
+    // Depois de gerar grupos, chaveamento ou partidas, o formato não pode mais mudar
+    const hasStarted = championship.config.groupStage.generated || championship.config.knockoutStage.generated
+        || matches.some(m => getMatchStage(m) !== 'friendly');
+    const selectedFormat = currentConfig.format || format;
+    const swissRound = Math.max(0, ...matches.filter(isGroupStageMatch).map(m => m.round || 0));
+    const canGenerateSwissRound = format === 'swiss' && swissRound > 0 && swissRound < swissConfig.numRounds
+        && matches.every(m => !isGroupStageMatch(m) || m.status !== 'pending');
+
+    const handleGenerateSwissRound = async () => {
+        const group = championship.groups[0];
+        const round = swissRound + 1;
+        const groupMatches = matches.filter(isGroupStageMatch);
+        const ranked = computeGroupStandings(group.participantIds, [...groupMatches, ...getSwissByeMatches(championship.config)], championship.config, championship.id)
+            .map(row => row.participantId)
+            .filter(id => !withdrawnIds.includes(id));
+        const pairing = pairSwissRound(ranked, groupMatches.filter(m => !isAnnulledMatch(m)), swissConfig.byes.map(b => b.participantId), round);
+        if (!pairing) {
+            alert("Não há como emparelhar a próxima rodada sem repetir confrontos.");
+            return;
+        }
+        const batch = writeBatch(db);
+        pairing.pairs.forEach(([homeId, awayId]) => addGroupMatch(batch, group.name, round, homeId, awayId));
+        queueWrite(batch.commit());
+        const config = { ...championship.config, swiss: { ...swissConfig, byes: pairing.byeId ? [...swissConfig.byes, { round, participantId: pairing.byeId }] : swissConfig.byes } };
+        await onUpdateChampionship(championship.id, { 'config.swiss': config.swiss });
+        if (pairing.byeId) await handleRecalculateStandings({ ...championship, config }, matches);
+    };
+
+    const entrantOptions = (championship.participantType === 'player' ? players : teams)
+        .filter(p => !p.archived && !championship.participantIds.includes(p.id) && isEligibleParticipant(championship, p));
+
+    // Inscrição tardia: antes do sorteio basta entrar na lista; com o grupo em andamento, ganha só as
+    // partidas que faltam (no suíço, entra no emparelhamento da próxima rodada)
+    const handleAddLateEntry = async () => {
+        const { participantId } = entryDraft;
+        if (!participantId) {
+            alert("Selecione quem vai ser inscrito.");
+            return;
+        }
+        if (championship.config.knockoutStage.generated) {
+            alert("O chaveamento já foi gerado: não é mais possível inscrever participantes.");
+            return;
+        }
+        const participantIds = [...championship.participantIds, participantId];
+        setEntryDraft({ participantId: '', groupName: '' });
+        if (!championship.config.groupStage.generated) {
+            await onUpdateChampionship(championship.id, { participantIds });
+            return;
+        }
+
+        const group = championship.groups.find(g => g.name === entryDraft.groupName)
+            || championship.groups.reduce((smallest, g) => (g.participantIds.length < smallest.participantIds.length ? g : smallest));
+        const groupMatches = matches.filter(m => isGroupStageMatch(m) && m.groupName === group.name);
+        const fixtures = format !== 'swiss' && groupMatches.length > 0
+            ? planGroupFixtures([...group.participantIds, participantId], groupMatches, homeAndAway, withdrawnIds).fixtures
+            : [];
+        if (fixtures.length > 0) {
+            const batch = writeBatch(db);
+            addGroupFixtures(batch, group.name, fixtures);
+            queueWrite(batch.commit());
+        }
+        const groups = championship.groups.map(g => g.name === group.name ? { ...g, participantIds: [...g.participantIds, participantId] } : g);
+        await onUpdateChampionship(championship.id, { participantIds, groups });
+        await handleRecalculateStandings({ ...championship, participantIds, groups }, matches, group.name);
+        if (fixtures.length > 0) alert(`${participantMap.get(participantId)?.name} entrou no ${group.name} com ${fixtures.length} partida(s) gerada(s).`);
+    };
+
+    const handleWithdraw = async () => {
+        const { participantId, mode } = withdrawalDraft;
+        setWithdrawalDraft(null);
+        // Antes de a disputa começar, desistir é só sair da lista de inscritos
+        if (!hasStarted) {
+            await onUpdateChampionship(championship.id, { participantIds: championship.participantIds.filter(id => id !== participantId) });
+            return;
+        }
+
+        const getName = (id) => participantMap.get(id)?.name || '?';
+        const at = new Date().toISOString();
+        const historyEntry = (match, data, action) => arrayUnion({ action, by: userEmail || userId, at, before: pickMatchResult(match), after: pickMatchResult({ ...match, ...data }) });
+        const group = championship.groups.find(g => g.participantIds.includes(participantId));
+        const groupMatches = group ? matches.filter(m => isGroupStageMatch(m) && m.groupName === group.name) : [];
+        const matchUpdates = getWithdrawalMatchUpdates(participantId, groupMatches, mode);
 
-    const updateMatch = async (id, data) => {
-        if (!userId) return;
-        const docRef = doc(db, collectionPath, id);
-        await updateDoc(docRef, data);
+        const batch = writeBatch(db);
+        matchUpdates.forEach(({ match, data, action }) => {
+            batch.update(doc(db, collectionPath, match.id), { ...data, ...(data.status === 'completed' && { completedAt: at }), history: historyEntry(match, data, action) });
+        });
+        // No mata-mata não há o que anular: as partidas com adversário definido viram W.O. e o chaveamento segue
+        const knockoutWithdrawal = getKnockoutWithdrawalUpdates(matches, participantId, getName);
+        knockoutWithdrawal.updates.forEach(({ id, data, walkover, before }) => {
+            batch.update(doc(db, collectionPath, id), walkover ? { ...data, live: null, completedAt: at, history: historyEntry(before, data, 'withdrawal') } : data);
+        });
+        queueWrite(batch.commit());
+
+        // Sem partidas no grupo ainda, não há resultado a manter: o desistente simplesmente sai do grupo
+        const groups = group && (mode === 'annul' || groupMatches.length === 0)
+            ? championship.groups.map(g => g.name === group.name ? { ...g, participantIds: g.participantIds.filter(id => id !== participantId) } : g)
+            : championship.groups;
+        const withdrawals = [...(championship.withdrawals || []), { participantId, mode, at }];
+        await onUpdateChampionship(championship.id, { groups, withdrawals });
+        if (group) {
+            const updatedMatches = matches.map(m => ({ ...m, ...matchUpdates.find(u => u.match.id === m.id)?.data }));
+            await handleRecalculateStandings({ ...championship, groups, withdrawals }, updatedMatches, group.name);
+        }
+        if (knockoutWithdrawal.waitingMatchIds.length > 0) {
+            alert(`${getName(participantId)} ainda está no chaveamento numa partida sem adversário definido: lance o W.O. quando o adversário for conhecido.`);
+        }
     };
-    
-    const handleRecalculateStandings = useCallback(async (champ, updatedMatches, groupName) => {
-        const group = champ.groups.find(g => g.name === groupName);
-        if (!group) return;
 
-        let standings = group.participantIds.map(participantId => ({
-            participantId,
-            played: 0, wins: 0, losses: 0,
-            setsFor: 0, setsAgainst: 0, setDifference: 0, points: 0,
-        }));
-        
-        const groupMatches = updatedMatches.filter(m => m.groupName === groupName && m.status === 'completed');
-
-        groupMatches.forEach(match => {
-            const homeParticipantStats = standings.find(s => s.participantId === match.homeParticipantId);
-            const awayParticipantStats = standings.find(s => s.participantId === match.awayParticipantId);
-            
-            if (homeParticipantStats) {
-                homeParticipantStats.played += 1;
-                homeParticipantStats.setsFor += match.homeSets;
-                homeParticipantStats.setsAgainst += match.awaySets;
-                if (match.homeSets > match.awaySets) {
-                    homeParticipantStats.wins += 1;
-                    homeParticipantStats.points += 2;
-                } else {
-                    homeParticipantStats.losses += 1;
-                    homeParticipantStats.points += 1;
-                }
-            }
-            if (awayParticipantStats) {
-                awayParticipantStats.played += 1;
-                awayParticipantStats.setsFor += match.awaySets;
-                awayParticipantStats.setsAgainst += match.homeSets;
-                 if (match.awaySets > match.homeSets) {
-                    awayParticipantStats.wins += 1;
-                    awayParticipantStats.points += 2;
-                } else {
-                    awayParticipantStats.losses += 1;
-                    awayParticipantStats.points += 1;
-                }
-            }
-        });
+    const groupSizeRange = championship.groups.length > 0 ? getGroupSizeRange(championship.groups.map(g => g.participantIds)) : null;
+    const hasUnequalGroups = format === 'groups_then_knockout' && groupSizeRange && groupSizeRange.min !== groupSizeRange.max;
+    const normalizesGroups = championship.config.groupStage.crossGroupRanking === 'normalized';
 
-        standings.forEach(s => {
-            s.setDifference = s.setsFor - s.setsAgainst;
-        });
+    const knockoutQualifiers = useMemo(() => computeKnockoutQualifiers(championship, matches), [championship, matches]);
 
-        standings.sort((a, b) => {
-            if (a.points !== b.points) return b.points - a.points;
-            if (a.setDifference !== b.setDifference) return b.setDifference - a.setDifference;
-            if (a.setsFor !== b.setsFor) return b.setsFor - a.setsFor;
-            return 0;
-        });
+    const [scheduleSettings, setScheduleSettings] = useState(() => getScheduleConfig(championship.config));
 
-        const newStandings = champ.standings.filter(s => s.groupName !== groupName);
-        newStandings.push({ groupName, table: standings });
-        
-        await onUpdateChampionship(champ.id, { standings: newStandings });
+    // Jogadores físicos envolvidos: em duplas, os dois jogadores de cada equipe
+    const getMatchPlayerIds = useCallback((match) => {
+        return [match.homeParticipantId, match.awayParticipantId].filter(Boolean).flatMap(id => (
+            championship.participantType === 'player' ? [id] : participantMap.get(id)?.playerIds || [id]
+        ));
+    }, [championship.participantType, participantMap]);
 
-    }, [onUpdateChampionship]);
+    const handleGenerateSchedule = async () => {
+        const settings = {
+            tables: parseInt(scheduleSettings.tables, 10) || 1,
+            startTime: scheduleSettings.startTime,
+            matchDuration: parseInt(scheduleSettings.matchDuration, 10) || DEFAULT_SCHEDULE.matchDuration,
+            minRest: parseInt(scheduleSettings.minRest, 10) || 0,
+        };
+        if (!settings.startTime || Number.isNaN(new Date(settings.startTime).getTime())) {
+            alert("Informe o horário de início.");
+            return;
+        }
 
-    const openScoreModal = (match) => {
-        setEditingMatch(match);
-        setMatchScore({ home: '', away: '' }); // Reset score on open
-        setScoreModalOpen(true);
+        const assignments = scheduleMatches(matches, settings, getMatchPlayerIds);
+        const batch = writeBatch(db);
+        matches.filter(m => m.status === 'pending').forEach(m => {
+            const assignment = assignments.find(a => a.id === m.id);
+            batch.update(doc(db, collectionPath, m.id), assignment
+                ? { table: assignment.table, scheduledAt: assignment.scheduledAt }
+                : { table: null, scheduledAt: null });
+        });
+        queueWrite(batch.commit());
+        await onUpdateChampionship(championship.id, { 'config.schedule': settings });
     };
 
-    const handleSaveScore = async () => {
-        if (!editingMatch) return;
-        const updatedMatchData = {
-            homeSets: parseInt(matchScore.home, 10) || 0,
-            awaySets: parseInt(matchScore.away, 10) || 0,
-            status: 'completed'
-        };
-        await updateMatch(editingMatch.id, updatedMatchData);
+    const scheduleByTable = useMemo(() => {
+        const tables = new Map();
+        matches.filter(m => m.table).forEach(m => tables.set(m.table, [...(tables.get(m.table) || []), m]));
+        return [...tables.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([table, tableMatches]) => ({ table, matches: tableMatches.sort((a, b) => a.scheduledAt.localeCompare(b.scheduledAt)) }));
+    }, [matches]);
+
+    // Nas eliminatórias entram todos os participantes, com os cabeças de chave pelo rating
+    const knockoutSeedIds = isEliminationFormat(format) ? participantsByRating.map(p => p.id) : knockoutQualifiers.map(q => q.participantId);
+    const knockoutByes = getBracketSize(knockoutSeedIds.length) - knockoutSeedIds.length;
+    const knockoutByesNote = knockoutByes > 0 && (
+        <p className="text-sm text-gray-400 mb-4">{knockoutByes} folga(s) na 1ª rodada: os {knockoutByes} primeiros cabeças de chave avançam direto.</p>
+    );
 
-        const updatedMatches = matches.map(m => m.id === editingMatch.id ? {...m, ...updatedMatchData} : m);
-        if (editingMatch.stage === 'group') {
-            handleRecalculateStandings(championship, updatedMatches, editingMatch.groupName);
+    const handleGenerateKnockout = async () => {
+        if (knockoutSeedIds.length < 2) {
+            alert("O chaveamento precisa de ao menos 2 participantes.");
+            return;
         }
-        
-        setScoreModalOpen(false);
-        setEditingMatch(null);
-    };
-    
-    const handleGenerateGroups = async () => {
-        if (participants.length < 2 || championship.config.groupStage.numGroups < 1) {
-            alert("É necessário ter ao menos 2 participantes e 1 grupo para gerar as chaves.");
+        const hasPendingGroupMatches = matches.some(m => isGroupStageMatch(m) && m.status === 'pending');
+        if (hasPendingGroupMatches && !window.confirm("Ainda há partidas pendentes na fase de grupos. Gerar o mata-mata com a classificação atual?")) {
             return;
         }
 
-        const shuffledParticipants = [...participants].sort(() => 0.5 - Math.random());
-        const numGroups = championship.config.groupStage.numGroups;
-        const newGroups = Array.from({ length: numGroups }, (_, i) => ({
-            name: `Grupo ${String.fromCharCode(65 + i)}`,
-            participantIds: []
-        }));
+        const buildBracket = format === 'double_elimination' ? buildDoubleEliminationBracket : buildKnockoutBracket;
+        const { rounds, matches: bracketMatches, error } = buildBracket(knockoutSeedIds, () => doc(collection(db, collectionPath)).id);
+        if (error) {
+            alert(error);
+            return;
+        }
 
-        shuffledParticipants.forEach((p, index) => {
-            newGroups[index % numGroups].participantIds.push(p.id);
+        const batch = writeBatch(db);
+        bracketMatches.forEach(({ id, ...match }) => {
+            batch.set(doc(db, collectionPath, id), {
+                ...match,
+                homeParticipantName: match.homeParticipantId ? participantMap.get(match.homeParticipantId)?.name || '?' : null,
+                awayParticipantName: match.awayParticipantId ? participantMap.get(match.awayParticipantId)?.name || '?' : null,
+            });
         });
+        queueWrite(batch.commit());
 
-        const newStandings = newGroups.map(g => ({
-            groupName: g.name,
-            table: g.participantIds.map(pid => ({ participantId: pid, played: 0, wins: 0, losses: 0, setsFor: 0, setsAgainst: 0, setDifference: 0, points: 0 }))
-        }));
+        await onUpdateChampionship(championship.id, {
+            'config.knockoutStage': { generated: true, rounds }
+        });
+    };
 
-        await onUpdateChampionship(championship.id, { 
-            groups: newGroups,
-            standings: newStandings,
-            'config.groupStage.generated': true
-         });
+    const handleSaveConfig = async () => {
+        const scoring = Object.fromEntries(Object.entries(currentConfig.scoring).map(([key, value]) => {
+            const parsed = parseInt(value, 10);
+            return [key, Number.isNaN(parsed) ? DEFAULT_SCORING[key] : parsed];
+        }));
+        // Salva apenas os campos editáveis para não sobrescrever o estado das fases já geradas
+        await onUpdateChampionship(championship.id, {
+            ...(!hasStarted && { 'config.format': selectedFormat }),
+            ...(tieFormat && !hasStarted && { 'config.tieFormat': getTieFormatKey(currentConfig) }),
+            ...(selectedFormat === 'swiss' && { 'config.swiss.numRounds': Math.max(1, parseInt(currentConfig.swiss?.numRounds, 10) || swissConfig.numRounds) }),
+            'config.matchSettings.sets': parseInt(currentConfig.matchSettings.sets, 10) || 3,
+            'config.groupStage.matchFormat': currentConfig.groupStage.matchFormat,
+            'config.groupStage.division': currentConfig.groupStage.division || 'count',
+            'config.groupStage.numGroups': parseInt(currentConfig.groupStage.numGroups, 10) || 1,
+            'config.groupStage.groupSize': Math.max(2, parseInt(currentConfig.groupStage.groupSize, 10) || DEFAULT_GROUP_SIZE),
+            'config.groupStage.crossGroupRanking': currentConfig.groupStage.crossGroupRanking || 'group',
+            'config.groupStage.numAdvancing': parseInt(currentConfig.groupStage.numAdvancing, 10) || 2,
+            'config.scoring': scoring,
+            'config.tiebreakers': currentConfig.tiebreakers,
+        });
+        const updatedConfig = { ...championship.config, scoring, tiebreakers: currentConfig.tiebreakers };
+        await handleRecalculateStandings({ ...championship, config: updatedConfig }, matches);
+        setConfigModalOpen(false);
     };
 
-    const handleGenerateMatches = async () => {
-        const batch = writeBatch(db);
+    const handleScoringChange = (key, value) => {
+        setCurrentConfig({ ...currentConfig, scoring: { ...currentConfig.scoring, [key]: value } });
+    };
 
-        championship.groups.forEach(group => {
-            for (let i = 0; i < group.participantIds.length; i++) {
-                for (let j = i + 1; j < group.participantIds.length; j++) {
-                    const homeId = group.participantIds[i];
-                    const awayId = group.participantIds[j];
-                    
-                    const matchBase = {
-                        stage: 'group',
-                        groupName: group.name,
-                        homeParticipantId: homeId,
-                        awayParticipantId: awayId,
-                        homeParticipantName: participantMap.get(homeId)?.name || '?',
-                        awayParticipantName: participantMap.get(awayId)?.name || '?',
-                        homeSets: null,
-                        awaySets: null,
-                        status: 'pending'
-                    };
-
-                    const newMatchRef = doc(collection(db, collectionPath));
-                    batch.set(newMatchRef, matchBase);
-
-                    if (championship.config.groupStage.matchFormat === 'home_and_away') {
-                         const newReturnMatchRef = doc(collection(db, collectionPath));
-                         batch.set(newReturnMatchRef, {
-                            ...matchBase,
-                            homeParticipantId: awayId,
-                            awayParticipantId: homeId,
-                            homeParticipantName: participantMap.get(awayId)?.name || '?',
-                            awayParticipantName: participantMap.get(homeId)?.name || '?',
-                        });
-                    }
-                }
-            }
-        });
-        
-        await batch.commit();
-        alert("Partidas da fase de grupos geradas!");
+    const handleToggleTiebreaker = (criterion) => {
+        const tiebreakers = currentConfig.tiebreakers.includes(criterion)
+            ? currentConfig.tiebreakers.filter(c => c !== criterion)
+            : [...currentConfig.tiebreakers, criterion];
+        setCurrentConfig({ ...currentConfig, tiebreakers });
     };
-    
-    const handleSaveConfig = async () => {
-        const configToSave = {
-            ...currentConfig,
-            matchSettings: {
-                ...currentConfig.matchSettings,
-                sets: parseInt(currentConfig.matchSettings.sets, 10) || 3,
-            },
-            groupStage: {
-                ...currentConfig.groupStage,
-                numGroups: parseInt(currentConfig.groupStage.numGroups, 10) || 1,
-                numAdvancing: parseInt(currentConfig.groupStage.numAdvancing, 10) || 2,
-            },
-        };
-        await onUpdateChampionship(championship.id, { config: configToSave });
-        setConfigModalOpen(false);
+
+    const handleMoveTiebreaker = (index, direction) => {
+        const tiebreakers = [...currentConfig.tiebreakers];
+        const target = index + direction;
+        if (target < 0 || target >= tiebreakers.length) return;
+        [tiebreakers[index], tiebreakers[target]] = [tiebreakers[target], tiebreakers[index]];
+        setCurrentConfig({ ...currentConfig, tiebreakers });
     };
     
     const handleSaveManualMatch = async () => {
@@ -679,9 +4644,9 @@ function ChampionshipDetail({ championship, teams, players, onBack, onUpdateCham
             return;
         }
 
+        // Amistoso: fica fora dos grupos, da classificação e do chaveamento
         const matchData = {
-            stage: 'group',
-            groupName: 'Avulso',
+            stage: 'friendly',
             homeParticipantId,
             awayParticipantId,
             homeParticipantName: participantMap.get(homeParticipantId)?.name || '?',
@@ -694,54 +4659,202 @@ function ChampionshipDetail({ championship, teams, players, onBack, onUpdateCham
         setManualMatchModalOpen(false);
     }
     
+    // Link direto para uma partida: abre a lista já rolada até ela
+    useEffect(() => {
+        if (!focusedMatchId || loadingMatches) return;
+        document.getElementById(`partida-${focusedMatchId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [focusedMatchId, loadingMatches]);
+
+    const renderMatchRow = (match) => (
+        <div key={match.id} id={`partida-${match.id}`}>
+            <div className={`bg-gray-700 p-4 rounded-lg flex items-center justify-between ${focusedMatchId === match.id ? 'ring-2 ring-yellow-400' : ''}`}>
+                <div className="text-xs text-gray-400 w-28 truncate">
+                    {match.table && match.status === 'pending' && <p className="text-blue-400">Mesa {match.table} · {formatTime(match.scheduledAt)}</p>}
+                </div>
+                <div className="flex items-center gap-4 flex-1">
+                    <span className="font-semibold w-1/4 text-right truncate">{match.homeParticipantName || 'A definir'}</span>
+                    {match.status === 'completed' ? (
+                        <div className="flex items-center gap-2 font-bold text-xl">
+                            <span className={`px-3 py-1 rounded ${getMatchWinnerId(match) === match.homeParticipantId ? 'bg-green-500 text-white' : 'bg-gray-600'}`}>{match.homeSets ?? '-'}</span>
+                            <span className="text-gray-400">x</span>
+                             <span className={`px-3 py-1 rounded ${getMatchWinnerId(match) === match.awayParticipantId ? 'bg-green-500 text-white' : 'bg-gray-600'}`}>{match.awaySets ?? '-'}</span>
+                            {MATCH_OUTCOME_BADGES[match.outcome] && <span className="text-xs px-2 py-1 rounded bg-yellow-600 text-white">{MATCH_OUTCOME_BADGES[match.outcome]}</span>}
+                            {match.sets?.length > 0 && <span className="text-xs font-normal text-gray-400 ml-2">({formatSetScores(match.sets)})</span>}
+                            {showsRatings && ratingData.deltas.has(match.id) && (
+                                <span className="text-xs font-normal ml-2" title="Variação de rating (casa / visitante)">
+                                    <span className={ratingData.deltas.get(match.id).home > 0 ? 'text-green-400' : 'text-red-400'}>{formatRatingDelta(ratingData.deltas.get(match.id).home)}</span>
+                                    {' / '}
+                                    <span className={ratingData.deltas.get(match.id).away > 0 ? 'text-green-400' : 'text-red-400'}>{formatRatingDelta(ratingData.deltas.get(match.id).away)}</span>
+                                </span>
+                            )}
+                        </div>
+                    ) : isAnnulledMatch(match) ? (
+                        <span className="text-xs px-2 py-1 rounded bg-gray-600 text-gray-300">Anulada</span>
+                    ) : match.live ? (
+                        <LiveMatchBadge live={match.live} bestOf={bestOf} />
+                    ) : (
+                        <span className="text-gray-400 font-bold text-xl">vs</span>
+                    )}
+                    <span className="font-semibold w-1/4 text-left truncate">{match.awayParticipantName || 'A definir'}</span>
+                </div>
+                <div className="w-1/4 flex justify-end gap-2">
+                    {!canScore || isAnnulledMatch(match) ? null : match.status === 'pending' ? (
+                        <>
+                            {!tieFormat && <Button variant="secondary" className="p-2 h-auto" title="Placar ao vivo" onClick={() => setLiveMatchId(match.id)} disabled={!match.homeParticipantId || !match.awayParticipantId}><Radio size={16}/></Button>}
+                            <Button onClick={() => openScoreModal(match)} disabled={!match.homeParticipantId || !match.awayParticipantId}>
+                                <Edit size={16}/> Lançar Placar
+                            </Button>
+                        </>
+                    ) : (
+                        <>
+                            <Button variant="secondary" className="p-2 h-auto" title="Corrigir resultado" onClick={() => openScoreModal(match)}><Edit size={16}/></Button>
+                            <Button variant="danger" className="p-2 h-auto" title="Reabrir partida" onClick={() => handleReopenMatch(match)}><RotateCcw size={16}/></Button>
+                        </>
+                    )}
+                    <Button variant="secondary" className="p-2 h-auto" title="Link da partida" onClick={() => onNavigate('matches', match.id)}><Link2 size={16}/></Button>
+                    {match.history?.length > 0 && (
+                        <Button variant="secondary" className="p-2 h-auto" title="Histórico de alterações" onClick={() => setExpandedHistoryId(expandedHistoryId === match.id ? null : match.id)}><History size={16}/></Button>
+                    )}
+                </div>
+            </div>
+            {match.status === 'completed' && match.tie && (
+                <div className="px-4 py-1 text-xs text-gray-400 flex flex-wrap gap-x-4">
+                    {match.tie.rubbers.map((rubber, index) => (
+                        <span key={index}>
+                            {getTieRubberLabel(rubber.rubber)}: {rubber.homePlayerIds.map(getPlayerName).join(' / ')} <span className="text-white font-semibold">{rubber.homeSets}x{rubber.awaySets}</span> {rubber.awayPlayerIds.map(getPlayerName).join(' / ')}
+                        </span>
+                    ))}
+                </div>
+            )}
+            {expandedHistoryId === match.id && (
+                <div className="bg-gray-900 rounded-b-lg px-4 py-2 text-sm text-gray-400 space-y-1">
+                    {match.history.map((entry, index) => (
+                        <p key={index}>
+                            <span className="text-gray-500">{new Date(entry.at).toLocaleString('pt-BR')}</span> — {MATCH_HISTORY_LABELS[entry.action]}: {describeMatchResult(entry.before)} → {describeMatchResult(entry.after)} <span className="text-gray-600">({entry.by})</span>
+                        </p>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+
+    const championshipTitle = `${championship.name} - ${championship.year}`;
+    const getParticipantName = (id) => participantMap.get(id)?.name || 'Desconhecido';
+    const knockoutMatches = matchSections.filter(section => !section.groupName).flatMap(section => section.matches);
+    const scoreSheetMatches = matchSections.flatMap(section => section.matches)
+        .filter(m => m.status === 'pending' && m.homeParticipantId && m.awayParticipantId);
+
+    const exportOptions = [
+        {
+            key: 'classificacao',
+            title: 'Tabelas dos grupos',
+            available: championship.standings.length > 0,
+            columns: STANDINGS_EXPORT_COLUMNS,
+            getRows: () => getStandingsExportRows(championship.standings, getParticipantName),
+            getHtml: () => buildStandingsHtml(championship.standings, getParticipantName),
+        },
+        {
+            key: 'partidas',
+            title: 'Partidas e resultados',
+            available: matches.length > 0,
+            columns: MATCHES_EXPORT_COLUMNS,
+            getRows: () => matchSections.flatMap(section => section.matches).map(m => getMatchExportRow(m, getParticipantName)),
+            getHtml: () => buildMatchesHtml(matchSections, getParticipantName),
+        },
+        {
+            key: 'chaveamento',
+            title: 'Chaveamento do mata-mata',
+            available: championship.config.knockoutStage.generated,
+            columns: MATCHES_EXPORT_COLUMNS,
+            getRows: () => knockoutMatches.map(m => getMatchExportRow(m, getParticipantName)),
+            getHtml: () => buildBracketHtml(championship.config.knockoutStage.rounds, new Map(matches.map(m => [m.id, m])), getParticipantName),
+        },
+        {
+            key: 'sumulas',
+            title: `Súmulas em branco (${scoreSheetMatches.length} partida(s) pendente(s))`,
+            available: scoreSheetMatches.length > 0,
+            columns: ['Fase', 'Mesa/Horário', 'Casa', 'Visitante', ...Array.from({ length: bestOf }, (_, i) => `Set ${i + 1}`)],
+            getRows: () => scoreSheetMatches.map(m => [getMatchStageLabel(m), getMatchTableLabel(m), m.homeParticipantName, m.awayParticipantName, ...Array(bestOf).fill('')]),
+            getHtml: () => buildScoreSheetsHtml(scoreSheetMatches, bestOf, championshipTitle),
+        },
+    ];
+
+    const handleExport = (option, format) => {
+        if (format === 'csv') {
+            downloadFile(getExportFileName(championship, option.key, 'csv'), toCsv([option.columns, ...option.getRows()]), 'text/csv;charset=utf-8');
+            return;
+        }
+        openPrintWindow(`${championshipTitle} - ${option.title}`, `<h1>${escapeHtml(championshipTitle)}</h1><p>${escapeHtml(option.title)}</p>${option.getHtml()}`);
+    };
+
     const renderContent = () => {
-        switch (activeTab) {
+        switch (currentTab) {
             case 'groups':
+                if (format !== 'groups_then_knockout') {
+                    const leaderId = isStandingsFormatFinished(championship, matches) ? championship.standings[0]?.table[0]?.participantId : null;
+                    return (
+                        <div>
+                            {!championship.config.groupStage.generated ? (
+                                <Card className="text-center">
+                                    <p className="text-gray-300 mb-4">
+                                        {format === 'swiss'
+                                            ? `Sistema suíço em ${swissConfig.numRounds} rodada(s): a cada rodada, quem tem a mesma pontuação se enfrenta, sem repetir adversários.`
+                                            : 'Liga em turno único ou ida e volta: todos enfrentam todos e vence quem somar mais pontos.'}
+                                    </p>
+                                    {canManage ? (
+                                        <Button className="mx-auto" onClick={handleStartStandingsFormat} disabled={participants.length < 2}>
+                                            <Play size={18}/> {format === 'swiss' ? 'Gerar 1ª Rodada' : 'Gerar Tabela da Liga'}
+                                        </Button>
+                                    ) : <p className="text-gray-400">A classificação ainda não foi gerada.</p>}
+                                </Card>
+                            ) : (
+                                <>
+                                    {leaderId && (
+                                        <div className="text-center mb-6 text-2xl font-bold text-yellow-400 flex items-center justify-center gap-2">
+                                            <Trophy /> Campeão: {participantMap.get(leaderId)?.name || 'Desconhecido'}
+                                        </div>
+                                    )}
+                                    {format === 'swiss' && <p className="text-center text-gray-400 mb-4">Rodada {swissRound} de {swissConfig.numRounds}</p>}
+                                    {championship.standings.map(standing => (
+                                        <GroupStandingsTable key={standing.groupName} standing={standing} participantMap={participantMap} />
+                                    ))}
+                                </>
+                            )}
+                        </div>
+                    );
+                }
                 return (
                     <div>
-                        {!championship.config.groupStage.generated ? (
-                            <div className="text-center p-8">
-                                <p className="text-gray-300 mb-4">A fase de grupos ainda não foi gerada.</p>
-                                <Button onClick={handleGenerateGroups}><Shuffle size={18}/> Gerar Grupos Aleatoriamente</Button>
-                            </div>
+                        {!championship.config.groupStage.generated && !canManage ? (
+                            <Card><p className="text-center text-gray-400">Os grupos ainda não foram sorteados.</p></Card>
+                        ) : !championship.config.groupStage.generated ? (
+                            <Card>
+                                <GroupDrawPanel
+                                    participants={[...participants].sort((a, b) => (ratingData.ratings.get(b.id) ?? DEFAULT_RATING) - (ratingData.ratings.get(a.id) ?? DEFAULT_RATING))}
+                                    numGroups={getGroupCount(championship.config.groupStage, participants.length)}
+                                    getClubs={getParticipantClubs}
+                                    onConfirm={handleGenerateGroups}
+                                />
+                            </Card>
                         ) : (
-                            championship.standings.map(standing => (
-                               <Card key={standing.groupName} className="mb-6">
-                                    <h3 className="text-xl font-bold text-blue-400 mb-4">{standing.groupName}</h3>
-                                    <div className="overflow-x-auto">
-                                        <table className="w-full text-left text-gray-300">
-                                            <thead>
-                                                <tr className="border-b border-gray-600">
-                                                    <th className="p-2">#</th>
-                                                    <th className="p-2">Participante</th>
-                                                    <th className="p-2 text-center">P</th>
-                                                    <th className="p-2 text-center">J</th>
-                                                    <th className="p-2 text-center">V</th>
-                                                    <th className="p-2 text-center">D</th>
-                                                    <th className="p-2 text-center">SP</th>
-                                                    <th className="p-2 text-center">SC</th>
-                                                    <th className="p-2 text-center">SD</th>
-                                                </tr>
-                                            </thead>
-                                            <tbody>
-                                            {standing.table.map((row, index) => (
-                                                <tr key={row.participantId} className="border-b border-gray-700 last:border-0">
-                                                    <td className="p-2 font-bold">{index + 1}</td>
-                                                    <td className="p-2 font-semibold">{participantMap.get(row.participantId)?.name || 'Desconhecido'}</td>
-                                                    <td className="p-2 text-center text-lg font-bold text-white">{row.points}</td>
-                                                    <td className="p-2 text-center">{row.played}</td>
-                                                    <td className="p-2 text-center text-green-400">{row.wins}</td>
-                                                    <td className="p-2 text-center text-red-400">{row.losses}</td>
-                                                    <td className="p-2 text-center">{row.setsFor}</td>
-                                                    <td className="p-2 text-center">{row.setsAgainst}</td>
-                                                    <td className="p-2 text-center">{row.setDifference}</td>
-                                                </tr>
-                                            ))}
-                                            </tbody>
-                                        </table>
+                            <>
+                                {canManage && canRedrawGroups && (
+                                    <div className="flex justify-end mb-4">
+                                        <Button onClick={handleRedrawGroups} variant="secondary"><Shuffle size={18}/> Refazer Sorteio</Button>
                                     </div>
-                               </Card>
-                            ))
+                                )}
+                                {hasUnequalGroups && (
+                                    <p className="text-yellow-400 text-sm text-center mb-4">
+                                        Os grupos têm tamanhos diferentes ({groupSizeRange.min} a {groupSizeRange.max} participantes): quem está num grupo maior joga mais partidas.
+                                        {normalizesGroups
+                                            ? ' Na comparação entre grupos, os jogos contra os últimos colocados dos grupos maiores são desconsiderados.'
+                                            : ' Os pontos não são comparáveis entre grupos; para ordenar os classificados pelo desempenho, ative a normalização nas configurações.'}
+                                    </p>
+                                )}
+                                {championship.standings.map(standing => (
+                                    <GroupStandingsTable key={standing.groupName} standing={standing} participantMap={participantMap} />
+                                ))}
+                            </>
                         )}
                     </div>
                 );
@@ -750,75 +4863,330 @@ function ChampionshipDetail({ championship, teams, players, onBack, onUpdateCham
                     <Card>
                         <div className="flex justify-between items-center mb-4">
                             <h3 className="text-xl font-bold text-white">Partidas</h3>
-                            <div className="flex gap-2">
-                                <Button onClick={() => setManualMatchModalOpen(true)} variant="secondary"><Plus size={18}/> Partida Manual</Button>
-                                <Button onClick={handleGenerateMatches} disabled={!championship.config.groupStage.generated || matches.length > 0}><Shuffle size={18}/> Gerar Partidas dos Grupos</Button>
-                            </div>
+                            {canManage && (
+                                <div className="flex gap-2">
+                                    <Button onClick={() => setManualMatchModalOpen(true)} variant="secondary"><Plus size={18}/> Partida Manual</Button>
+                                    {format === 'groups_then_knockout' && (
+                                        <Button onClick={handleGenerateMatches} disabled={!championship.config.groupStage.generated || missingFixtureCount === 0}><Shuffle size={18}/> Gerar Partidas dos Grupos</Button>
+                                    )}
+                                    {format === 'swiss' && (
+                                        <Button onClick={handleGenerateSwissRound} disabled={!canGenerateSwissRound}><Shuffle size={18}/> Gerar Rodada {swissRound + 1}</Button>
+                                    )}
+                                </div>
+                            )}
                         </div>
+                        {canManage && !loadingMatches && groupIssues.length > 0 && (
+                            <div className="bg-gray-900 rounded-lg p-3 mb-4 space-y-2">
+                                {groupIssues.map(plan => (
+                                    <div key={plan.group.name} className="flex items-center justify-between gap-2">
+                                        <span className="text-sm text-yellow-400">
+                                            {plan.group.name}: {[
+                                                plan.fixtures.length > 0 && `${plan.fixtures.length} partida(s) faltando`,
+                                                plan.duplicates.length > 0 && `${plan.duplicates.length} duplicada(s)`,
+                                                plan.stale.length > 0 && `${plan.stale.length} com quem não está mais no grupo`,
+                                            ].filter(Boolean).join(' · ')}
+                                        </span>
+                                        <Button onClick={() => handleRegenerateGroup(plan)} variant="secondary" className="p-2 h-auto text-sm"><RefreshCw size={16}/> Regenerar grupo</Button>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
                         {loadingMatches ? <Spinner /> : (
                             <div className="space-y-3">
-                                {matches.sort((a,b) => a.groupName?.localeCompare(b.groupName)).map(match => (
-                                    <div key={match.id} className="bg-gray-700 p-4 rounded-lg flex items-center justify-between">
-                                        <div className="flex items-center gap-4 flex-1">
-                                            <span className="font-semibold w-1/4 text-right truncate">{match.homeParticipantName}</span>
-                                            {match.status === 'completed' ? (
-                                                <div className="flex items-center gap-2 font-bold text-xl">
-                                                    <span className={`px-3 py-1 rounded ${match.homeSets > match.awaySets ? 'bg-green-500 text-white' : 'bg-gray-600'}`}>{match.homeSets}</span>
-                                                    <span className="text-gray-400">x</span>
-                                                     <span className={`px-3 py-1 rounded ${match.awaySets > match.homeSets ? 'bg-green-500 text-white' : 'bg-gray-600'}`}>{match.awaySets}</span>
-                                                </div>
-                                            ) : (
-                                                <span className="text-gray-400 font-bold text-xl">vs</span>
-                                            )}
-                                            <span className="font-semibold w-1/4 text-left truncate">{match.awayParticipantName}</span>
-                                        </div>
-                                        <div className="w-1/4 text-right">
-                                            {match.status === 'pending' && (
-                                                <Button onClick={() => openScoreModal(match)}>
-                                                    <Edit size={16}/> Lançar Placar
-                                                </Button>
-                                            )}
-                                        </div>
+                                {matchSections.map(section => (
+                                    <div key={section.key} className="space-y-3">
+                                        <h4 className="text-sm font-bold text-blue-400 mt-4">
+                                            {section.title}
+                                            {section.resting.length > 0 && <span className="ml-2 font-normal text-gray-400">Folga: {section.resting.map(id => participantMap.get(id)?.name || '?').join(', ')}</span>}
+                                        </h4>
+                                        {section.matches.map(renderMatchRow)}
                                     </div>
                                 ))}
                             </div>
                         )}
                     </Card>
                 );
-            case 'settings':
-                return(
+            case 'schedule':
+                return (
+                    <div className="space-y-6">
+                        {canManage && <Card>
+                            <h3 className="text-xl font-bold text-white mb-4">Ordem de Jogo</h3>
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                                <div>
+                                    <label className="text-gray-300 font-semibold">Mesas disponíveis</label>
+                                    <Input type="number" min="1" value={scheduleSettings.tables} onChange={e => setScheduleSettings({ ...scheduleSettings, tables: e.target.value })} />
+                                </div>
+                                <div>
+                                    <label className="text-gray-300 font-semibold">Início</label>
+                                    <Input type="datetime-local" value={scheduleSettings.startTime} onChange={e => setScheduleSettings({ ...scheduleSettings, startTime: e.target.value })} />
+                                </div>
+                                <div>
+                                    <label className="text-gray-300 font-semibold">Duração da partida (min)</label>
+                                    <Input type="number" min="5" value={scheduleSettings.matchDuration} onChange={e => setScheduleSettings({ ...scheduleSettings, matchDuration: e.target.value })} />
+                                </div>
+                                <div>
+                                    <label className="text-gray-300 font-semibold">Descanso mínimo (min)</label>
+                                    <Input type="number" min="0" value={scheduleSettings.minRest} onChange={e => setScheduleSettings({ ...scheduleSettings, minRest: e.target.value })} />
+                                </div>
+                            </div>
+                            <div className="flex justify-between items-center mt-4">
+                                <p className="text-sm text-gray-400">
+                                    {matches.filter(m => m.status === 'pending' && !m.table).length} partida(s) pendente(s) sem horário.
+                                </p>
+                                <Button onClick={handleGenerateSchedule} disabled={!matches.some(m => m.status === 'pending')}><Clock size={18}/> Gerar Ordem de Jogo</Button>
+                            </div>
+                        </Card>}
+                        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                            {scheduleByTable.map(({ table, matches: tableMatches }) => (
+                                <Card key={table}>
+                                    <h4 className="text-lg font-bold text-blue-400 mb-3">Mesa {table}</h4>
+                                    <div className="space-y-2">
+                                        {tableMatches.map(m => (
+                                            <div key={m.id} className={`p-2 rounded-lg ${m.status === 'completed' ? 'bg-gray-900 text-gray-500' : 'bg-gray-700 text-white'}`}>
+                                                <div className="flex justify-between text-xs text-gray-400">
+                                                    <span>{formatTime(m.scheduledAt)}</span>
+                                                    <span>{getMatchStageLabel(m)}</span>
+                                                </div>
+                                                <p className="font-semibold truncate">{m.homeParticipantName || 'A definir'} x {m.awayParticipantName || 'A definir'}</p>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </Card>
+                            ))}
+                        </div>
+                    </div>
+                );
+            case 'knockout':
+                return (
                     <Card>
-                         <h3 className="text-xl font-bold text-white mb-4">Configurações do Campeonato</h3>
-                         <div className="space-y-4">
-                            <div>
-                                <label className="text-gray-300 font-semibold">Formato dos Jogos (Sets)</label>
-                                <Select value={currentConfig.matchSettings.sets} onChange={e => setCurrentConfig({...currentConfig, matchSettings: {...currentConfig.matchSettings, sets: e.target.value }})}>
-                                    <option value={1}>Melhor de 1</option>
-                                    <option value={3}>Melhor de 3</option>
-                                    <option value={5}>Melhor de 5</option>
-                                    <option value={7}>Melhor de 7</option>
-                                </Select>
+                        {!championship.config.knockoutStage.generated && isEliminationFormat(format) ? (
+                            <div className="text-center p-8">
+                                <p className="text-gray-300 mb-4">
+                                    {format === 'double_elimination' ? 'Eliminatória dupla: quem perde vai para a chave dos perdedores e só é eliminado na segunda derrota.' : 'Eliminatória simples: quem perde está fora.'}{showsRatings && ' Cabeças de chave pelo rating:'}
+                                </p>
+                                {showsRatings && (
+                                    <div className="flex flex-wrap justify-center gap-2 mb-6">
+                                        {participantsByRating.map((p, index) => (
+                                            <span key={p.id} className="bg-gray-700 px-3 py-1 rounded-lg text-white">
+                                                <span className="text-blue-400 font-bold mr-1">{index + 1}</span> {p.name}
+                                            </span>
+                                        ))}
+                                    </div>
+                                )}
+                                {knockoutByesNote}
+                                {canManage ? <Button onClick={handleGenerateKnockout}><Trophy size={18}/> Gerar Chaveamento</Button> : <p className="text-gray-400">O chaveamento ainda não foi gerado.</p>}
                             </div>
-                            <div>
-                                <label className="text-gray-300 font-semibold">Formato da Fase de Grupos</label>
-                                 <Select value={currentConfig.groupStage.matchFormat} onChange={e => setCurrentConfig({...currentConfig, groupStage: {...currentConfig.groupStage, matchFormat: e.target.value}})}>
-                                    <option value="single">Apenas Ida</option>
-                                    <option value="home_and_away">Ida e Volta</option>
-                                </Select>
+                        ) : !championship.config.knockoutStage.generated ? (
+                            <div className="text-center p-8">
+                                {!championship.config.groupStage.generated ? (
+                                    <p className="text-gray-300">Gere a fase de grupos antes do mata-mata.</p>
+                                ) : (
+                                    <>
+                                        <p className="text-gray-300 mb-4">
+                                            Classificados ({championship.config.groupStage.numAdvancing} por grupo{normalizesGroups && ', cada posição ordenada pelo desempenho'}):
+                                        </p>
+                                        <div className="flex flex-wrap justify-center gap-2 mb-6">
+                                            {knockoutQualifiers.map(q => (
+                                                <span key={q.participantId} className="bg-gray-700 px-3 py-1 rounded-lg text-white">
+                                                    <span className="text-blue-400 font-bold mr-1">{q.label}</span> {participantMap.get(q.participantId)?.name || 'Desconhecido'}
+                                                </span>
+                                            ))}
+                                        </div>
+                                        {knockoutByesNote}
+                                        {canManage && <Button onClick={handleGenerateKnockout}><Trophy size={18}/> Gerar Mata-mata</Button>}
+                                    </>
+                                )}
                             </div>
-                             <div>
-                                <label className="text-gray-300 font-semibold">Número de Grupos</label>
-                                <Input type="number" min="1" value={currentConfig.groupStage.numGroups} onChange={e => setCurrentConfig({...currentConfig, groupStage: {...currentConfig.groupStage, numGroups: e.target.value }})} />
+                        ) : loadingMatches ? <Spinner /> : (
+                            <KnockoutBracket
+                                rounds={championship.config.knockoutStage.rounds}
+                                matches={matches}
+                                participantMap={participantMap}
+                                onOpenScore={canScore ? openScoreModal : null}
+                            />
+                        )}
+                    </Card>
+                );
+            case 'settings':
+                return (
+                    <div className="space-y-6">
+                        <Card>
+                             <h3 className="text-xl font-bold text-white mb-4">Configurações do Campeonato</h3>
+                             <div className="space-y-4">
+                                <div>
+                                    <label className="text-gray-300 font-semibold">Formato da Disputa</label>
+                                    <Select value={selectedFormat} onChange={e => setCurrentConfig({ ...currentConfig, format: e.target.value })} disabled={hasStarted}>
+                                        {Object.entries(CHAMPIONSHIP_FORMATS).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                                    </Select>
+                                    {hasStarted && <p className="text-xs text-gray-500 mt-1">O formato não pode mudar depois que a disputa começou.</p>}
+                                </div>
+                                <div>
+                                    <label className="text-gray-300 font-semibold">Formato dos Jogos (Sets)</label>
+                                    <Select value={currentConfig.matchSettings.sets} onChange={e => setCurrentConfig({...currentConfig, matchSettings: {...currentConfig.matchSettings, sets: e.target.value }})}>
+                                        <option value={1}>Melhor de 1</option>
+                                        <option value={3}>Melhor de 3</option>
+                                        <option value={5}>Melhor de 5</option>
+                                        <option value={7}>Melhor de 7</option>
+                                    </Select>
+                                </div>
+                                {tieFormat && (
+                                    <div>
+                                        <label className="text-gray-300 font-semibold">Confronto entre Equipes</label>
+                                        <Select value={getTieFormatKey(currentConfig)} onChange={e => setCurrentConfig({ ...currentConfig, tieFormat: e.target.value })} disabled={hasStarted}>
+                                            {Object.entries(TIE_FORMATS).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                                        </Select>
+                                        <p className="text-xs text-gray-500 mt-1">Ordem dos jogos: {TIE_FORMATS[getTieFormatKey(currentConfig)].order.map(getTieRubberLabel).join(', ')}.</p>
+                                    </div>
+                                )}
+                                {['groups_then_knockout', 'league'].includes(selectedFormat) && (
+                                    <div>
+                                        <label className="text-gray-300 font-semibold">{selectedFormat === 'league' ? 'Turnos da Liga' : 'Formato da Fase de Grupos'}</label>
+                                         <Select value={currentConfig.groupStage.matchFormat} onChange={e => setCurrentConfig({...currentConfig, groupStage: {...currentConfig.groupStage, matchFormat: e.target.value}})}>
+                                            <option value="single">Apenas Ida</option>
+                                            <option value="home_and_away">Ida e Volta</option>
+                                        </Select>
+                                    </div>
+                                )}
+                                {selectedFormat === 'groups_then_knockout' && <>
+                                     <div>
+                                        <label className="text-gray-300 font-semibold">Divisão dos Grupos</label>
+                                        <Select value={currentConfig.groupStage.division || 'count'} onChange={e => setCurrentConfig({...currentConfig, groupStage: {...currentConfig.groupStage, division: e.target.value }})}>
+                                            <option value="count">Por número de grupos</option>
+                                            <option value="size">Por participantes por grupo</option>
+                                        </Select>
+                                    </div>
+                                    {currentConfig.groupStage.division === 'size' ? (
+                                        <div>
+                                            <label className="text-gray-300 font-semibold">Máximo de Participantes por Grupo</label>
+                                            <Input type="number" min="2" value={currentConfig.groupStage.groupSize ?? DEFAULT_GROUP_SIZE} onChange={e => setCurrentConfig({...currentConfig, groupStage: {...currentConfig.groupStage, groupSize: e.target.value }})} />
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                Com {participants.length} participantes: {getGroupCount(currentConfig.groupStage, participants.length)} grupo(s), com tamanhos equilibrados.
+                                            </p>
+                                        </div>
+                                    ) : (
+                                        <div>
+                                            <label className="text-gray-300 font-semibold">Número de Grupos</label>
+                                            <Input type="number" min="1" value={currentConfig.groupStage.numGroups} onChange={e => setCurrentConfig({...currentConfig, groupStage: {...currentConfig.groupStage, numGroups: e.target.value }})} />
+                                        </div>
+                                    )}
+                                     <div>
+                                        <label className="text-gray-300 font-semibold">Participantes que avançam por grupo</label>
+                                        <Input type="number" min="1" value={currentConfig.groupStage.numAdvancing} onChange={e => setCurrentConfig({...currentConfig, groupStage: {...currentConfig.groupStage, numAdvancing: e.target.value }})} />
+                                    </div>
+                                     <div>
+                                        <label className="text-gray-300 font-semibold">Ordem dos Classificados no Mata-mata</label>
+                                        <Select value={currentConfig.groupStage.crossGroupRanking || 'group'} onChange={e => setCurrentConfig({...currentConfig, groupStage: {...currentConfig.groupStage, crossGroupRanking: e.target.value }})}>
+                                            <option value="group">Pela ordem dos grupos (A1, B1, C1...)</option>
+                                            <option value="normalized">Pelo desempenho, normalizando grupos de tamanhos diferentes</option>
+                                        </Select>
+                                    </div>
+                                </>}
+                                {selectedFormat === 'swiss' && (
+                                    <div>
+                                        <label className="text-gray-300 font-semibold">Número de Rodadas</label>
+                                        <Input type="number" min="1" value={currentConfig.swiss?.numRounds ?? swissConfig.numRounds} onChange={e => setCurrentConfig({ ...currentConfig, swiss: { ...currentConfig.swiss, numRounds: e.target.value } })} />
+                                    </div>
+                                )}
+                                <div>
+                                    <label className="text-gray-300 font-semibold">Pontuação</label>
+                                    <div className="grid grid-cols-2 gap-3 mt-1">
+                                        {[['win', 'Vitória'], ['loss', 'Derrota'], ['walkover', 'Vitória por W.O./desclassificação'], ['noShow', 'Ausência (W.O.)'], ['disqualified', 'Desclassificação']].map(([key, label]) => (
+                                            <div key={key}>
+                                                <span className="text-sm text-gray-400">{label}</span>
+                                                <Input type="number" min="0" value={currentConfig.scoring[key]} onChange={e => handleScoringChange(key, e.target.value)} />
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div>
+                                    <label className="text-gray-300 font-semibold">Critérios de Desempate (em ordem)</label>
+                                    <div className="space-y-2 mt-1">
+                                        {currentConfig.tiebreakers.map((criterion, index) => (
+                                            <div key={criterion} className="flex items-center justify-between bg-gray-700 p-2 rounded-lg">
+                                                <span className="text-white">{index + 1}. {TIEBREAKER_LABELS[criterion]}</span>
+                                                <div className="flex gap-1">
+                                                    <Button variant="secondary" className="p-1 h-auto" onClick={() => handleMoveTiebreaker(index, -1)} disabled={index === 0}><ArrowUp size={14}/></Button>
+                                                    <Button variant="secondary" className="p-1 h-auto" onClick={() => handleMoveTiebreaker(index, 1)} disabled={index === currentConfig.tiebreakers.length - 1}><ArrowDown size={14}/></Button>
+                                                    <Button variant="danger" className="p-1 h-auto" onClick={() => handleToggleTiebreaker(criterion)}><X size={14}/></Button>
+                                                </div>
+                                            </div>
+                                        ))}
+                                        <p className="text-sm text-gray-400 p-2">{currentConfig.tiebreakers.length + 1}. Sorteio (sempre o último critério)</p>
+                                        {Object.keys(TIEBREAKER_LABELS).filter(c => !currentConfig.tiebreakers.includes(c)).map(criterion => (
+                                            <button key={criterion} onClick={() => handleToggleTiebreaker(criterion)} className="flex items-center gap-2 text-sm text-blue-400 hover:text-blue-300">
+                                                <Plus size={14}/> {TIEBREAKER_LABELS[criterion]}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div className="flex justify-end">
+                                    <Button onClick={handleSaveConfig}><Save size={18}/> Salvar Configurações</Button>
+                                </div>
+                             </div>
+                        </Card>
+                        <Card>
+                            <h3 className="text-xl font-bold text-white mb-2">Inscrições</h3>
+                            <p className="text-sm text-gray-400 mb-4">Inclua participantes depois do início (só as partidas que faltam são geradas) ou registre desistências.</p>
+                            <div className="space-y-2 mb-4">
+                                {participants.map(participant => {
+                                    const withdrawal = (championship.withdrawals || []).find(w => w.participantId === participant.id);
+                                    const groupName = championship.groups.find(g => g.participantIds.includes(participant.id))?.name;
+                                    return (
+                                        <div key={participant.id} className="flex items-center justify-between gap-2 bg-gray-700 p-2 rounded-lg">
+                                            <span className={withdrawal ? 'text-gray-500 line-through truncate' : 'text-white truncate'}>
+                                                {participant.name} {groupName && <span className="text-xs text-gray-400">({groupName})</span>}
+                                            </span>
+                                            {withdrawal ? (
+                                                <span className="text-xs text-yellow-400">Desistiu · {withdrawal.mode === 'annul' ? 'resultados anulados' : 'W.O. nos jogos restantes'}</span>
+                                            ) : (
+                                                <Button variant="danger" className="p-2 h-auto" title="Registrar desistência" onClick={() => setWithdrawalDraft({ participantId: participant.id, mode: 'walkover' })}><LogOut size={16}/></Button>
+                                            )}
+                                        </div>
+                                    );
+                                })}
                             </div>
-                             <div>
-                                <label className="text-gray-300 font-semibold">Participantes que avançam por grupo</label>
-                                <Input type="number" min="1" value={currentConfig.groupStage.numAdvancing} onChange={e => setCurrentConfig({...currentConfig, groupStage: {...currentConfig.groupStage, numAdvancing: e.target.value }})} />
+                            <div className="flex gap-2">
+                                <Select value={entryDraft.participantId} onChange={e => setEntryDraft({ ...entryDraft, participantId: e.target.value })}>
+                                    <option value="">{championship.participantType === 'player' ? 'Jogador a inscrever' : 'Dupla a inscrever'}</option>
+                                    {entrantOptions.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                </Select>
+                                {format === 'groups_then_knockout' && championship.config.groupStage.generated && (
+                                    <Select value={entryDraft.groupName} onChange={e => setEntryDraft({ ...entryDraft, groupName: e.target.value })}>
+                                        <option value="">Grupo com menos participantes</option>
+                                        {championship.groups.map(g => <option key={g.name} value={g.name}>{g.name} ({g.participantIds.length})</option>)}
+                                    </Select>
+                                )}
+                                <Button onClick={handleAddLateEntry} disabled={championship.config.knockoutStage.generated}><UserPlus size={18}/> Inscrever</Button>
                             </div>
-                            <div className="flex justify-end">
-                                <Button onClick={handleSaveConfig}><Save size={18}/> Salvar Configurações</Button>
+                            {championship.config.knockoutStage.generated && <p className="text-xs text-gray-500 mt-2">O chaveamento já foi gerado: não há mais como incluir participantes.</p>}
+                        </Card>
+                        <Card>
+                            <h3 className="text-xl font-bold text-white mb-2">Organizadores</h3>
+                            <p className="text-sm text-gray-400 mb-4">Convide pelo e-mail da conta (Google ou e-mail e senha). Mesários lançam resultados; leitores só acompanham.</p>
+                            {!userEmail && <p className="text-sm text-yellow-400 mb-4">Você está como convidado: crie uma conta para não perder o acesso a este campeonato.</p>}
+                            <div className="space-y-2 mb-4">
+                                {members.length === 0 && <p className="text-gray-500">Nenhum co-organizador convidado.</p>}
+                                {members.map(member => (
+                                    <div key={member.email} className="flex items-center justify-between gap-2 bg-gray-700 p-2 rounded-lg">
+                                        <span className="text-white truncate">{member.email}</span>
+                                        <div className="flex gap-2">
+                                            <Select value={member.role} onChange={e => handleChangeMemberRole(member.email, e.target.value)}>
+                                                {Object.entries(CHAMPIONSHIP_ROLE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                            </Select>
+                                            <Button variant="danger" className="p-2 h-auto" onClick={() => handleRemoveMember(member.email)}><Trash2 size={16}/></Button>
+                                        </div>
+                                    </div>
+                                ))}
                             </div>
-                         </div>
-                    </Card>
+                            <div className="flex gap-2">
+                                <Input type="email" placeholder="E-mail do co-organizador" value={memberDraft.email} onChange={e => setMemberDraft({ ...memberDraft, email: e.target.value })} />
+                                <Select value={memberDraft.role} onChange={e => setMemberDraft({ ...memberDraft, role: e.target.value })}>
+                                    {Object.entries(CHAMPIONSHIP_ROLE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                </Select>
+                                <Button onClick={handleAddMember}><UserPlus size={18}/> Convidar</Button>
+                            </div>
+                        </Card>
+                    </div>
                 );
             default: return null;
         }
@@ -831,32 +5199,143 @@ function ChampionshipDetail({ championship, teams, players, onBack, onUpdateCham
             </Button>
             <div className="text-center mb-6">
                 <h2 className="text-3xl font-bold text-white">{championship.name} - {championship.year}</h2>
-                <p className="text-blue-400">{participants.length} {championship.participantType === 'player' ? 'Jogadores' : 'Equipes'} - {championship.participantType === 'player' ? "Individual" : "Duplas"}</p>
+                <p className="text-blue-400">{participants.length} {championship.participantType === 'player' ? 'Jogadores' : 'Equipes'} - {championship.participantType === 'player' ? "Individual" : "Duplas"} · {CHAMPIONSHIP_FORMATS[format].label}</p>
+                <div className="flex flex-wrap justify-center items-center gap-2 mt-3">
+                    <Button variant="secondary" onClick={() => setExportModalOpen(true)}><Download size={18}/> Exportar</Button>
+                    {canManage && isPublished && (
+                        <>
+                            <a href={publicUrl} target="_blank" rel="noreferrer" className="text-sm text-blue-400 hover:text-blue-300 underline truncate">{publicUrl}</a>
+                            <Button variant="secondary" className="p-2 h-auto" title="Copiar link" onClick={handleCopyPublicLink}><Copy size={16}/></Button>
+                        </>
+                    )}
+                    {canManage && (
+                        <Button variant={isPublished ? 'danger' : 'secondary'} onClick={handleTogglePublicPage}>
+                            <Globe size={18}/> {isPublished ? 'Despublicar' : 'Publicar página pública'}
+                        </Button>
+                    )}
+                </div>
+                {!canManage && <p className="text-sm text-gray-400 mt-1">Seu acesso: {CHAMPIONSHIP_ROLE_LABELS[role]}</p>}
             </div>
             <div className="flex justify-center border-b border-gray-700 mb-6">
-                <button onClick={() => setActiveTab('groups')} className={`px-4 py-2 font-semibold flex items-center gap-2 ${activeTab === 'groups' ? 'text-blue-500 border-b-2 border-blue-500' : 'text-gray-400'}`}><List size={18}/> Grupos & Classificação</button>
-                <button onClick={() => setActiveTab('matches')} className={`px-4 py-2 font-semibold flex items-center gap-2 ${activeTab === 'matches' ? 'text-blue-500 border-b-2 border-blue-500' : 'text-gray-400'}`}><Swords size={18}/> Partidas</button>
-                <button onClick={() => setActiveTab('settings')} className={`px-4 py-2 font-semibold flex items-center gap-2 ${activeTab === 'settings' ? 'text-blue-500 border-b-2 border-blue-500' : 'text-gray-400'}`}><Settings size={18}/> Configurações</button>
+                {tabs.map(tab => {
+                    const [icon, label] = {
+                        groups: [<List size={18}/>, format === 'groups_then_knockout' ? 'Grupos & Classificação' : 'Classificação'],
+                        matches: [<Swords size={18}/>, 'Partidas'],
+                        schedule: [<Clock size={18}/>, 'Ordem de Jogo'],
+                        knockout: [<Trophy size={18}/>, isEliminationFormat(format) ? 'Chaveamento' : 'Mata-mata'],
+                        settings: [<Settings size={18}/>, 'Configurações'],
+                    }[tab];
+                    return <button key={tab} onClick={() => onNavigate(tab)} className={`px-4 py-2 font-semibold flex items-center gap-2 ${currentTab === tab ? 'text-blue-500 border-b-2 border-blue-500' : 'text-gray-400'}`}>{icon} {label}</button>;
+                })}
             </div>
             <div>{renderContent()}</div>
-            <Modal isOpen={isScoreModalOpen} onClose={() => setScoreModalOpen(false)} title="Lançar Placar da Partida">
+            {liveMatch && (
+                <LiveScoreboard
+                    match={liveMatch}
+                    bestOf={bestOf}
+                    onUpdateLive={handleUpdateLive}
+                    onFinish={handleFinishLive}
+                    onClose={() => setLiveMatchId(null)}
+                />
+            )}
+            <Modal isOpen={isScoreModalOpen} onClose={() => setScoreModalOpen(false)} title={editingMatch?.status === 'completed' ? 'Corrigir Placar da Partida' : 'Lançar Placar da Partida'}>
                 {editingMatch && <div className="space-y-4">
                     <div className="text-center text-white text-lg font-bold">
                         {editingMatch.homeParticipantName} <span className="text-gray-400">vs</span> {editingMatch.awayParticipantName}
                     </div>
-                    <div className="flex justify-around items-center">
-                         <Input type="number" min="0" value={matchScore.home} onChange={e => setMatchScore({...matchScore, home: e.target.value})} className="w-24 text-center text-2xl text-yellow-300"/>
-                         <span className="text-white text-2xl">x</span>
-                         <Input type="number" min="0" value={matchScore.away} onChange={e => setMatchScore({...matchScore, away: e.target.value})} className="w-24 text-center text-2xl text-yellow-300"/>
+                    <Select value={resultOutcome.outcome} onChange={e => setResultOutcome({ ...resultOutcome, outcome: e.target.value })}>
+                        {Object.entries(MATCH_OUTCOME_LABELS).filter(([value]) => !tieFormat || value !== 'retired').map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </Select>
+                    {resultOutcome.outcome !== 'normal' && (
+                        <div>
+                            <label className="text-gray-300 font-semibold mb-1 block">
+                                {resultOutcome.outcome === 'walkover' ? 'Quem não compareceu?' : resultOutcome.outcome === 'retired' ? 'Quem desistiu?' : 'Quem foi desclassificado?'}
+                            </label>
+                            <Select value={resultOutcome.affectedSide} onChange={e => setResultOutcome({ ...resultOutcome, affectedSide: e.target.value })}>
+                                <option value="home">{editingMatch.homeParticipantName}</option>
+                                <option value="away">{editingMatch.awayParticipantName}</option>
+                            </Select>
+                        </div>
+                    )}
+                    {tieFormat && tieDraft && !isNoPlayOutcome(resultOutcome.outcome) && (
+                        <>
+                            <TieScoreEditor
+                                format={tieFormat}
+                                teams={{ home: participantMap.get(editingMatch.homeParticipantId), away: participantMap.get(editingMatch.awayParticipantId) }}
+                                getPlayerName={getPlayerName}
+                                draft={tieDraft}
+                                evaluation={tieEvaluation}
+                                onChange={setTieDraft}
+                            />
+                            <div className="text-center">
+                                <p className="text-gray-400 text-sm">Jogos melhor de {bestOf} · vence o confronto quem fizer {tieFormat.rubbersToWin} jogos</p>
+                                <p className="text-white text-2xl font-bold">{tieEvaluation.score.home} x {tieEvaluation.score.away}</p>
+                                {tieEvaluation.error && <p className="text-red-400 text-sm mt-1">{tieEvaluation.error}</p>}
+                            </div>
+                        </>
+                    )}
+                    {!tieFormat && !isNoPlayOutcome(resultOutcome.outcome) && <>
+                    {resultOutcome.outcome === 'retired' && <p className="text-sm text-gray-400">Lance os sets disputados até a desistência; o último pode estar incompleto.</p>}
+                    <div className="space-y-2">
+                        {setInputs.map((setInput, index) => (
+                            <div key={index} className="flex justify-around items-center">
+                                <span className="text-gray-400 w-12">Set {index + 1}</span>
+                                <Input type="number" min="0" value={setInput.home} onChange={e => handleSetInputChange(index, 'home', e.target.value)} className="w-20 text-center text-xl text-yellow-300 bg-gray-700 rounded-lg"/>
+                                <span className="text-white">x</span>
+                                <Input type="number" min="0" value={setInput.away} onChange={e => handleSetInputChange(index, 'away', e.target.value)} className="w-20 text-center text-xl text-yellow-300 bg-gray-700 rounded-lg"/>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="text-center">
+                        <p className="text-gray-400 text-sm">Melhor de {bestOf}</p>
+                        <p className="text-white text-2xl font-bold">{scoreEvaluation.homeSets} x {scoreEvaluation.awaySets}</p>
+                        {scoreEvaluation.error && <p className="text-red-400 text-sm mt-1">{scoreEvaluation.error}</p>}
                     </div>
+                    </>}
                      <div className="flex justify-end gap-2">
                         <Button variant="secondary" onClick={() => setScoreModalOpen(false)}>Cancelar</Button>
                         <Button onClick={handleSaveScore}><Save size={18}/> Salvar Placar</Button>
                     </div>
                 </div>}
+            </Modal>
+            <Modal isOpen={isExportModalOpen} onClose={() => setExportModalOpen(false)} title="Exportar Campeonato">
+                <div className="space-y-3">
+                    <p className="text-sm text-gray-400">A versão para impressão abre em outra janela; use "Salvar como PDF" no diálogo de impressão para gerar o arquivo.</p>
+                    {exportOptions.map(option => (
+                        <div key={option.key} className="flex justify-between items-center gap-2 bg-gray-700 p-3 rounded-lg">
+                            <span className={option.available ? 'text-white' : 'text-gray-500'}>{option.title}</span>
+                            <div className="flex gap-2">
+                                <Button variant="secondary" className="p-2 h-auto" title="Imprimir / PDF" onClick={() => handleExport(option, 'print')} disabled={!option.available}><Printer size={16}/></Button>
+                                <Button variant="secondary" className="p-2 h-auto" title="Baixar CSV" onClick={() => handleExport(option, 'csv')} disabled={!option.available}><Download size={16}/> CSV</Button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </Modal>
+            <Modal isOpen={!!withdrawalDraft} onClose={() => setWithdrawalDraft(null)} title="Registrar Desistência">
+                {withdrawalDraft && (
+                    <div className="space-y-4">
+                        <p className="text-gray-300">
+                            {participantMap.get(withdrawalDraft.participantId)?.name} vai deixar o campeonato.
+                            {!hasStarted && ' Como a disputa ainda não começou, ele apenas sai da lista de inscritos.'}
+                        </p>
+                        {hasStarted && Object.entries(WITHDRAWAL_MODES).map(([mode, label]) => (
+                            <label key={mode} className="flex items-start gap-3 text-white cursor-pointer">
+                                <input type="radio" name="withdrawal-mode" checked={withdrawalDraft.mode === mode} onChange={() => setWithdrawalDraft({ ...withdrawalDraft, mode })} className="mt-1" />
+                                {label}
+                            </label>
+                        ))}
+                        {hasStarted && <p className="text-sm text-gray-400">No mata-mata, a partida pendente dele vira W.O. para o adversário. A classificação do grupo é recalculada.</p>}
+                        <div className="flex justify-end gap-2">
+                            <Button variant="secondary" onClick={() => setWithdrawalDraft(null)}>Cancelar</Button>
+                            <Button variant="danger" onClick={handleWithdraw}><LogOut size={18}/> Confirmar Desistência</Button>
+                        </div>
+                    </div>
+                )}
             </Modal>
              <Modal isOpen={isManualMatchModalOpen} onClose={() => setManualMatchModalOpen(false)} title="Criar Partida Manual">
                 <div className="space-y-4">
+                    <p className="text-sm text-gray-400">A partida manual é um amistoso: não entra na classificação dos grupos nem no chaveamento.</p>
                     <div>
                         <label className="text-gray-300 font-semibold mb-1 block">Participante da Casa</label>
                         <Select value={manualMatchData.homeParticipantId} onChange={e => setManualMatchData({...manualMatchData, homeParticipantId: e.target.value})}>
@@ -883,20 +5362,38 @@ function ChampionshipDetail({ championship, teams, players, onBack, onUpdateCham
 
 export default function App() {
     const [userId, setUserId] = useState(null);
+    const [authUser, setAuthUser] = useState(null);
     const [authReady, setAuthReady] = useState(false);
+    const [isAuthModalOpen, setAuthModalOpen] = useState(false);
+    const [isBackupModalOpen, setBackupModalOpen] = useState(false);
+    const [undoAction, setUndoAction] = useState(null);
+    const [route, navigate] = useRoute();
+    const publicChampionshipId = route.name === 'public' ? route.championshipId : null;
+    const publicOwnerId = route.name === 'public' ? route.ownerId : null;
+    // O espectador da página pública não precisa dos cadastros do próprio usuário anônimo
+    const dataUserId = publicChampionshipId ? null : userId;
     
-    const { items: players, loading: loadingPlayers, addItem: addPlayer, updateItem: updatePlayer, deleteItem: deletePlayer } = useFirestoreCollection('players', userId);
-    const { items: teams, loading: loadingTeams, addItem: addTeam, updateItem: updateTeam, deleteItem: deleteTeam } = useFirestoreCollection('teams', userId);
-    const { items: championships, loading: loadingChampionships, addItem: addChampionship, updateItem: updateChampionship, deleteItem: deleteChampionship } = useFirestoreCollection('championships', userId);
+    const { items: players, loading: loadingPlayers, addItem: addPlayer, updateItem: updatePlayer } = useFirestoreCollection('players', dataUserId);
+    const { items: teams, loading: loadingTeams, addItem: addTeam, updateItem: updateTeam } = useFirestoreCollection('teams', dataUserId);
+    const { items: championships, loading: loadingChampionships, addItem: addChampionship, updateItem: updateChampionship } = useFirestoreCollection('championships', dataUserId);
+
+    const selectedChampionshipId = route.name === 'championship' ? route.championshipId : null;
+    const showRanking = route.name === 'ranking' || route.name === 'participant';
+    const profilePlayer = route.name === 'player' ? players.find(p => p.id === route.playerId) : null;
+    const allMatches = useAllChampionshipMatches(championships, dataUserId);
+    const sharedChampionships = useSharedChampionships(publicChampionshipId ? null : authUser?.email, userId);
+    const syncStatus = useSyncStatus(dataUserId);
 
-    const [selectedChampionshipId, setSelectedChampionshipId] = useState(null);
+    const ratingData = useMemo(() => computeRatings([...players, ...teams], allMatches, championships), [players, teams, allMatches, championships]);
 
     useEffect(() => {
         const unsubscribe = onAuthStateChanged(auth, (user) => {
             if (user) {
                 setUserId(user.uid);
+                setAuthUser(describeAuthUser(user));
             } else {
                 setUserId(null);
+                setAuthUser(null);
             }
             setAuthReady(true);
         });
@@ -926,8 +5423,257 @@ export default function App() {
     }, []);
 
     const selectedChampionship = useMemo(() => {
-        return championships.find(c => c.id === selectedChampionshipId);
-    }, [championships, selectedChampionshipId]);
+        return championships.find(c => c.id === selectedChampionshipId) || sharedChampionships.find(c => c.id === selectedChampionshipId);
+    }, [championships, sharedChampionships, selectedChampionshipId]);
+
+    // Num campeonato compartilhado, os participantes são os cadastros de quem o criou
+    const sharedOwnerId = selectedChampionship?.ownerId || null;
+    const { items: ownerPlayers } = useFirestoreCollection('players', sharedOwnerId);
+    const { items: ownerTeams } = useFirestoreCollection('teams', sharedOwnerId);
+    // Sem as partidas dos outros campeonatos do dono não há histórico: só os ratings iniciais, que o
+    // ChampionshipDetail não mostra para convidados
+    const sharedRatingData = useMemo(() => computeRatings([...ownerPlayers, ...ownerTeams], [], []), [ownerPlayers, ownerTeams]);
+
+    const handleUpdateChampionship = async (id, data) => {
+        const shared = sharedChampionships.find(c => c.id === id);
+        if (!shared) return updateChampionship(id, data);
+        queueWrite(updateDoc(doc(db, `artifacts/${appId}/users/${shared.ownerId}/championships`, id), data));
+    };
+
+    // Jogadores e duplas da importação entram num único lote: ou grava tudo, ou nada
+    const handleImportParticipants = async ({ players: importedPlayers, teams: importedTeams }) => {
+        // O modal já bloqueia listas maiores; o erro mantém o modal aberto com os dados colados
+        if (importedPlayers.length + importedTeams.length > IMPORT_LIMIT) {
+            throw new Error(`Importe no máximo ${IMPORT_LIMIT} registros (jogadores + duplas) por vez.`);
+        }
+        const playersCollection = collection(db, `artifacts/${appId}/users/${userId}/players`);
+        const teamsCollection = collection(db, `artifacts/${appId}/users/${userId}/teams`);
+        const batch = writeBatch(db);
+        const playersByName = new Map(players.map(p => [normalizeName(p.name), p]));
+
+        importedPlayers.forEach(row => {
+            const playerRef = doc(playersCollection);
+            const player = { name: row.name, club: row.club, initialRating: row.rating };
+            batch.set(playerRef, player);
+            playersByName.set(normalizeName(row.name), { id: playerRef.id, ...player });
+        });
+        importedTeams.forEach(team => {
+            const teamPlayers = team.playerNames.map(name => playersByName.get(normalizeName(name)));
+            batch.set(doc(teamsCollection), {
+                name: teamPlayers.map(p => p.name).join(' & '),
+                type: 'doubles',
+                playerIds: teamPlayers.map(p => p.id),
+                playerNames: teamPlayers.map(p => p.name),
+            });
+        });
+        if (!navigator.onLine) {
+            queueWrite(batch.commit());
+            alert(QUEUED_OFFLINE_MESSAGE);
+            return;
+        }
+        // Online, a recusa do servidor chega ao modal, que continua aberto com os dados colados
+        await queueWrite(batch.commit(), { reportErrors: false });
+    };
+
+    // As partidas são lidas na hora para o backup não depender dos listeners já terem carregado
+    const handleExportBackup = async () => {
+        const basePath = `artifacts/${appId}/users/${userId}`;
+        const matchesByChampionship = new Map(await Promise.all(championships.map(async c => {
+            const snapshot = await getDocs(collection(db, `${basePath}/championships/${c.id}/matches`));
+            return [c.id, snapshot.docs.map(matchDoc => ({ id: matchDoc.id, ...matchDoc.data() }))];
+        })));
+        const backup = buildBackup(players, teams, championships, matchesByChampionship);
+        downloadFile(`backup-ping-pong-${backup.exportedAt.slice(0, 10)}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    };
+
+    // Grava em lotes e informa o que entrou e o que faltou. Os IDs novos são gerados uma vez só: repetir os
+    // lotes que falharam (retry) regrava os mesmos documentos, sem duplicar o que já foi restaurado
+    const handleRestoreBackup = async (backup) => {
+        const basePath = `artifacts/${appId}/users/${userId}`;
+        const restored = remapBackup(backup, () => doc(collection(db, `${basePath}/players`)).id);
+        const writes = [
+            ...restored.players.map(({ id, data }) => [doc(db, `${basePath}/players`, id), data, 'jogadores']),
+            ...restored.teams.map(({ id, data }) => [doc(db, `${basePath}/teams`, id), data, 'duplas e equipes']),
+            ...restored.championships.flatMap(({ id, data, matches }) => [
+                [doc(db, `${basePath}/championships`, id), data, `campeonato "${data.name}"`],
+                ...matches.map(match => [doc(db, `${basePath}/championships/${id}/matches`, match.id), match.data, `partidas de "${data.name}"`]),
+            ]),
+        ];
+
+        if (!navigator.onLine) {
+            commitInChunks(writes, (batch, [ref, data]) => batch.set(ref, data));
+            return { total: writes.length, written: 0, queued: true, retry: null };
+        }
+
+        const restore = async (items, writtenBefore) => {
+            const chunks = commitInChunks(items, (batch, [ref, data]) => batch.set(ref, data), { reportErrors: false });
+            const results = await Promise.allSettled(chunks.map(chunk => chunk.done));
+            results.forEach(result => result.status === 'rejected' && console.error("Erro ao restaurar lote:", result.reason));
+            const written = [...writtenBefore, ...chunks.filter((_, i) => results[i].status === 'fulfilled').flatMap(chunk => chunk.items)];
+            const failed = chunks.filter((_, i) => results[i].status === 'rejected').flatMap(chunk => chunk.items);
+            return {
+                total: writes.length,
+                written: written.length,
+                writtenParts: describeRestoreItems(written),
+                failedParts: describeRestoreItems(failed),
+                retry: failed.length > 0 ? () => restore(failed, written) : null,
+            };
+        };
+        return restore(writes, []);
+    };
+
+    const handleSignedIn = (user) => {
+        setUserId(user.uid);
+        setAuthUser(describeAuthUser(user));
+    };
+
+    // Ao sair, volta para um convidado novo para o app continuar utilizável
+    const handleSignOut = async () => {
+        if (!window.confirm("Sair da conta? Seus dados continuam salvos nela.")) return;
+        navigate('/');
+        await signOut(auth);
+        await signInAnonymously(auth);
+    };
+
+    // Corrige em segundo plano as cópias de nomes desatualizadas (renomeações novas e documentos antigos)
+    const staleNameUpdates = useMemo(() => findStaleNameUpdates(players, teams, allMatches), [players, teams, allMatches]);
+    const submittedNameUpdatesRef = useRef(new Set());
+
+    useEffect(() => {
+        const submitted = submittedNameUpdatesRef.current;
+        const updateKey = update => `${update.path}:${JSON.stringify(update.data)}`;
+        const pending = staleNameUpdates.filter(update => !submitted.has(updateKey(update)));
+        if (!dataUserId || pending.length === 0) return;
+        pending.forEach(update => submitted.add(updateKey(update)));
+        const basePath = `artifacts/${appId}/users/${dataUserId}`;
+        // Correção automática: erro só no console. Um documento recusado derruba o lote inteiro (até
+        // FIRESTORE_BATCH_LIMIT atualizações), então todas as chaves do lote voltam a ser tentadas na próxima mudança
+        commitInChunks(pending, (batch, { path, data }) => batch.update(doc(db, `${basePath}/${path}`), data), { reportErrors: false })
+            .forEach(chunk => chunk.done.catch(error => {
+                console.error("Erro ao corrigir nomes desatualizados:", error);
+                chunk.items.forEach(update => submitted.delete(updateKey(update)));
+            }));
+    }, [staleNameUpdates, dataUserId]);
+
+    // Mantém o índice de convidados do organizador igual à soma dos convidados dos seus campeonatos
+    const organizerMemberEmails = useMemo(() => (
+        [...new Set(championships.flatMap(c => (c.members || []).map(m => m.email)))].sort()
+    ), [championships]);
+    const lastOrganizerAccessRef = useRef(null);
+
+    useEffect(() => {
+        if (!dataUserId || loadingChampionships) return;
+        const key = `${dataUserId}:${organizerMemberEmails.join(',')}`;
+        if (key === lastOrganizerAccessRef.current) return;
+        if (lastOrganizerAccessRef.current === null && organizerMemberEmails.length === 0) return;
+        lastOrganizerAccessRef.current = key;
+        trackPendingWrite(setDoc(doc(db, getOrganizerAccessPath(dataUserId)), { memberEmails: organizerMemberEmails }))
+            .catch(error => console.error("Erro ao atualizar os convidados do organizador:", error));
+    }, [organizerMemberEmails, dataUserId, loadingChampionships]);
+
+    useEffect(() => {
+        if (!undoAction) return;
+        const timeout = setTimeout(() => setUndoAction(null), UNDO_WINDOW_MS);
+        return () => clearTimeout(timeout);
+    }, [undoAction]);
+
+    const handleUndo = () => {
+        const { undo } = undoAction;
+        setUndoAction(null);
+        undo();
+    };
+
+    const handleDeleteParticipant = async (collectionName, participant) => {
+        const basePath = `artifacts/${appId}/users/${userId}`;
+        const references = getParticipantReferences(participant.id, { teams, championships, matches: allMatches });
+        const action = getParticipantDeletionAction(references);
+        const updateParticipant = collectionName === 'players' ? updatePlayer : updateTeam;
+
+        if (action === 'archive') {
+            if (!window.confirm(`${participant.name} tem histórico (${describeParticipantReferences(references)}) e será arquivado em vez de excluído. Continuar?`)) return;
+            await updateParticipant(participant.id, { archived: true });
+            setUndoAction({ message: `${participant.name} arquivado.`, undo: () => updateParticipant(participant.id, { archived: false }) });
+            return;
+        }
+        if (action === 'block') {
+            alert(`${participant.name} não pode ser excluído porque está em uso (${describeParticipantReferences(references)}). Remova essas referências primeiro.`);
+            return;
+        }
+        if (!window.confirm(`Excluir ${participant.name}?`)) return;
+        const { id, ...data } = participant;
+        queueWrite(deleteDoc(doc(db, `${basePath}/${collectionName}`, id)));
+        setUndoAction({ message: `${participant.name} excluído.`, undo: () => queueWrite(setDoc(doc(db, `${basePath}/${collectionName}`, id), data)) });
+    };
+
+    // Exclui o campeonato com a subcoleção de partidas, a cópia pública e o índice de acesso; o desfazer regrava tudo com os mesmos IDs
+    const handleDeleteChampionship = async (id) => {
+        const championship = championships.find(c => c.id === id);
+        const championshipPath = `artifacts/${appId}/users/${userId}/championships/${id}`;
+        // As partidas são lidas do cache local (funciona sem conexão); se ele estiver vazio, do servidor
+        const matchesCollection = collection(db, `${championshipPath}/matches`);
+        let matchesSnapshot;
+        try {
+            matchesSnapshot = await getDocsFromCache(matchesCollection).catch(() => null);
+            if (!matchesSnapshot || matchesSnapshot.empty) matchesSnapshot = await getDocs(matchesCollection);
+        } catch (error) {
+            console.error("Erro ao ler as partidas:", error);
+            alert("Não foi possível ler as partidas do campeonato. Nada foi excluído; tente novamente.");
+            return;
+        }
+        const matchDocs = matchesSnapshot.docs.map(matchDoc => ({ id: matchDoc.id, data: matchDoc.data() }));
+        const extras = [
+            matchDocs.length > 0 && `${matchDocs.length} partida(s)`,
+            championship.publicPage?.published && 'a página pública',
+            championship.members?.length > 0 && `o acesso de ${championship.members.length} co-organizador(es)`,
+        ].filter(Boolean);
+        if (!window.confirm(`Excluir o campeonato "${championship.name}"${extras.length > 0 ? ` junto com ${extras.join(', ')}` : ''}?`)) return;
+
+        const refs = getChampionshipDeletionPaths(userId, id, matchDocs.map(m => m.id)).map(path => doc(db, path));
+        // A cópia pública é refeita a partir dos dados apagados, como a tela do campeonato faz ao publicar
+        const participantSource = championship.participantType === 'player' ? players : teams;
+        const publicSnapshot = championship.publicPage?.published
+            ? buildPublicSnapshot(
+                championship,
+                championship.participantIds.map(participantId => participantSource.find(p => p.id === participantId)).filter(Boolean),
+                matchDocs.map(m => ({ id: m.id, ...m.data })),
+                players)
+            : null;
+        const online = navigator.onLine;
+        const chunks = commitInChunks(refs, (batch, ref) => batch.delete(ref), { reportErrors: !online });
+
+        setUndoAction({
+            message: online ? `Campeonato "${championship.name}" excluído.` : `Campeonato "${championship.name}" excluído neste aparelho; será enviado quando a conexão voltar.`,
+            undo: () => {
+                const writes = getChampionshipRestoreWrites({
+                    ownerId: userId,
+                    ownerEmail: authUser?.email || '',
+                    championship,
+                    matchDocs,
+                    publicSnapshot: publicSnapshot && { ...publicSnapshot, updatedAt: new Date().toISOString() },
+                });
+                commitInChunks(writes, (batch, [path, data]) => batch.set(doc(db, path), data));
+            },
+        });
+        if (!online) return;
+
+        // Cada lote é atômico, mas a exclusão pode ficar pela metade; o documento do campeonato vai no último lote
+        const results = await Promise.allSettled(chunks.map(chunk => chunk.done));
+        const failed = chunks.filter((_, i) => results[i].status === 'rejected').flatMap(chunk => chunk.items);
+        if (failed.length > 0) {
+            results.forEach(result => result.status === 'rejected' && console.error("Erro ao excluir lote:", result.reason));
+            alert(`Exclusão incompleta: ${refs.length - failed.length} de ${refs.length} documento(s) apagado(s). Exclua o campeonato de novo para apagar o restante.`);
+        }
+    };
+
+    if (publicChampionshipId) {
+        return (
+            <div className="bg-gray-900 min-h-screen text-white p-4 sm:p-6 lg:p-8">
+                <div className="max-w-7xl mx-auto">
+                    {authReady ? <PublicChampionshipView ownerId={publicOwnerId} championshipId={publicChampionshipId} /> : <Spinner />}
+                </div>
+            </div>
+        );
+    }
 
     if (!authReady || loadingPlayers || loadingTeams || loadingChampionships) {
         return (
@@ -943,6 +5689,7 @@ export default function App() {
                 <div className="text-center">
                     <h1 className="text-2xl font-bold text-red-500">Erro de Autenticação</h1>
                     <p className="text-gray-400 mt-2">Não foi possível autenticar o usuário. Por favor, recarregue a página.</p>
+                    {!syncStatus.online && <p className="text-yellow-400 mt-2">Sem conexão: o primeiro acesso neste aparelho precisa de internet; depois o app funciona offline.</p>}
                      <p className="text-xs text-gray-500 mt-4">User ID: Não disponível</p>
                 </div>
             </div>
@@ -955,42 +5702,126 @@ export default function App() {
                 <header className="mb-8">
                     <h1 className="text-4xl font-extrabold text-center tracking-tight text-white">Gerenciador de Campeonatos <span className="text-blue-500">de Ping Pong</span></h1>
                     <p className="text-center text-gray-400 mt-2">Crie, gerencie e acompanhe seus torneios com facilidade.</p>
-                    <p className="text-center text-xs text-gray-600 mt-2">User ID: {userId}</p>
+                    <div className="flex justify-center items-center gap-3 mt-3 text-sm">
+                        <SyncStatusBadge online={syncStatus.online} pending={syncStatus.pending} />
+                        {authUser?.isAnonymous ? (
+                            <>
+                                <span className="text-gray-400">Convidado · os dados ficam só neste navegador</span>
+                                <Button variant="secondary" className="py-1" onClick={() => setAuthModalOpen(true)}><LogIn size={16}/> Entrar ou criar conta</Button>
+                            </>
+                        ) : (
+                            <>
+                                <span className="text-gray-300">{authUser?.displayName || authUser?.email}</span>
+                                <Button variant="secondary" className="py-1" onClick={handleSignOut}><LogOut size={16}/> Sair</Button>
+                            </>
+                        )}
+                    </div>
+                    {!selectedChampionshipId && !showRanking && (
+                        <div className="flex justify-center gap-2 mt-4">
+                            <Button variant="secondary" onClick={() => navigate('/ranking')}><TrendingUp size={18}/> Ranking</Button>
+                            <Button variant="secondary" onClick={() => setBackupModalOpen(true)}><Save size={18}/> Backup</Button>
+                        </div>
+                    )}
                 </header>
+                <BackupModal
+                    isOpen={isBackupModalOpen}
+                    onClose={() => setBackupModalOpen(false)}
+                    onExport={handleExportBackup}
+                    onRestore={handleRestoreBackup}
+                />
+                {undoAction && <UndoToast message={undoAction.message} onUndo={handleUndo} onDismiss={() => setUndoAction(null)} />}
+                <AuthModal
+                    isOpen={isAuthModalOpen}
+                    onClose={() => setAuthModalOpen(false)}
+                    hasLocalData={players.length + teams.length + championships.length > 0}
+                    onSignedIn={handleSignedIn}
+                />
 
-                {selectedChampionship ? (
+                {showRanking ? (
+                    <RankingPage
+                        players={players}
+                        teams={teams}
+                        ratingData={ratingData}
+                        championships={championships}
+                        selectedParticipantId={route.participantId || null}
+                        onSelectParticipant={(id) => navigate(getRankingPath(id), { replace: true })}
+                        onOpenPlayer={(id) => navigate(getParticipantPath(id))}
+                        onBack={() => navigate('/')}
+                    />
+                ) : route.name === 'player' ? (
+                    profilePlayer ? (
+                        <PlayerProfile
+                            player={profilePlayer}
+                            players={players}
+                            teams={teams}
+                            championships={championships}
+                            matches={allMatches}
+                            ratingData={ratingData}
+                            onBack={() => navigate('/')}
+                            onOpenMatch={(match) => navigate(getChampionshipPath(match.championshipId, 'matches', match.tieId || match.id))}
+                        />
+                    ) : (
+                        <Card className="text-center">
+                            <h2 className="text-2xl font-bold text-white">Jogador não encontrado</h2>
+                            <p className="text-gray-400 mt-2">Ele pode ter sido excluído desta conta.</p>
+                            <Button variant="secondary" className="mx-auto mt-4" onClick={() => navigate('/')}>
+                                <ArrowRight className="transform rotate-180" size={18}/> Voltar para a lista
+                            </Button>
+                        </Card>
+                    )
+                ) : selectedChampionshipId && !selectedChampionship ? (
+                    <Card className="text-center">
+                        <h2 className="text-2xl font-bold text-white">Campeonato não encontrado</h2>
+                        <p className="text-gray-400 mt-2">Ele pode ter sido excluído ou não estar compartilhado com esta conta.</p>
+                        <Button variant="secondary" className="mx-auto mt-4" onClick={() => navigate('/')}>
+                            <ArrowRight className="transform rotate-180" size={18}/> Voltar para a lista
+                        </Button>
+                    </Card>
+                ) : selectedChampionship ? (
                     <ChampionshipDetail 
                         championship={selectedChampionship} 
-                        teams={teams}
-                        players={players}
-                        onBack={() => setSelectedChampionshipId(null)}
-                        onUpdateChampionship={updateChampionship}
+                        teams={sharedOwnerId ? ownerTeams : teams}
+                        players={sharedOwnerId ? ownerPlayers : players}
+                        ratingData={sharedOwnerId ? sharedRatingData : ratingData}
+                        activeTab={route.tab}
+                        focusedMatchId={route.matchId}
+                        onNavigate={(tab, matchId) => navigate(getChampionshipPath(selectedChampionship.id, tab, matchId))}
+                        onBack={() => navigate('/')}
+                        onUpdateChampionship={handleUpdateChampionship}
                         userId={userId}
+                        userEmail={authUser?.email}
+                        role={selectedChampionship.role}
                     />
                 ) : (
                     <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
                         <div className="space-y-8">
                             <PlayersManager 
                                 players={players}
+                                teams={teams}
+                                onImport={handleImportParticipants}
+                                ratings={ratingData.ratings}
                                 onAddPlayer={addPlayer}
                                 onUpdatePlayer={updatePlayer}
-                                onDeletePlayer={deletePlayer}
+                                onDeletePlayer={(player) => handleDeleteParticipant('players', player)}
+                                onOpenProfile={(player) => navigate(getParticipantPath(player.id))}
                             />
                              <TeamsManager 
                                 teams={teams}
                                 players={players}
+                                ratings={ratingData.ratings}
                                 onAddTeam={addTeam}
                                 onUpdateTeam={updateTeam}
-                                onDeleteTeam={deleteTeam}
+                                onDeleteTeam={(team) => handleDeleteParticipant('teams', team)}
                             />
                         </div>
                          <ChampionshipsManager 
                             championships={championships}
+                            sharedChampionships={sharedChampionships}
                             teams={teams}
                             players={players}
                             onAddChampionship={addChampionship}
-                            onDeleteChampionship={deleteChampionship}
-                            onSelectChampionship={setSelectedChampionshipId}
+                            onDeleteChampionship={handleDeleteChampionship}
+                            onSelectChampionship={(id) => navigate(getChampionshipPath(id))}
                         />
                     </div>
                 )}
@@ -998,3 +5829,24 @@ export default function App() {
         </div>
     );
 }
+
+// Regras puras expostas para os testes
+export {
+    getBracketSeedOrder, getKnockoutQualifiers, buildKnockoutBracket, buildDoubleEliminationBracket, resolveBracketByes,
+    validateSetScore, evaluateMatchSets, buildMatchResult,
+    rankTiedBlock, computeGroupStandings,
+    getKnockoutCascadeUpdates, getKnockoutWithdrawalUpdates, getKnockoutReseedUpdates,
+    computeRatings,
+    scheduleMatches,
+    generateRoundRobinFixtures, planGroupFixtures, pairSwissRound,
+    drawGroups, countGroupClubConflicts, GroupDrawPanel,
+    createLiveState, replayLiveMatch,
+    buildPublicSnapshot,
+    toCsv,
+    ImportParticipantsModal,
+    validateBackup, remapBackup, BackupModal,
+    findStaleNameUpdates,
+    getParticipantReferences, getParticipantDeletionAction, getChampionshipDeletionPaths, getChampionshipRestoreWrites,
+    evaluateTie, buildTieResult, TIE_FORMATS,
+    RankingPage, parseRoute
+};
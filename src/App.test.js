@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('abre na lista de jogadores, duplas e campeonatos', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText('Jogadores')).toBeInTheDocument();
+  expect(screen.getByText('Campeonatos')).toBeInTheDocument();
 });
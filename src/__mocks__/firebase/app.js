@@ -0,0 +1,2 @@
+// Firebase fora dos testes: nenhum teste fala com o servidor
+export const initializeApp = () => ({});
@@ -0,0 +1,17 @@
+// Sessão anônima fixa: o app abre direto nas telas do usuário de teste
+const testUser = { uid: 'usuario-teste', isAnonymous: true, email: null, providerData: [] };
+
+export const getAuth = () => ({ currentUser: testUser });
+export const onAuthStateChanged = (auth, callback) => {
+    callback(testUser);
+    return () => {};
+};
+export const signInAnonymously = async () => ({ user: testUser });
+export const signInWithCustomToken = async () => ({ user: testUser });
+export const signInWithCredential = async () => ({ user: testUser });
+export const signInWithEmailAndPassword = async () => ({ user: testUser });
+export const signOut = async () => {};
+export const linkWithPopup = async () => ({ user: testUser });
+export const linkWithCredential = async () => ({ user: testUser });
+export function GoogleAuthProvider() {}
+export const EmailAuthProvider = { credential: () => ({}) };
@@ -0,0 +1,36 @@
+// Banco vazio: as coleções chegam sem documentos e as gravações só resolvem
+const emptySnapshot = {
+    docs: [], empty: true, size: 0, forEach: () => {},
+    exists: () => false, data: () => undefined,
+    metadata: { hasPendingWrites: false, fromCache: false }
+};
+
+let nextId = 0;
+
+export const initializeFirestore = () => ({});
+export const getFirestore = () => ({});
+export const persistentLocalCache = () => ({});
+export const persistentMultipleTabManager = () => ({});
+export const waitForPendingWrites = async () => {};
+export const collection = (db, path) => ({ path });
+export const doc = (parent, ...segments) => {
+    // doc(collection(...)) sem caminho gera um id novo, como o SDK
+    const path = segments.length ? segments.join('/') : `${parent.path}/novo-${++nextId}`;
+    return { path, id: path.split('/').pop() };
+};
+export const query = (ref) => ref;
+export const where = () => ({});
+export const onSnapshot = (ref, callback) => {
+    callback(emptySnapshot);
+    return () => {};
+};
+export const getDoc = async () => emptySnapshot;
+export const getDocs = async () => emptySnapshot;
+export const getDocsFromCache = async () => emptySnapshot;
+export const addDoc = async () => ({ id: `novo-${++nextId}` });
+export const setDoc = async () => {};
+export const updateDoc = async () => {};
+export const deleteDoc = async () => {};
+export const writeBatch = () => ({ set() {}, update() {}, delete() {}, commit: async () => {} });
+export const arrayUnion = (...values) => values;
+export const deleteField = () => null;
@@ -0,0 +1,165 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { validateBackup, remapBackup, BackupModal } from './App';
+
+const createBackup = () => ({
+  format: 'ping-pong-manager-backup',
+  version: 1,
+  exportedAt: '2024-05-01T12:00:00.000Z',
+  players: [{ id: 'p1', name: 'Ana' }, { id: 'p2', name: 'Bia' }],
+  teams: [{ id: 't1', name: 'Ana & Bia', playerIds: ['p1', 'p2'] }],
+  championships: [{
+    id: 'c1',
+    name: 'Aberto',
+    participantType: 'player',
+    participantIds: ['p1', 'p2'],
+    groups: [{ name: 'Grupo A', participantIds: ['p1', 'p2'] }],
+    standings: [{ groupName: 'Grupo A', table: [{ participantId: 'p1' }, { participantId: 'p2' }] }],
+    config: { knockoutStage: { generated: true, rounds: [{ name: 'Final', matchIds: ['m2'] }] } },
+    publicPage: { published: true },
+    members: [{ email: 'x@example.com', role: 'viewer' }],
+    matches: [
+      { id: 'm1', homeParticipantId: 'p1', awayParticipantId: 'p2', winnerId: 'p1', nextMatchId: 'm2', status: 'completed', history: [{ before: { winnerId: null }, after: { winnerId: 'p1' } }] },
+      { id: 'm2', homeParticipantId: 'p1', awayParticipantId: null, winnerId: null, status: 'pending' },
+    ],
+  }],
+});
+
+describe('validateBackup', () => {
+  test('aceita um backup íntegro', () => {
+    expect(validateBackup(createBackup())).toEqual([]);
+  });
+
+  test('recusa arquivos de outro formato ou versão mais nova', () => {
+    expect(validateBackup({ format: 'outro' })).toEqual(['O arquivo não é um backup deste aplicativo.']);
+    expect(validateBackup({ ...createBackup(), version: 2 })[0]).toMatch(/Versão de backup não suportada/);
+  });
+
+  test('aponta referências para documentos que não estão no backup', () => {
+    const backup = createBackup();
+    backup.teams[0].playerIds = ['p1', 'p9'];
+    backup.championships[0].matches[0].nextMatchId = 'm9';
+    backup.championships[0].participantIds.push('p9');
+    expect(validateBackup(backup)).toEqual([
+      'Dupla "Ana & Bia" referencia jogador inexistente.',
+      '"Aberto": participante inexistente.',
+      '"Aberto": partida #1 com referência inexistente.',
+    ]);
+  });
+});
+
+describe('validateBackup com confrontos entre equipes', () => {
+  const createTieBackup = () => {
+    const backup = createBackup();
+    backup.players.push({ id: 'p3', name: 'Caio' }, { id: 'p4', name: 'Duda' });
+    backup.teams.push({ id: 't2', name: 'Caio & Duda', playerIds: ['p3', 'p4'] });
+    const tie = {
+      format: 'corbillon',
+      lineup: { home: { A: 'p1', B: 'p2', doubles: ['p1', 'p2'] }, away: { X: 'p3', Y: 'p4', doubles: ['p3', 'p4'] } },
+      rubbers: [{ rubber: 'A-X', homePlayerIds: ['p1'], awayPlayerIds: ['p3'], sets: [], homeSets: 2, awaySets: 0, winnerSide: 'home' }],
+    };
+    backup.championships.push({
+      id: 'c2', name: 'Interclubes', participantType: 'team', participantIds: ['t1', 't2'], groups: [], standings: [], config: {},
+      matches: [{ id: 'x1', homeParticipantId: 't1', awayParticipantId: 't2', status: 'completed', winnerId: 't1', tie, history: [{ before: { status: 'pending' }, after: { status: 'completed', tie } }] }],
+    });
+    return backup;
+  };
+
+  test('aceita escalações com jogadores do backup', () => {
+    expect(validateBackup(createTieBackup())).toEqual([]);
+  });
+
+  test('recusa jogador inexistente na escalação, nos jogos ou no histórico', () => {
+    const inLineup = createTieBackup();
+    inLineup.championships[1].matches[0].tie = { ...inLineup.championships[1].matches[0].tie, lineup: { home: { A: 'p9', B: 'p2' }, away: { X: 'p3', Y: 'p4' } } };
+    const inRubber = createTieBackup();
+    inRubber.championships[1].matches[0].tie.rubbers[0].awayPlayerIds = ['p9'];
+    const inHistory = createTieBackup();
+    inHistory.championships[1].matches[0].history[0].after = { status: 'completed', tie: { lineup: {}, rubbers: [{ homePlayerIds: ['p9'], awayPlayerIds: [] }] } };
+    [inLineup, inRubber, inHistory].forEach(backup => {
+      expect(validateBackup(backup)).toEqual(['"Interclubes": partida #1 com escalação inválida ou jogador inexistente.']);
+    });
+  });
+
+  test('recusa confronto sem a estrutura esperada', () => {
+    const backup = createTieBackup();
+    backup.championships[1].matches[0].tie = { lineup: null, rubbers: 'x' };
+    expect(validateBackup(backup)).toEqual(['"Interclubes": partida #1 com escalação inválida ou jogador inexistente.']);
+  });
+});
+
+describe('remapBackup', () => {
+  const remap = () => {
+    let next = 0;
+    return remapBackup(createBackup(), () => `novo${++next}`);
+  };
+
+  test('gera IDs novos e reescreve todas as referências', () => {
+    const restored = remap();
+    const [ana, bia] = restored.players.map(p => p.id);
+    expect(new Set([ana, bia, restored.teams[0].id, restored.championships[0].id]).size).toBe(4);
+    expect(restored.teams[0].data.playerIds).toEqual([ana, bia]);
+
+    const championship = restored.championships[0];
+    const [first, final] = championship.matches;
+    expect(championship.data.participantIds).toEqual([ana, bia]);
+    expect(championship.data.standings[0].table.map(row => row.participantId)).toEqual([ana, bia]);
+    expect(championship.data.config.knockoutStage.rounds[0].matchIds).toEqual([final.id]);
+    expect(first.data).toMatchObject({ homeParticipantId: ana, awayParticipantId: bia, winnerId: ana, nextMatchId: final.id });
+    expect(final.data).toMatchObject({ awayParticipantId: null, winnerId: null });
+  });
+
+  test('o estado de compartilhamento não é restaurado', () => {
+    const { data } = remap().championships[0];
+    expect(data).not.toHaveProperty('members');
+    expect(data).not.toHaveProperty('publicPage');
+  });
+});
+
+describe('BackupModal', () => {
+  const chooseBackup = async () => {
+    const file = new File([JSON.stringify(createBackup())], 'backup.json', { type: 'application/json' });
+    file.text = async () => JSON.stringify(createBackup());
+    // O seletor de arquivo é o único campo do modal
+    fireEvent.change(screen.getByDisplayValue(''), { target: { files: [file] } });
+    return screen.findByRole('button', { name: /Restaurar/ });
+  };
+
+  test('restauração completa avisa e fecha', async () => {
+    const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => {});
+    const onClose = jest.fn();
+    const onRestore = jest.fn().mockResolvedValue({ total: 6, written: 6, writtenParts: 'jogadores', failedParts: '', retry: null });
+    render(<BackupModal isOpen onClose={onClose} onExport={jest.fn()} onRestore={onRestore} />);
+    fireEvent.click(await chooseBackup());
+    await waitFor(() => expect(onClose).toHaveBeenCalled());
+    expect(alertSpy).toHaveBeenCalledWith('Backup restaurado: 6 documento(s) gravado(s).');
+  });
+
+  test('sem conexão, avisa que a restauração ficou na fila do aparelho', async () => {
+    const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => {});
+    const onClose = jest.fn();
+    const onRestore = jest.fn().mockResolvedValue({ total: 6, written: 0, queued: true, retry: null });
+    render(<BackupModal isOpen onClose={onClose} onExport={jest.fn()} onRestore={onRestore} />);
+    fireEvent.click(await chooseBackup());
+    await waitFor(() => expect(onClose).toHaveBeenCalled());
+    expect(alertSpy.mock.calls[0][0]).toMatch(/Sem conexão: salvo neste aparelho.*6 documento\(s\)/);
+  });
+
+  test('restauração parcial mostra o que entrou e o que faltou e tenta de novo só o que faltou', async () => {
+    const retry = jest.fn().mockResolvedValue({ total: 6, written: 6, writtenParts: 'jogadores, partidas de "Aberto"', failedParts: '', retry: null });
+    jest.spyOn(window, 'alert').mockImplementation(() => {});
+    const onClose = jest.fn();
+    const onRestore = jest.fn().mockResolvedValue({ total: 6, written: 3, writtenParts: 'jogadores', failedParts: 'partidas de "Aberto"', retry });
+    render(<BackupModal isOpen onClose={onClose} onExport={jest.fn()} onRestore={onRestore} />);
+    fireEvent.click(await chooseBackup());
+
+    expect(await screen.findByText('Restauração incompleta: 3 de 6 documento(s) gravado(s).')).toBeInTheDocument();
+    expect(screen.getByText('Não gravados: partidas de "Aberto".')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Restaurar/ })).not.toBeInTheDocument();
+    expect(onClose).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByRole('button', { name: /Tentar de novo/ }));
+    await waitFor(() => expect(onClose).toHaveBeenCalled());
+    expect(retry).toHaveBeenCalledTimes(1);
+    expect(onRestore).toHaveBeenCalledTimes(1);
+  });
+});
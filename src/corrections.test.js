@@ -0,0 +1,205 @@
+import { getKnockoutCascadeUpdates, getKnockoutWithdrawalUpdates, getKnockoutReseedUpdates, buildKnockoutBracket, buildDoubleEliminationBracket } from './App';
+
+const getName = (id) => id.toUpperCase();
+
+const completed = (winnerId) => ({ status: 'completed', outcome: 'normal', homeSets: 3, awaySets: 1, sets: [], winnerId });
+
+// Semifinal p1 x p4 -> final contra p2; a final já foi disputada
+const bracket = () => [
+  { id: 'sf1', homeParticipantId: 'p1', awayParticipantId: 'p4', nextMatchId: 'final', nextSlot: 'home', ...completed('p1') },
+  { id: 'sf2', homeParticipantId: 'p2', awayParticipantId: 'p3', nextMatchId: 'final', nextSlot: 'away', ...completed('p2') },
+  { id: 'final', homeParticipantId: 'p1', awayParticipantId: 'p2', nextMatchId: null, ...completed('p1') },
+];
+
+describe('getKnockoutCascadeUpdates', () => {
+  test('trocar o vencedor leva o novo vencedor adiante e reabre a partida seguinte já disputada', () => {
+    const matches = bracket();
+    const updates = getKnockoutCascadeUpdates(matches, matches[0], 'p4', getName);
+    expect(updates).toHaveLength(1);
+    expect(updates[0]).toMatchObject({
+      id: 'final',
+      resetsResult: true,
+      data: { homeParticipantId: 'p4', homeParticipantName: 'P4', status: 'pending', winnerId: null, sets: [] },
+    });
+    expect(updates[0].before).toBe(matches[2]);
+  });
+
+  test('reabrir uma partida esvazia a vaga seguinte', () => {
+    const matches = bracket();
+    const [update] = getKnockoutCascadeUpdates(matches, matches[0], null, getName);
+    expect(update.data).toMatchObject({ homeParticipantId: null, homeParticipantName: null });
+  });
+
+  test('partida seguinte pendente só troca o participante', () => {
+    const matches = bracket();
+    matches[2] = { ...matches[2], status: 'pending', winnerId: null };
+    const [update] = getKnockoutCascadeUpdates(matches, matches[0], 'p4', getName);
+    expect(update).toMatchObject({ resetsResult: false, data: { homeParticipantId: 'p4', homeParticipantName: 'P4' } });
+    expect(update.data).not.toHaveProperty('status');
+  });
+
+  test('sem mudança de vencedor não há atualização', () => {
+    const matches = bracket();
+    expect(getKnockoutCascadeUpdates(matches, matches[0], 'p1', getName)).toEqual([]);
+  });
+
+  test('a correção desce pelo chaveamento e tira o perdedor antigo da chave dos perdedores', () => {
+    const matches = [
+      { id: 'w1', homeParticipantId: 'a', awayParticipantId: 'b', nextMatchId: 'w2', nextSlot: 'home', loserNextMatchId: 'l1', loserNextSlot: 'home', ...completed('a') },
+      { id: 'w2', homeParticipantId: 'a', awayParticipantId: 'c', nextMatchId: 'gf', nextSlot: 'home', ...completed('a') },
+      { id: 'l1', homeParticipantId: 'b', awayParticipantId: 'd', nextMatchId: null, status: 'pending' },
+      { id: 'gf', homeParticipantId: 'a', awayParticipantId: null, nextMatchId: null, status: 'pending' },
+    ];
+    const updates = getKnockoutCascadeUpdates(matches, matches[0], 'b', getName);
+    const byId = Object.fromEntries(updates.map(u => [u.id, u.data]));
+    expect(byId.w2).toMatchObject({ homeParticipantId: 'b', status: 'pending' });
+    expect(byId.l1).toMatchObject({ homeParticipantId: 'a' });
+    expect(byId.gf).toMatchObject({ homeParticipantId: null });
+  });
+
+  describe('desempate da grande final', () => {
+    const grandFinal = (winnerId) => [
+      { id: 'gf', homeParticipantId: 'a', awayParticipantId: 'b', nextMatchId: null, resetMatchId: 'reset', ...completed(winnerId) },
+      { id: 'reset', homeParticipantId: null, awayParticipantId: null, nextMatchId: null, resetOf: 'gf', status: 'pending' },
+    ];
+
+    test('vitória do campeão da chave dos vencedores dispensa o desempate', () => {
+      const matches = grandFinal('a');
+      expect(getKnockoutCascadeUpdates(matches, matches[0], 'a', getName)).toEqual([]);
+    });
+
+    test('vitória do campeão da chave dos perdedores leva os dois finalistas ao desempate', () => {
+      const matches = grandFinal('b');
+      const updates = getKnockoutCascadeUpdates(matches, matches[0], 'b', getName);
+      expect(updates.map(u => u.id)).toEqual(['reset', 'reset']);
+      expect(Object.assign({}, ...updates.map(u => u.data))).toEqual({
+        homeParticipantId: 'a', homeParticipantName: 'A', awayParticipantId: 'b', awayParticipantName: 'B',
+      });
+    });
+
+    test('corrigir a final para o mandante esvazia e reabre o desempate já disputado', () => {
+      const matches = grandFinal('b');
+      matches[1] = { ...matches[1], homeParticipantId: 'a', awayParticipantId: 'b', ...completed('a') };
+      const updates = getKnockoutCascadeUpdates(matches, matches[0], 'a', getName);
+      expect(updates[0]).toMatchObject({ id: 'reset', resetsResult: true, data: { homeParticipantId: null, status: 'pending', winnerId: null } });
+      expect(updates[1]).toMatchObject({ id: 'reset', resetsResult: false, data: { awayParticipantId: null } });
+    });
+  });
+});
+
+describe('getKnockoutWithdrawalUpdates', () => {
+  const createIds = () => {
+    let next = 0;
+    return () => `m${++next}`;
+  };
+  const inRound = (rounds, matches, name) => {
+    const ids = rounds.find(r => r.name === name).matchIds;
+    return matches.filter(m => ids.includes(m.id));
+  };
+
+  test('no mata-mata simples, o adversário definido vence por W.O. e avança', () => {
+    const { rounds, matches } = buildKnockoutBracket(['p1', 'p2', 'p3', 'p4'], createIds());
+    const [semifinal] = inRound(rounds, matches, 'Semifinal');
+    const [final] = inRound(rounds, matches, 'Final');
+    const { updates, waitingMatchIds } = getKnockoutWithdrawalUpdates(matches, 'p4', getName);
+    expect(updates).toEqual([
+      { id: final.id, data: { homeParticipantId: 'p1', homeParticipantName: 'P1' }, walkover: false, before: final },
+      { id: semifinal.id, data: expect.objectContaining({ outcome: 'walkover', winnerId: 'p1', status: 'completed' }), walkover: true, before: semifinal },
+    ]);
+    expect(waitingMatchIds).toEqual([]);
+  });
+
+  test('sem adversário definido, o desistente fica esperando na partida', () => {
+    const { rounds, matches } = buildKnockoutBracket(['p1', 'p2', 'p3', 'p4'], createIds());
+    const [semifinal] = inRound(rounds, matches, 'Semifinal');
+    const [final] = inRound(rounds, matches, 'Final');
+    const withFinalist = matches.map(m => {
+      if (m.id === semifinal.id) return { ...m, ...completed('p1') };
+      return m.id === final.id ? { ...m, homeParticipantId: 'p1' } : m;
+    });
+    const { updates, waitingMatchIds } = getKnockoutWithdrawalUpdates(withFinalist, 'p1', getName);
+    expect(updates).toEqual([]);
+    expect(waitingMatchIds).toEqual([final.id]);
+  });
+
+  test('na eliminatória dupla, o desistente não cai na chave dos perdedores', () => {
+    const { rounds, matches } = buildDoubleEliminationBracket(['p1', 'p2', 'p3', 'p4'], createIds());
+    const [first, second] = inRound(rounds, matches, 'Vencedores · Semifinal').sort((a, b) => a.position - b.position);
+    const [losersFirst] = inRound(rounds, matches, 'Perdedores · Rodada 1');
+    const [losersSecond] = inRound(rounds, matches, 'Perdedores · Rodada 2');
+    expect([first.homeParticipantId, first.awayParticipantId]).toEqual(['p1', 'p4']);
+
+    const { updates } = getKnockoutWithdrawalUpdates(matches, 'p4', getName);
+    const byId = Object.fromEntries(updates.map(u => [u.id, u]));
+    expect(byId[first.id]).toMatchObject({ walkover: true, data: { winnerId: 'p1', loserNextMatchId: null, loserNextSlot: null } });
+    expect(updates.some(u => Object.values(u.data).includes('p4'))).toBe(false);
+    // A partida que esperava o desistente vira folga e quem perder a outra semifinal vai direto para a rodada seguinte
+    expect(byId[losersFirst.id].data).toMatchObject({ status: 'bye', nextMatchId: null });
+    expect(byId[second.id].data).toMatchObject({ loserNextMatchId: losersSecond.id, loserNextSlot: losersFirst.nextSlot });
+  });
+
+  test('na grande final, o W.O. contra o campeão da chave de cima também decide o desempate', () => {
+    const { rounds, matches } = buildDoubleEliminationBracket(['p1', 'p2', 'p3', 'p4'], createIds());
+    const [final] = inRound(rounds, matches, 'Grande Final');
+    const [reset] = inRound(rounds, matches, 'Grande Final · Desempate');
+    const decided = matches.map(m => (m.id === final.id ? { ...m, homeParticipantId: 'p1', awayParticipantId: 'p2' } : m));
+    const { updates, waitingMatchIds } = getKnockoutWithdrawalUpdates(decided, 'p1', getName);
+    const byId = Object.fromEntries(updates.map(u => [u.id, u]));
+    expect(byId[final.id]).toMatchObject({ walkover: true, data: { winnerId: 'p2' } });
+    expect(byId[reset.id]).toMatchObject({
+      walkover: true,
+      before: { homeParticipantId: 'p1', awayParticipantId: 'p2', status: 'pending' },
+      data: { homeParticipantId: 'p1', awayParticipantId: 'p2', outcome: 'walkover', winnerId: 'p2' },
+    });
+    expect(waitingMatchIds).toEqual([]);
+  });
+});
+
+describe('getKnockoutReseedUpdates', () => {
+  // 3 classificados: p1 folga e espera na final, p2 x p3 na outra semifinal
+  const build = () => {
+    let next = 0;
+    const { matches } = buildKnockoutBracket(['p1', 'p2', 'p3'], () => `m${++next}`);
+    const bye = matches.find(m => m.status === 'bye');
+    const semifinal = matches.find(m => m.round === 0 && m.status === 'pending');
+    const final = matches.find(m => m.round === 1);
+    return { matches, bye, semifinal, final };
+  };
+
+  test('classificados trocados de posição trocam de vaga nas partidas ainda não disputadas', () => {
+    const { matches, semifinal } = build();
+    expect(getKnockoutReseedUpdates(matches, ['p1', 'p2', 'p3'], ['p1', 'p3', 'p2'], getName)).toEqual({
+      updates: [{ id: semifinal.id, data: { homeParticipantId: 'p3', homeParticipantName: 'P3', awayParticipantId: 'p2', awayParticipantName: 'P2' } }],
+      blocked: false,
+    });
+  });
+
+  test('o novo classificado herda a folga e a vaga seguinte de quem saiu', () => {
+    const { matches, bye, final } = build();
+    const { updates, blocked } = getKnockoutReseedUpdates(matches, ['p1', 'p2', 'p3'], ['p4', 'p2', 'p3'], getName);
+    expect(blocked).toBe(false);
+    expect(updates).toEqual([
+      { id: bye.id, data: { homeParticipantId: 'p4', homeParticipantName: 'P4', winnerId: 'p4' } },
+      { id: final.id, data: { homeParticipantId: 'p4', homeParticipantName: 'P4' } },
+    ]);
+  });
+
+  test('sem mudança nos classificados não há o que atualizar', () => {
+    const { matches } = build();
+    expect(getKnockoutReseedUpdates(matches, ['p1', 'p2', 'p3'], ['p1', 'p2', 'p3'], getName)).toEqual({ updates: [], blocked: false });
+  });
+
+  test('bloqueia quando um afetado já disputou partida do mata-mata', () => {
+    const { matches, semifinal } = build();
+    const played = matches.map(m => (m.id === semifinal.id ? { ...m, ...completed('p2') } : m));
+    expect(getKnockoutReseedUpdates(played, ['p1', 'p2', 'p3'], ['p1', 'p3', 'p2'], getName)).toEqual({ updates: [], blocked: true });
+    // A partida em andamento também conta como disputada
+    const live = matches.map(m => (m.id === semifinal.id ? { ...m, live: { rallies: [] } } : m));
+    expect(getKnockoutReseedUpdates(live, ['p1', 'p2', 'p3'], ['p1', 'p3', 'p2'], getName).blocked).toBe(true);
+  });
+
+  test('bloqueia quando muda o número de classificados', () => {
+    const { matches } = build();
+    expect(getKnockoutReseedUpdates(matches, ['p1', 'p2', 'p3'], ['p1', 'p2'], getName).blocked).toBe(true);
+  });
+});
@@ -0,0 +1,91 @@
+import { getParticipantReferences, getParticipantDeletionAction, getChampionshipDeletionPaths, getChampionshipRestoreWrites } from './App';
+
+// Caminhos sem o prefixo artifacts/{appId}
+const relative = (path) => path.replace(/^artifacts\/[^/]+\//, '');
+
+const teams = [
+  { id: 't1', name: 'Ana & Bia', playerIds: ['ana', 'bia'] },
+  { id: 't2', name: 'Caio & Davi', playerIds: ['caio', 'davi'], formerLineups: [{ playerIds: ['caio', 'eva'], until: '2024-03-01' }] },
+];
+const championships = [{ id: 'c1', name: 'Aberto', participantIds: ['ana', 'caio'] }];
+const matches = [
+  { id: 'm1', homeParticipantId: 'ana', awayParticipantId: 'caio' },
+  { id: 'm2', homeParticipantId: 't1', awayParticipantId: 't2' },
+  { id: 'm3', homeParticipantId: 't2', awayParticipantId: 't1' },
+];
+
+describe('getParticipantReferences', () => {
+  test('conta as partidas do jogador e as das duplas de que faz parte', () => {
+    const references = getParticipantReferences('ana', { teams, championships, matches });
+    expect(references.teams.map(t => t.id)).toEqual(['t1']);
+    expect(references.championships.map(c => c.id)).toEqual(['c1']);
+    expect(references.matchCount).toBe(3);
+  });
+
+  test('formações anteriores da dupla também contam como histórico do jogador', () => {
+    const references = getParticipantReferences('eva', { teams, championships, matches });
+    expect(references.teams.map(t => t.id)).toEqual(['t2']);
+    expect(references.championships).toEqual([]);
+    expect(references.matchCount).toBe(2);
+  });
+
+  test('dupla sem partidas nem campeonatos não tem referências', () => {
+    expect(getParticipantReferences('t3', { teams, championships, matches })).toEqual({ teams: [], championships: [], matchCount: 0 });
+  });
+});
+
+describe('getParticipantDeletionAction', () => {
+  const none = { teams: [], championships: [], matchCount: 0 };
+
+  test('com histórico de partidas o cadastro é arquivado', () => {
+    expect(getParticipantDeletionAction({ ...none, matchCount: 1, teams: [teams[0]] })).toBe('archive');
+  });
+
+  test('sem partidas, mas em uso por dupla ou campeonato, a exclusão é bloqueada', () => {
+    expect(getParticipantDeletionAction({ ...none, teams: [teams[0]] })).toBe('block');
+    expect(getParticipantDeletionAction({ ...none, championships })).toBe('block');
+  });
+
+  test('sem referências, é excluído', () => {
+    expect(getParticipantDeletionAction(none)).toBe('delete');
+  });
+});
+
+describe('exclusão do campeonato', () => {
+  const members = [{ email: 'mesario@example.com', role: 'scorekeeper' }];
+  const championship = { id: 'c1', name: 'Aberto', participantIds: ['ana'], members, publicPage: { published: true } };
+  const matchDocs = [{ id: 'm1', data: { status: 'completed' } }, { id: 'm2', data: { status: 'pending' } }];
+
+  test('apaga as partidas, a página pública, o índice de acesso e, por último, o campeonato', () => {
+    expect(getChampionshipDeletionPaths('dono', 'c1', ['m1', 'm2']).map(relative)).toEqual([
+      'users/dono/championships/c1/matches/m1',
+      'users/dono/championships/c1/matches/m2',
+      'public/data/owners/dono/championships/c1',
+      'public/data/championshipAccess/dono_c1',
+      'users/dono/championships/c1',
+    ]);
+  });
+
+  test('o desfazer regrava o campeonato primeiro, depois partidas, página pública e índice de acesso', () => {
+    const publicSnapshot = { name: 'Aberto', matches: [] };
+    const writes = getChampionshipRestoreWrites({ ownerId: 'dono', ownerEmail: 'dono@example.com', championship, matchDocs, publicSnapshot });
+    expect(writes.map(([path, data]) => [relative(path), data])).toEqual([
+      ['users/dono/championships/c1', { name: 'Aberto', participantIds: ['ana'], members, publicPage: { published: true } }],
+      ['users/dono/championships/c1/matches/m1', { status: 'completed' }],
+      ['users/dono/championships/c1/matches/m2', { status: 'pending' }],
+      ['public/data/owners/dono/championships/c1', publicSnapshot],
+      ['public/data/championshipAccess/dono_c1', {
+        ownerId: 'dono', championshipId: 'c1', ownerEmail: 'dono@example.com', championshipName: 'Aberto', members, memberEmails: ['mesario@example.com'],
+      }],
+    ]);
+  });
+
+  test('sem página publicada nem convidados, o desfazer só regrava campeonato e partidas', () => {
+    const writes = getChampionshipRestoreWrites({ ownerId: 'dono', ownerEmail: '', championship: { id: 'c1', name: 'Aberto' }, matchDocs });
+    expect(writes.map(([path]) => relative(path))).toEqual([
+      'users/dono/championships/c1',
+      'users/dono/championships/c1/matches/m1',
+      'users/dono/championships/c1/matches/m2',
+    ]);
+  });
+});
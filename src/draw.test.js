@@ -0,0 +1,107 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { drawGroups, countGroupClubConflicts, GroupDrawPanel } from './App';
+
+// Gerador congruencial com semente fixa: o sorteio fica reproduzível sem perder a distribuição
+const seededRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+const ids = (count) => Array.from({ length: count }, (_, i) => `p${i + 1}`);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('drawGroups', () => {
+  test('o sorteio aleatório dá a mesma chance a todas as ordens', () => {
+    jest.spyOn(Math, 'random').mockImplementation(seededRandom(42));
+    const counts = new Map();
+    for (let i = 0; i < 6000; i++) {
+      const [order] = drawGroups(['a', 'b', 'c'], 1);
+      counts.set(order.join(''), (counts.get(order.join('')) || 0) + 1);
+    }
+    expect([...counts.keys()].sort()).toEqual(['abc', 'acb', 'bac', 'bca', 'cab', 'cba']);
+    counts.forEach(count => {
+      expect(count).toBeGreaterThan(900);
+      expect(count).toBeLessThan(1100);
+    });
+  });
+
+  test('na serpentina os cabeças de chave ficam em grupos diferentes e os potes ímpares voltam de trás para frente', () => {
+    expect(drawGroups(ids(8), 4, { seeding: 'snake' })).toEqual([
+      ['p1', 'p8'], ['p2', 'p7'], ['p3', 'p6'], ['p4', 'p5'],
+    ]);
+  });
+
+  test('nos potes os cabeças de chave abrem os grupos e cada grupo recebe um de cada pote', () => {
+    const groups = drawGroups(ids(12), 4, { seeding: 'pots' });
+    expect(groups.map(group => group[0])).toEqual(['p1', 'p2', 'p3', 'p4']);
+    const pots = [ids(12).slice(0, 4), ids(12).slice(4, 8), ids(12).slice(8)];
+    groups.forEach(group => {
+      expect(group.map(id => pots.findIndex(pot => pot.includes(id)))).toEqual([0, 1, 2]);
+    });
+  });
+
+  test('os grupos ficam com tamanhos equilibrados e todos sorteados uma única vez', () => {
+    ['none', 'snake', 'pots'].forEach(seeding => {
+      const groups = drawGroups(ids(10), 4, { seeding });
+      expect(groups.map(group => group.length)).toEqual([3, 3, 2, 2]);
+      expect(groups.flat().sort()).toEqual(ids(10).sort());
+    });
+  });
+
+  test('separando clubes, cada um vai para o grupo com menos colegas de clube', () => {
+    const clubs = { a: ['Clube X'], b: ['Clube Y'], c: ['Clube Y'], d: ['Clube X'] };
+    const getClubs = (id) => clubs[id];
+    const together = drawGroups(['a', 'b', 'c', 'd'], 2, { seeding: 'snake', getClubs });
+    expect(together).toEqual([['a', 'd'], ['b', 'c']]);
+    expect(countGroupClubConflicts(together, getClubs)).toBe(2);
+
+    const apart = drawGroups(['a', 'b', 'c', 'd'], 2, { seeding: 'snake', separateClubs: true, getClubs });
+    expect(apart).toEqual([['a', 'c'], ['b', 'd']]);
+    expect(countGroupClubConflicts(apart, getClubs)).toBe(0);
+  });
+});
+
+describe('countGroupClubConflicts', () => {
+  test('conta cada par de colegas de clube no mesmo grupo', () => {
+    const clubs = { a: ['X'], b: ['X'], c: ['X'], d: ['Y', 'X'], e: [] };
+    expect(countGroupClubConflicts([['a', 'b', 'c'], ['d', 'e']], id => clubs[id])).toBe(3);
+    expect(countGroupClubConflicts([['a', 'e'], ['b', 'd']], id => clubs[id])).toBe(1);
+  });
+});
+
+describe('GroupDrawPanel', () => {
+  const people = (...names) => names.map(name => ({ id: name.toLowerCase(), name }));
+  // Devolve a função que troca a lista de inscritos com o painel aberto
+  const setupPanel = (participants) => {
+    const props = { numGroups: 2, getClubs: () => [], onConfirm: jest.fn() };
+    const view = render(<GroupDrawPanel participants={participants} {...props} />);
+    return (next) => view.rerender(<GroupDrawPanel participants={next} {...props} />);
+  };
+  const ranking = () => screen.getAllByText(/^\d+\. /).map(el => el.textContent);
+
+  test('a ordem ajustada à mão acompanha as inscrições e desistências', () => {
+    const changeParticipants = setupPanel(people('Ana', 'Bia', 'Caio'));
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: 'snake' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Subir Caio' }));
+    expect(ranking()).toEqual(['1. Ana', '2. Caio', '3. Bia']);
+
+    changeParticipants(people('Ana', 'Davi', 'Caio'));
+    expect(ranking()).toEqual(['1. Ana', '2. Caio', '3. Davi']);
+  });
+
+  test('um sorteio feito antes de mudar a lista de inscritos é descartado', () => {
+    const changeParticipants = setupPanel(people('Ana', 'Bia', 'Caio'));
+    fireEvent.click(screen.getByText('Sortear Grupos'));
+    expect(screen.getByText('Confirmar Sorteio')).toBeInTheDocument();
+
+    changeParticipants(people('Ana', 'Bia', 'Caio'));
+    expect(screen.getByText('Confirmar Sorteio')).toBeInTheDocument();
+    changeParticipants(people('Ana', 'Bia', 'Caio', 'Davi'));
+    expect(screen.queryByText('Confirmar Sorteio')).toBeNull();
+    expect(screen.getByText(/4 participantes em 2 grupo/)).toBeInTheDocument();
+  });
+});
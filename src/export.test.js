@@ -0,0 +1,25 @@
+import { toCsv } from './App';
+
+const lines = (csv) => csv.replace(/^﻿/, '').split('\r\n');
+
+describe('toCsv', () => {
+  test('separa por ";" com BOM e aspas só quando necessário', () => {
+    const csv = toCsv([['Nome', 'Clube'], ['Ana; Bia', 'Clube "X"'], ['Caio', null]]);
+    expect(csv.startsWith('﻿')).toBe(true);
+    expect(lines(csv)).toEqual(['Nome;Clube', '"Ana; Bia";"Clube ""X"""', 'Caio;']);
+  });
+
+  test('textos que começam como fórmula não viram fórmula na planilha', () => {
+    const csv = toCsv([['=HYPERLINK("http://x")', '+55 11', '-teste', '@SUM(A1)', '\tTab']]);
+    expect(lines(csv)).toEqual([`"'=HYPERLINK(""http://x"")";'+55 11;'-teste;'@SUM(A1);'\tTab`]);
+  });
+
+  test('números negativos continuam números', () => {
+    expect(lines(toCsv([['Saldo', -3, 0]]))).toEqual(['Saldo;-3;0']);
+  });
+
+  test('quebras de linha, inclusive o \\r sozinho, ficam entre aspas', () => {
+    const csv = toCsv([['Obs', 'linha 1\r\nlinha 2'], ['Obs', 'antes\rdepois']]);
+    expect(csv.replace(/^\uFEFF/, '')).toBe('Obs;"linha 1\r\nlinha 2"\r\nObs;"antes\rdepois"');
+  });
+});
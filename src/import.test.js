@@ -0,0 +1,42 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { ImportParticipantsModal } from './App';
+
+const rows = (count) => Array.from({ length: count }, (_, index) => `Jogador ${index + 1};Clube;1500;`).join('\n');
+
+const renderModal = (onImport = jest.fn(), onClose = jest.fn()) => {
+  render(<ImportParticipantsModal isOpen onClose={onClose} players={[]} teams={[]} onImport={onImport} />);
+  return { onImport, onClose };
+};
+
+const paste = (text) => fireEvent.change(screen.getByPlaceholderText(/Ana Souza/), { target: { value: text } });
+
+describe('ImportParticipantsModal', () => {
+  test('importa os novos e fecha', async () => {
+    const { onImport, onClose } = renderModal(jest.fn().mockResolvedValue());
+    paste(rows(2));
+    fireEvent.click(screen.getByRole('button', { name: /Importar 2 jogador/ }));
+    await waitFor(() => expect(onClose).toHaveBeenCalled());
+    expect(onImport.mock.calls[0][0].players.map(p => p.name)).toEqual(['Jogador 1', 'Jogador 2']);
+  });
+
+  test('acima do limite, avisa já na prévia e não deixa importar', () => {
+    const { onImport } = renderModal();
+    paste(rows(451));
+    expect(screen.getByText(/importe no máximo 450/)).toBeInTheDocument();
+    const button = screen.getByRole('button', { name: /Importar 451 jogador/ });
+    expect(button).toBeDisabled();
+    fireEvent.click(button);
+    expect(onImport).not.toHaveBeenCalled();
+  });
+
+  test('se a importação falha, o modal continua aberto com os dados colados', async () => {
+    const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { onClose } = renderModal(jest.fn().mockRejectedValue(new Error('falhou')));
+    paste(rows(1));
+    fireEvent.click(screen.getByRole('button', { name: /Importar 1 jogador/ }));
+    await waitFor(() => expect(alertSpy).toHaveBeenCalled());
+    expect(onClose).not.toHaveBeenCalled();
+    expect(screen.getByPlaceholderText(/Ana Souza/)).toHaveValue(rows(1));
+  });
+});
@@ -0,0 +1,220 @@
+import { getBracketSeedOrder, getKnockoutQualifiers, buildKnockoutBracket, buildDoubleEliminationBracket, resolveBracketByes } from './App';
+
+const createIds = () => {
+  let next = 0;
+  return () => `m${++next}`;
+};
+
+const standing = (groupName, ...participantIds) => ({
+  groupName,
+  table: participantIds.map(participantId => ({ participantId }))
+});
+
+// Metade do chaveamento (0 ou 1) em que cada participante cai na 1ª rodada
+const halvesOf = (matches) => {
+  const firstRound = matches.filter(m => m.round === 0).sort((a, b) => a.position - b.position);
+  const halves = new Map();
+  firstRound.forEach(m => {
+    const half = m.position < firstRound.length / 2 ? 0 : 1;
+    [m.homeParticipantId, m.awayParticipantId].filter(Boolean).forEach(id => halves.set(id, half));
+  });
+  return halves;
+};
+
+describe('getBracketSeedOrder', () => {
+  test('cruza o melhor com o pior cabeça de chave', () => {
+    expect(getBracketSeedOrder(2)).toEqual([1, 2]);
+    expect(getBracketSeedOrder(4)).toEqual([1, 4, 2, 3]);
+    expect(getBracketSeedOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+
+  test('os dois primeiros só se encontram na final', () => {
+    const order = getBracketSeedOrder(16);
+    expect(order.indexOf(1)).toBeLessThan(8);
+    expect(order.indexOf(2)).toBeGreaterThanOrEqual(8);
+  });
+});
+
+describe('getKnockoutQualifiers', () => {
+  test('põe os 1º colocados como primeiros cabeças de chave', () => {
+    const qualifiers = getKnockoutQualifiers([standing('Grupo B', 'b1', 'b2'), standing('Grupo A', 'a1', 'a2')], 2);
+    expect(qualifiers.slice(0, 2).map(q => q.label)).toEqual(['A1', 'B1']);
+    expect(qualifiers.map(q => q.label).sort()).toEqual(['A1', 'A2', 'B1', 'B2']);
+  });
+
+  test('com 4 grupos e 2 classificados, colegas de grupo ficam em metades opostas', () => {
+    const standings = ['A', 'B', 'C', 'D'].map(g => standing(`Grupo ${g}`, `${g}1`, `${g}2`));
+    const qualifiers = getKnockoutQualifiers(standings, 2);
+    const { matches } = buildKnockoutBracket(qualifiers.map(q => q.participantId), createIds());
+    const halves = halvesOf(matches);
+    ['A', 'B', 'C', 'D'].forEach(g => expect(halves.get(`${g}1`)).not.toBe(halves.get(`${g}2`)));
+    matches.filter(m => m.round === 0).forEach(m => {
+      expect(m.homeParticipantId[0]).not.toBe(m.awayParticipantId[0]);
+    });
+  });
+
+  test('com 2 grupos, o 2º de cada grupo enfrenta o 1º do outro', () => {
+    const qualifiers = getKnockoutQualifiers([standing('Grupo A', 'A1', 'A2'), standing('Grupo B', 'B1', 'B2')], 2);
+    const { matches } = buildKnockoutBracket(qualifiers.map(q => q.participantId), createIds());
+    const pairs = matches.filter(m => m.round === 0).map(m => [m.homeParticipantId, m.awayParticipantId].sort().join('-'));
+    expect(pairs.sort()).toEqual(['A1-B2', 'A2-B1']);
+  });
+
+  test('ignora grupos sem participantes suficientes na posição', () => {
+    const qualifiers = getKnockoutQualifiers([standing('Grupo A', 'A1', 'A2'), standing('Grupo B', 'B1')], 2);
+    expect(qualifiers.map(q => q.participantId).sort()).toEqual(['A1', 'A2', 'B1']);
+  });
+});
+
+describe('buildKnockoutBracket', () => {
+  test('monta as rodadas com as ligações para a partida seguinte', () => {
+    const { rounds, matches } = buildKnockoutBracket(['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7', 'p8'], createIds());
+    expect(rounds.map(r => r.name)).toEqual(['Quartas de Final', 'Semifinal', 'Final']);
+    expect(matches).toHaveLength(7);
+    const final = matches.find(m => m.roundName === 'Final');
+    expect(matches.filter(m => m.nextMatchId === final.id)).toHaveLength(2);
+    const first = matches.find(m => m.round === 0 && m.position === 0);
+    expect([first.homeParticipantId, first.awayParticipantId]).toEqual(['p1', 'p8']);
+  });
+
+  test('com participantes fora da potência de 2, os primeiros cabeças avançam por folga', () => {
+    const { matches } = buildKnockoutBracket(['p1', 'p2', 'p3', 'p4', 'p5', 'p6'], createIds());
+    const semifinals = matches.filter(m => m.roundName === 'Semifinal');
+    const advanced = semifinals.flatMap(m => [m.homeParticipantId, m.awayParticipantId]).filter(Boolean);
+    expect(advanced.sort()).toEqual(['p1', 'p2']);
+  });
+});
+
+describe('resolveBracketByes', () => {
+  const match = (id, round, position, fields) => ({
+    id, round, position, homeParticipantId: null, awayParticipantId: null,
+    nextMatchId: null, nextSlot: null, status: 'pending', ...fields,
+  });
+
+  test('participante sem adversário avança direto para a partida seguinte', () => {
+    const resolved = resolveBracketByes([
+      match('a', 0, 0, { homeParticipantId: 'p1', nextMatchId: 'f', nextSlot: 'home' }),
+      match('b', 0, 1, { homeParticipantId: 'p2', awayParticipantId: 'p3', nextMatchId: 'f', nextSlot: 'away' }),
+      match('f', 1, 0),
+    ]);
+    expect(resolved[0]).toMatchObject({ status: 'bye', winnerId: 'p1', nextMatchId: null, nextSlot: null });
+    expect(resolved[1]).toMatchObject({ status: 'pending', nextMatchId: 'f' });
+    expect(resolved[2]).toMatchObject({ homeParticipantId: 'p1', awayParticipantId: null, status: 'pending' });
+  });
+
+  test('lado que vem de outra partida pula a folga e liga a partida de origem ao destino seguinte', () => {
+    const resolved = resolveBracketByes([
+      match('w1', 0, 0, { homeParticipantId: 'p1', awayParticipantId: 'p2', nextMatchId: 'w2', nextSlot: 'home', loserNextMatchId: 'l1', loserNextSlot: 'home' }),
+      match('l1', 1, 0, { nextMatchId: 'l2', nextSlot: 'away' }),
+      match('w2', 1, 1),
+      match('l2', 2, 0),
+    ]);
+    const byId = Object.fromEntries(resolved.map(m => [m.id, m]));
+    expect(byId.l1).toMatchObject({ status: 'bye', winnerId: null, nextMatchId: null });
+    expect(byId.w1).toMatchObject({ nextMatchId: 'w2', loserNextMatchId: 'l2', loserNextSlot: 'away' });
+  });
+
+  test('partida sem nenhum lado possível não acontece e não alimenta ninguém', () => {
+    const resolved = resolveBracketByes([
+      match('a', 0, 0, { nextMatchId: 'f', nextSlot: 'home' }),
+      match('b', 0, 1, { homeParticipantId: 'p2', awayParticipantId: 'p3', nextMatchId: 'f', nextSlot: 'away' }),
+      match('f', 1, 0),
+    ]);
+    expect(resolved[0]).toMatchObject({ status: 'bye', winnerId: null, nextMatchId: null });
+    expect(resolved[2].homeParticipantId).toBeNull();
+  });
+
+  test('folgas em sequência levam o participante até a primeira partida de verdade', () => {
+    const resolved = resolveBracketByes([
+      match('a', 0, 0, { homeParticipantId: 'p1', nextMatchId: 'b', nextSlot: 'home' }),
+      match('b', 1, 0, { nextMatchId: 'c', nextSlot: 'home' }),
+      match('c', 2, 0, { awayParticipantId: 'p2' }),
+    ]);
+    expect(resolved.map(m => m.status)).toEqual(['bye', 'bye', 'pending']);
+    expect(resolved[1].winnerId).toBe('p1');
+    expect(resolved[2]).toMatchObject({ homeParticipantId: 'p1', awayParticipantId: 'p2' });
+  });
+
+  test('não altera as partidas recebidas', () => {
+    const matches = [
+      match('a', 0, 0, { homeParticipantId: 'p1', nextMatchId: 'f', nextSlot: 'home' }),
+      match('f', 1, 0, { awayParticipantId: 'p2' }),
+    ];
+    const snapshot = JSON.parse(JSON.stringify(matches));
+    resolveBracketByes(matches);
+    expect(matches).toEqual(snapshot);
+  });
+});
+
+describe('buildDoubleEliminationBracket', () => {
+  const ids = (count) => Array.from({ length: count }, (_, i) => `p${i + 1}`);
+
+  test('com 2 ou 3 participantes não monta a chave e devolve o erro', () => {
+    [2, 3].forEach(count => {
+      const createId = jest.fn(createIds());
+      expect(buildDoubleEliminationBracket(ids(count), createId)).toEqual({ error: 'A eliminatória dupla precisa de ao menos 4 participantes.' });
+      expect(createId).not.toHaveBeenCalled();
+    });
+  });
+
+  test('com 4 participantes já há chave dos perdedores', () => {
+    const { rounds, error } = buildDoubleEliminationBracket(ids(4), createIds());
+    expect(error).toBeUndefined();
+    expect(rounds.filter(r => r.bracket === 'losers')).toHaveLength(2);
+  });
+
+  test('intercala as rodadas das duas chaves e termina na grande final com desempate', () => {
+    const { rounds, matches } = buildDoubleEliminationBracket(ids(8), createIds());
+    expect(rounds.map(r => r.name)).toEqual([
+      'Vencedores · Quartas de Final', 'Vencedores · Semifinal',
+      'Perdedores · Rodada 1', 'Perdedores · Rodada 2',
+      'Vencedores · Final',
+      'Perdedores · Rodada 3', 'Perdedores · Rodada 4',
+      'Grande Final', 'Grande Final · Desempate',
+    ]);
+    expect(matches).toHaveLength(7 + 6 + 2);
+    matches.forEach(m => expect(m.round).toBe(rounds.findIndex(r => r.matchIds.includes(m.id))));
+  });
+
+  test('quem perde na chave dos vencedores cai na dos perdedores', () => {
+    const { matches } = buildDoubleEliminationBracket(ids(8), createIds());
+    const byId = new Map(matches.map(m => [m.id, m]));
+    const winners = matches.filter(m => m.bracket === 'winners');
+    winners.forEach(m => expect(byId.get(m.loserNextMatchId).bracket).toBe('losers'));
+    // Cada vaga da chave dos perdedores é alimentada por uma única partida
+    const slots = matches.flatMap(m => [
+      m.nextMatchId && `${m.nextMatchId}:${m.nextSlot}`,
+      m.loserNextMatchId && `${m.loserNextMatchId}:${m.loserNextSlot}`,
+    ]).filter(Boolean);
+    expect(new Set(slots).size).toBe(slots.length);
+  });
+
+  test('a grande final recebe os campeões das duas chaves e aponta para o desempate', () => {
+    const { rounds, matches } = buildDoubleEliminationBracket(ids(8), createIds());
+    const [finalId] = rounds[rounds.length - 2].matchIds;
+    const [resetId] = rounds[rounds.length - 1].matchIds;
+    const final = matches.find(m => m.id === finalId);
+    const reset = matches.find(m => m.id === resetId);
+    expect(matches.filter(m => m.nextMatchId === finalId).map(m => [m.bracket, m.nextSlot]).sort()).toEqual([['losers', 'away'], ['winners', 'home']]);
+    expect(final).toMatchObject({ resetMatchId: resetId, nextMatchId: null });
+    expect(reset).toMatchObject({ resetOf: finalId, status: 'pending', homeParticipantId: null, awayParticipantId: null });
+    expect(matches.filter(m => m.nextMatchId === resetId || m.loserNextMatchId === resetId)).toEqual([]);
+  });
+
+  test('com folgas, nenhuma partida espera por um perdedor que não existe', () => {
+    const { matches } = buildDoubleEliminationBracket(ids(6), createIds());
+    const byes = matches.filter(m => m.status === 'bye');
+    expect(byes.length).toBeGreaterThan(0);
+    byes.forEach(m => expect(m).toMatchObject({ loserNextMatchId: null, nextMatchId: null }));
+    const firstRound = matches.filter(m => m.round === 0 && m.status === 'bye');
+    expect(firstRound.map(m => m.winnerId).sort()).toEqual(['p1', 'p2']);
+    // As vagas das partidas pendentes vêm de alguma partida ou de um participante já definido
+    const fed = new Set(matches.flatMap(m => [
+      m.nextMatchId && `${m.nextMatchId}:${m.nextSlot}`,
+      m.loserNextMatchId && `${m.loserNextMatchId}:${m.loserNextSlot}`,
+    ]).filter(Boolean));
+    matches.filter(m => m.status === 'pending' && !m.resetOf).forEach(m => {
+      ['home', 'away'].forEach(side => expect(m[`${side}ParticipantId`] || fed.has(`${m.id}:${side}`)).toBeTruthy());
+    });
+  });
+});
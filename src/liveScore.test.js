@@ -0,0 +1,81 @@
+import { createLiveState, replayLiveMatch } from './App';
+
+const pointsTo = (side, count) => Array.from({ length: count }, () => side);
+
+// Placar com o horário de cada ponto, um minuto depois do anterior
+const liveWith = (rallies, extra = {}) => ({
+  ...createLiveState('home', true),
+  startedAt: '2024-05-01T09:00:00.000Z',
+  rallies,
+  rallyTimes: rallies.map((_, index) => new Date(Date.parse('2024-05-01T09:00:00.000Z') + (index + 1) * 60000).toISOString()),
+  ...extra,
+});
+
+describe('replayLiveMatch', () => {
+  test('reconstrói o placar do game e os sets fechados', () => {
+    const state = replayLiveMatch(liveWith([...pointsTo('home', 11), 'away', 'away']), 5);
+    expect(state.sets).toEqual([{ home: 11, away: 0 }]);
+    expect(state.current).toEqual({ home: 0, away: 2 });
+    expect(state.homeSets).toBe(1);
+    expect(state.decided).toBe(false);
+  });
+
+  test('o saque troca a cada 2 pontos e a cada ponto a partir de 10x10', () => {
+    expect(replayLiveMatch(liveWith([]), 5).server).toBe('home');
+    expect(replayLiveMatch(liveWith(['home', 'away']), 5).server).toBe('away');
+    const deuce = [...pointsTo('home', 10), ...pointsTo('away', 10)];
+    expect(replayLiveMatch(liveWith(deuce), 5).server).toBe('home');
+    expect(replayLiveMatch(liveWith([...deuce, 'home']), 5).server).toBe('away');
+  });
+
+  test('quem sacou primeiro num game recebe primeiro no seguinte e os lados trocam', () => {
+    const state = replayLiveMatch(liveWith(pointsTo('home', 11)), 5);
+    expect(state.server).toBe('away');
+    expect(state.switchedSides).toBe(true);
+    expect(state.homeOnLeft).toBe(false);
+  });
+
+  test('no game decisivo os lados trocam quando alguém chega a 5 pontos', () => {
+    const rallies = [...pointsTo('home', 11), ...pointsTo('away', 11), ...pointsTo('home', 11), ...pointsTo('away', 11), ...pointsTo('home', 5)];
+    const state = replayLiveMatch(liveWith(rallies), 5);
+    expect(state.sets).toHaveLength(4);
+    expect(state.switchedSides).toBe(true);
+  });
+
+  test('com a regra de aceleração o saque alterna a cada ponto', () => {
+    // Sem a regra, o 3º e o 4º pontos seriam sacados pelo mesmo jogador
+    const live = liveWith(['home', 'away'], { expediteAtRally: 2 });
+    expect(replayLiveMatch(live, 5).server).toBe('away');
+    expect(replayLiveMatch(liveWith(['home', 'away', 'home'], { expediteAtRally: 2 }), 5).server).toBe('home');
+  });
+
+  test('partida decidida não tem mais saque', () => {
+    const state = replayLiveMatch(liveWith([...pointsTo('home', 11), ...pointsTo('home', 11)]), 3);
+    expect(state.decided).toBe(true);
+    expect(state.server).toBeNull();
+  });
+
+  describe('início do game', () => {
+    test('o 1º game começa quando a partida começou', () => {
+      expect(replayLiveMatch(liveWith(['home']), 5).gameStartedAt).toBe('2024-05-01T09:00:00.000Z');
+    });
+
+    test('o game seguinte começa no ponto que fechou o anterior', () => {
+      const live = liveWith([...pointsTo('home', 11), 'away']);
+      expect(replayLiveMatch(live, 5).gameStartedAt).toBe(live.rallyTimes[10]);
+    });
+
+    test('desfazer o 1º ponto de um game devolve o início do game anterior', () => {
+      const live = liveWith([...pointsTo('home', 11), ...pointsTo('away', 11), 'home']);
+      const undone = { ...live, rallies: live.rallies.slice(0, -1), rallyTimes: live.rallyTimes.slice(0, -1) };
+      expect(replayLiveMatch(undone, 5).gameStartedAt).toBe(live.rallyTimes[21]);
+      const undoneTwice = { ...live, rallies: live.rallies.slice(0, -2), rallyTimes: live.rallyTimes.slice(0, -2) };
+      expect(replayLiveMatch(undoneTwice, 5).gameStartedAt).toBe(live.rallyTimes[10]);
+    });
+
+    test('placar antigo sem horário por ponto usa o gameStartedAt gravado', () => {
+      const legacy = { firstServer: 'home', homeStartsLeft: true, rallies: ['home'], timeouts: {}, expediteAtRally: null, gameStartedAt: '2024-05-01T08:00:00.000Z' };
+      expect(replayLiveMatch(legacy, 5).gameStartedAt).toBe('2024-05-01T08:00:00.000Z');
+    });
+  });
+});
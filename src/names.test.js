@@ -0,0 +1,32 @@
+import { findStaleNameUpdates } from './App';
+
+const players = [{ id: 'p1', name: 'Ana Souza' }, { id: 'p2', name: 'Bia' }];
+const teams = [{ id: 't1', name: 'Ana & Bia', playerIds: ['p1', 'p2'], playerNames: ['Ana', 'Bia'] }];
+
+describe('findStaleNameUpdates', () => {
+  test('corrige a cópia dos nomes dos jogadores guardada na dupla', () => {
+    expect(findStaleNameUpdates(players, teams, [])).toEqual([
+      { path: 'teams/t1', data: { playerNames: ['Ana Souza', 'Bia'] } },
+    ]);
+  });
+
+  test('corrige só o lado da partida que ficou desatualizado', () => {
+    const matches = [
+      { id: 'm1', championshipId: 'c1', homeParticipantId: 'p1', homeParticipantName: 'Ana', awayParticipantId: 'p2', awayParticipantName: 'Bia' },
+      { id: 'm2', championshipId: 'c1', homeParticipantId: 't1', homeParticipantName: 'Ana & Bia', awayParticipantId: null, awayParticipantName: null },
+    ];
+    expect(findStaleNameUpdates(players, [], matches)).toEqual([
+      { path: 'championships/c1/matches/m1', data: { homeParticipantName: 'Ana Souza' } },
+    ]);
+  });
+
+  test('participante excluído mantém o nome gravado na partida', () => {
+    const matches = [{ id: 'm1', championshipId: 'c1', homeParticipantId: 'p9', homeParticipantName: 'Caio', awayParticipantId: 'p2', awayParticipantName: 'Bia' }];
+    expect(findStaleNameUpdates(players, [], matches)).toEqual([]);
+  });
+
+  test('nada a corrigir quando as cópias estão em dia', () => {
+    const upToDate = [{ ...teams[0], playerNames: ['Ana Souza', 'Bia'] }];
+    expect(findStaleNameUpdates(players, upToDate, [])).toEqual([]);
+  });
+});
@@ -0,0 +1,58 @@
+import { buildPublicSnapshot, createLiveState, parseRoute } from './App';
+
+const championship = {
+  id: 'c1',
+  name: 'Aberto',
+  year: 2024,
+  participantType: 'player',
+  groups: [],
+  standings: [],
+  config: {
+    format: 'groups_then_knockout',
+    matchSettings: { sets: '5' },
+    groupStage: { generated: true },
+    knockoutStage: { generated: false, rounds: [] },
+  },
+};
+
+const participants = [{ id: 'a', name: 'Ana', email: 'ana@example.com', initialRating: 1600 }, { id: 'b', name: 'Bia' }];
+
+describe('buildPublicSnapshot', () => {
+  test('publica só o nome dos participantes e os campos das partidas que o espectador vê', () => {
+    const match = {
+      id: 'm1', homeParticipantId: 'a', awayParticipantId: 'b', status: 'completed', homeSets: 3, awaySets: 0,
+      history: [{ action: 'result' }], completedAt: '2024-05-01T10:00:00.000Z',
+    };
+    const snapshot = buildPublicSnapshot(championship, participants, [match]);
+    expect(snapshot.participants).toEqual([{ id: 'a', name: 'Ana' }, { id: 'b', name: 'Bia' }]);
+    expect(snapshot.matches).toEqual([{ id: 'm1', homeParticipantId: 'a', awayParticipantId: 'b', status: 'completed', homeSets: 3, awaySets: 0 }]);
+  });
+
+  test('confrontos entre equipes publicam os jogos e só o nome dos jogadores escalados', () => {
+    const tie = {
+      format: 'corbillon',
+      lineup: { home: { A: 'j1' }, away: { X: 'j2' } },
+      rubbers: [{ rubber: 'A-X', homePlayerIds: ['j1'], awayPlayerIds: ['j2'], sets: [], homeSets: 2, awaySets: 1, winnerSide: 'home' }],
+    };
+    const players = [{ id: 'j1', name: 'Júlia', email: 'j@example.com' }, { id: 'j2', name: 'Jonas' }, { id: 'j3', name: 'Fora do confronto' }];
+    const snapshot = buildPublicSnapshot(championship, participants, [{ id: 'm1', status: 'completed', tie }], players);
+    expect(snapshot.matches[0].tie).toEqual(tie);
+    expect(snapshot.players).toEqual([{ id: 'j1', name: 'Júlia' }, { id: 'j2', name: 'Jonas' }]);
+  });
+
+  test('o placar ao vivo vai resumido, sem a lista de pontos', () => {
+    const live = { ...createLiveState('home', true), rallies: [...Array(11).fill('home'), 'away', 'home'], rallyTimes: [] };
+    const [publicMatch] = buildPublicSnapshot(championship, participants, [{ id: 'm1', status: 'pending', live }]).matches;
+    expect(publicMatch.live).toEqual({ homeSets: 1, awaySets: 0, current: { home: 1, away: 1 } });
+  });
+});
+
+describe('rota da página pública', () => {
+  test('o link leva o dono e o campeonato', () => {
+    expect(parseRoute('/p/dono/c1')).toEqual({ name: 'public', ownerId: 'dono', championshipId: 'c1' });
+  });
+
+  test('sem o dono o link não abre página pública', () => {
+    expect(parseRoute('/p/c1')).toEqual({ name: 'list' });
+  });
+});
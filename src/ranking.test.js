@@ -0,0 +1,55 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { RankingPage, parseRoute } from './App';
+
+const players = [{ id: 'p1', name: 'Ana' }, { id: 'p2', name: 'Bia' }];
+const ratingData = {
+  ratings: new Map([['p1', 1516], ['p2', 1484]]),
+  history: new Map([
+    ['p1', [{ matchId: 'm1', championshipId: 'c1', rating: 1516, delta: 16, opponentId: 'p2' }]],
+    ['p2', [{ matchId: 'm1', championshipId: 'c1', rating: 1484, delta: -16, opponentId: 'p1' }]],
+  ]),
+};
+
+const renderRanking = (selectedParticipantId = null) => {
+  const props = { onSelectParticipant: jest.fn(), onOpenPlayer: jest.fn(), onBack: jest.fn() };
+  render(
+    <RankingPage players={players} teams={[]} ratingData={ratingData} championships={[{ id: 'c1', name: 'Aberto', year: 2024 }]}
+      selectedParticipantId={selectedParticipantId} {...props} />
+  );
+  return props;
+};
+
+describe('RankingPage', () => {
+  test('clicar na linha do jogador abre o histórico de rating', () => {
+    const { onSelectParticipant, onOpenPlayer } = renderRanking();
+    fireEvent.click(screen.getByText('Ana'));
+    expect(onSelectParticipant).toHaveBeenCalledWith('p1', 'player');
+    expect(onOpenPlayer).not.toHaveBeenCalled();
+  });
+
+  test('o histórico aberto mostra as variações e fecha com outro clique', () => {
+    const { onSelectParticipant } = renderRanking('p1');
+    expect(screen.getByText('vs Bia', { exact: false })).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Ana'));
+    expect(onSelectParticipant).toHaveBeenCalledWith(null, 'player');
+  });
+
+  test('o link de perfil abre o perfil sem mexer no histórico', () => {
+    const { onSelectParticipant, onOpenPlayer } = renderRanking();
+    fireEvent.click(screen.getAllByRole('button', { name: 'Ver perfil' })[0]);
+    expect(onOpenPlayer).toHaveBeenCalledWith('p1');
+    expect(onSelectParticipant).not.toHaveBeenCalled();
+  });
+});
+
+describe('rotas do ranking', () => {
+  test('o histórico aberto no ranking tem rota própria, separada do perfil', () => {
+    expect(parseRoute('/ranking')).toEqual({ name: 'ranking' });
+    expect(parseRoute('/ranking/p1')).toEqual({ name: 'participant', participantId: 'p1' });
+    expect(parseRoute('/jogadores/p1')).toEqual({ name: 'player', playerId: 'p1' });
+  });
+
+  test('links antigos de duplas continuam abrindo o ranking', () => {
+    expect(parseRoute('/duplas/t1')).toEqual({ name: 'participant', participantId: 't1' });
+  });
+});
@@ -0,0 +1,47 @@
+import { computeRatings } from './App';
+
+const match = (id, homeParticipantId, awayParticipantId, winnerId, extra = {}) => ({
+  id, homeParticipantId, awayParticipantId, winnerId, championshipId: 'c1', status: 'completed', outcome: 'normal', ...extra,
+});
+
+describe('computeRatings', () => {
+  test('entre ratings iguais a vitória vale metade do fator K', () => {
+    const { ratings, deltas } = computeRatings([{ id: 'a' }, { id: 'b' }], [match('m1', 'a', 'b', 'a')], []);
+    expect(ratings.get('a')).toBe(1516);
+    expect(ratings.get('b')).toBe(1484);
+    expect(deltas.get('m1')).toEqual({ home: 16, away: -16 });
+  });
+
+  test('vencer o favorito rende mais do que vencer o azarão', () => {
+    const participants = [{ id: 'fav', initialRating: 1800 }, { id: 'zebra', initialRating: 1400 }];
+    const upset = computeRatings(participants, [match('m1', 'fav', 'zebra', 'zebra')], []).deltas.get('m1');
+    const expected = computeRatings(participants, [match('m1', 'fav', 'zebra', 'fav')], []).deltas.get('m1');
+    expect(upset.away).toBeGreaterThan(expected.home);
+  });
+
+  test('aplica as partidas em ordem cronológica e guarda o histórico de cada um', () => {
+    const matches = [
+      match('m2', 'a', 'b', 'b', { completedAt: '2024-01-02T10:00:00.000Z' }),
+      match('m1', 'a', 'b', 'a', { completedAt: '2024-01-01T10:00:00.000Z' }),
+    ];
+    const { history } = computeRatings([{ id: 'a' }, { id: 'b' }], matches, []);
+    expect(history.get('a').map(h => h.matchId)).toEqual(['m1', 'm2']);
+    expect(history.get('a')[0]).toMatchObject({ rating: 1516, delta: 16, opponentId: 'b' });
+  });
+
+  test('W.O., desclassificação e partidas pendentes não mexem no rating', () => {
+    const matches = [
+      match('m1', 'a', 'b', 'a', { outcome: 'walkover' }),
+      match('m2', 'a', 'b', 'a', { outcome: 'disqualified' }),
+      match('m3', 'a', 'b', null, { status: 'pending' }),
+    ];
+    const { ratings } = computeRatings([{ id: 'a' }, { id: 'b' }], matches, []);
+    expect(ratings.get('a')).toBe(1500);
+  });
+
+  test('ignora partidas com participantes desconhecidos', () => {
+    const { ratings, deltas } = computeRatings([{ id: 'a' }], [match('m1', 'a', 'x', 'a')], []);
+    expect(ratings.get('a')).toBe(1500);
+    expect(deltas.size).toBe(0);
+  });
+});
@@ -0,0 +1,94 @@
+import { generateRoundRobinFixtures, planGroupFixtures } from './App';
+
+const pairKey = ({ homeId, awayId }) => [homeId, awayId].sort().join('-');
+
+describe('generateRoundRobinFixtures', () => {
+  test('todos se enfrentam uma vez, em n-1 rodadas, sem ninguém jogar duas vezes na rodada', () => {
+    const fixtures = generateRoundRobinFixtures(['a', 'b', 'c', 'd', 'e', 'f']);
+    expect(fixtures).toHaveLength(15);
+    expect(new Set(fixtures.map(pairKey)).size).toBe(15);
+    expect(Math.max(...fixtures.map(f => f.round))).toBe(5);
+    for (let round = 1; round <= 5; round++) {
+      const players = fixtures.filter(f => f.round === round).flatMap(f => [f.homeId, f.awayId]);
+      expect(new Set(players).size).toBe(players.length);
+    }
+  });
+
+  test('segue a tabela de Berger: 1x4 e 2x3 na 1ª rodada de 4 participantes', () => {
+    const firstRound = generateRoundRobinFixtures(['1', '2', '3', '4']).filter(f => f.round === 1);
+    expect(firstRound.map(f => [f.homeId, f.awayId])).toEqual([['1', '4'], ['2', '3']]);
+  });
+
+  test('com número ímpar, cada participante folga em uma rodada', () => {
+    const fixtures = generateRoundRobinFixtures(['a', 'b', 'c', 'd', 'e']);
+    expect(fixtures).toHaveLength(10);
+    expect(Math.max(...fixtures.map(f => f.round))).toBe(5);
+    ['a', 'b', 'c', 'd', 'e'].forEach(id => {
+      const rounds = fixtures.filter(f => f.homeId === id || f.awayId === id).map(f => f.round);
+      expect(rounds).toHaveLength(4);
+    });
+  });
+
+  test('o mando fica equilibrado', () => {
+    const fixtures = generateRoundRobinFixtures(['a', 'b', 'c', 'd', 'e', 'f']);
+    ['a', 'b', 'c', 'd', 'e', 'f'].forEach(id => {
+      const homeGames = fixtures.filter(f => f.homeId === id).length;
+      expect(homeGames === 2 || homeGames === 3).toBe(true);
+    });
+  });
+
+  test('no ida e volta, o returno repete as rodadas com o mando invertido', () => {
+    const fixtures = generateRoundRobinFixtures(['a', 'b', 'c', 'd'], true);
+    expect(fixtures).toHaveLength(12);
+    const first = fixtures.find(f => f.round === 1);
+    expect(fixtures).toContainEqual({ round: 4, homeId: first.awayId, awayId: first.homeId });
+  });
+});
+
+describe('planGroupFixtures', () => {
+  const match = (id, homeParticipantId, awayParticipantId, round, status = 'pending') => ({ id, homeParticipantId, awayParticipantId, round, status });
+
+  test('num grupo vazio, reproduz a tabela de Berger', () => {
+    const { fixtures, duplicates, stale } = planGroupFixtures(['1', '2', '3', '4'], [], false);
+    expect(fixtures).toEqual(generateRoundRobinFixtures(['1', '2', '3', '4']));
+    expect(duplicates).toEqual([]);
+    expect(stale).toEqual([]);
+  });
+
+  test('não recria partidas existentes, em qualquer ordem de mando', () => {
+    const { fixtures } = planGroupFixtures(['1', '2', '3', '4'], [match('x', '4', '1', 1, 'completed'), match('y', '2', '3', 1)], false);
+    expect(fixtures.map(pairKey).sort()).toEqual(['1-2', '1-3', '2-4', '3-4']);
+  });
+
+  test('em ida e volta, o mando conta: a partida de volta ainda é criada', () => {
+    const { fixtures } = planGroupFixtures(['a', 'b'], [match('x', 'a', 'b', 1)], true);
+    expect(fixtures).toEqual([{ round: 2, homeId: 'b', awayId: 'a' }]);
+  });
+
+  test('partidas anuladas não contam e o confronto volta a ser criado', () => {
+    const { fixtures, duplicates } = planGroupFixtures(['a', 'b'], [match('x', 'a', 'b', 1, 'annulled')], false);
+    expect(fixtures).toEqual([{ round: 1, homeId: 'a', awayId: 'b' }]);
+    expect(duplicates).toEqual([]);
+  });
+
+  test('quem entra no grupo joga primeiro nas rodadas em que estava de folga', () => {
+    const existing = [match('x', 'a', 'b', 1, 'completed'), match('y', 'a', 'c', 2), match('z', 'b', 'c', 3)];
+    const { fixtures } = planGroupFixtures(['a', 'b', 'c', 'd'], existing, false);
+    // d folgava em todas as rodadas; cada rodada tem um único adversário livre para ele
+    expect(Object.fromEntries(fixtures.map(f => [pairKey(f), f.round]))).toEqual({ 'c-d': 1, 'b-d': 2, 'a-d': 3 });
+  });
+
+  test('separa duplicadas e partidas com quem saiu do grupo', () => {
+    const duplicate = match('dup', 'b', 'a', 2);
+    const old = match('old', 'a', 'z', 1, 'completed');
+    const { fixtures, duplicates, stale } = planGroupFixtures(['a', 'b'], [match('x', 'a', 'b', 1), duplicate, old], false);
+    expect(fixtures).toEqual([]);
+    expect(duplicates).toEqual([duplicate]);
+    expect(stale).toEqual([old]);
+  });
+
+  test('desistentes não ganham partidas novas', () => {
+    const { fixtures } = planGroupFixtures(['a', 'b', 'c'], [match('x', 'a', 'b', 1, 'completed')], false, ['b']);
+    expect(fixtures.map(pairKey)).toEqual(['a-c']);
+  });
+});
@@ -0,0 +1,47 @@
+import { scheduleMatches } from './App';
+
+const START = '2024-05-01T09:00:00.000Z';
+const settings = { tables: 2, startTime: START, matchDuration: 20, minRest: 10 };
+const playerIds = (match) => [match.homeParticipantId, match.awayParticipantId].filter(Boolean);
+const minutesAfterStart = (iso) => (new Date(iso) - new Date(START)) / 60000;
+
+const pending = (id, homeParticipantId, awayParticipantId, extra = {}) => ({
+  id, homeParticipantId, awayParticipantId, status: 'pending', stage: 'group', groupName: 'Grupo A', round: 1, ...extra,
+});
+
+describe('scheduleMatches', () => {
+  test('ocupa as mesas livres ao mesmo tempo', () => {
+    const assignments = scheduleMatches([pending('m1', 'a', 'b'), pending('m2', 'c', 'd')], settings, playerIds);
+    expect(assignments).toEqual([
+      { id: 'm1', table: 1, scheduledAt: START },
+      { id: 'm2', table: 2, scheduledAt: START },
+    ]);
+  });
+
+  test('ninguém joga duas partidas ao mesmo tempo e o descanso mínimo é respeitado', () => {
+    const assignments = scheduleMatches([pending('m1', 'a', 'b'), pending('m2', 'a', 'c')], settings, playerIds);
+    const byId = Object.fromEntries(assignments.map(a => [a.id, a]));
+    expect(minutesAfterStart(byId.m1.scheduledAt)).toBe(0);
+    expect(minutesAfterStart(byId.m2.scheduledAt)).toBe(30);
+  });
+
+  test('partida do mata-mata espera as partidas que definem seus participantes', () => {
+    const matches = [
+      pending('sf1', 'a', 'b', { stage: 'knockout', round: 0, position: 0, nextMatchId: 'final', nextSlot: 'home' }),
+      pending('sf2', 'c', 'd', { stage: 'knockout', round: 0, position: 1, nextMatchId: 'final', nextSlot: 'away' }),
+      pending('final', null, null, { stage: 'knockout', round: 1, position: 0 }),
+    ];
+    const byId = Object.fromEntries(scheduleMatches(matches, settings, playerIds).map(a => [a.id, a]));
+    expect(minutesAfterStart(byId.final.scheduledAt)).toBe(30);
+  });
+
+  test('a fase de grupos vem antes do mata-mata e só as partidas pendentes entram', () => {
+    const matches = [
+      pending('ko', 'e', 'f', { stage: 'knockout', round: 0 }),
+      pending('g1', 'a', 'b'),
+      { ...pending('done', 'c', 'd'), status: 'completed' },
+    ];
+    const assignments = scheduleMatches(matches, { ...settings, tables: 1 }, playerIds);
+    expect(assignments.map(a => a.id)).toEqual(['g1', 'ko']);
+  });
+});
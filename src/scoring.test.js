@@ -0,0 +1,146 @@
+import { validateSetScore, evaluateMatchSets, buildMatchResult, evaluateTie, buildTieResult, TIE_FORMATS } from './App';
+
+describe('validateSetScore', () => {
+  test('aceita 11 pontos com 2 de vantagem e a prorrogação depois de 10x10', () => {
+    expect(validateSetScore(11, 9)).toBeNull();
+    expect(validateSetScore(3, 11)).toBeNull();
+    expect(validateSetScore(12, 10)).toBeNull();
+    expect(validateSetScore(14, 16)).toBeNull();
+  });
+
+  test('recusa placares impossíveis', () => {
+    expect(validateSetScore(10, 8)).toMatch(/11 pontos/);
+    expect(validateSetScore(11, 10)).toMatch(/2 pontos/);
+    expect(validateSetScore(13, 10)).toMatch(/exatamente 2/);
+    expect(validateSetScore(-1, 11)).toBe('pontuação inválida');
+    expect(validateSetScore(11.5, 9)).toBe('pontuação inválida');
+  });
+});
+
+describe('evaluateMatchSets', () => {
+  test('deriva o placar em sets e quem venceu a melhor de 5', () => {
+    const sets = [{ home: 11, away: 7 }, { home: 9, away: 11 }, { home: 11, away: 5 }, { home: 12, away: 10 }];
+    expect(evaluateMatchSets(sets, 5)).toEqual({ homeSets: 3, awaySets: 1, decided: true, error: null });
+  });
+
+  test('partida incompleta não está decidida', () => {
+    expect(evaluateMatchSets([{ home: 11, away: 7 }], 3)).toEqual({ homeSets: 1, awaySets: 0, decided: false, error: null });
+  });
+
+  test('aponta o set com placar inválido', () => {
+    const result = evaluateMatchSets([{ home: 11, away: 7 }, { home: 11, away: 10 }], 5);
+    expect(result.error).toBe('2º set: é preciso vencer por 2 pontos de diferença.');
+  });
+
+  test('recusa sets lançados depois da partida decidida', () => {
+    const sets = [{ home: 11, away: 7 }, { home: 11, away: 7 }, { home: 7, away: 11 }];
+    expect(evaluateMatchSets(sets, 3).error).toBe('O 3º set foi lançado depois de a partida estar decidida.');
+  });
+
+  test('com allowUnfinishedLast, o último set interrompido não conta para ninguém', () => {
+    const sets = [{ home: 11, away: 7 }, { home: 7, away: 5 }];
+    expect(evaluateMatchSets(sets, 5, { allowUnfinishedLast: true })).toEqual({ homeSets: 1, awaySets: 0, decided: false, error: null });
+    expect(evaluateMatchSets(sets, 5).error).toMatch(/^2º set/);
+  });
+
+  test('set interrompido só é aceito se ainda pudesse continuar', () => {
+    const sets = [{ home: 11, away: 7 }, { home: 13, away: 10 }];
+    expect(evaluateMatchSets(sets, 5, { allowUnfinishedLast: true }).error).toMatch(/^2º set/);
+  });
+});
+
+describe('buildMatchResult', () => {
+  const match = { id: 'm1', homeParticipantId: 'casa', awayParticipantId: 'fora' };
+
+  test('resultado normal exige a partida decidida', () => {
+    const sets = [{ home: 11, away: 7 }, { home: 11, away: 9 }];
+    expect(buildMatchResult(match, { sets }, 3).data).toEqual({
+      outcome: 'normal', sets, homeSets: 2, awaySets: 0, winnerId: 'casa', status: 'completed'
+    });
+    expect(buildMatchResult(match, { sets: [sets[0]] }, 3).error).toBe('A partida é melhor de 3: alguém precisa vencer 2 sets.');
+  });
+
+  test('W.O. e desclassificação dão a vitória ao outro lado sem sets', () => {
+    const sets = [{ home: 11, away: 7 }];
+    expect(buildMatchResult(match, { outcome: 'walkover', affectedSide: 'home', sets }, 3).data).toEqual({
+      outcome: 'walkover', sets: [], homeSets: null, awaySets: null, winnerId: 'fora', status: 'completed'
+    });
+    expect(buildMatchResult(match, { outcome: 'disqualified', affectedSide: 'away' }, 3).data).toMatchObject({
+      outcome: 'disqualified', sets: [], winnerId: 'casa'
+    });
+  });
+
+  test('desistência guarda os sets parciais, inclusive o set interrompido', () => {
+    const sets = [{ home: 11, away: 7 }, { home: 6, away: 4 }];
+    expect(buildMatchResult(match, { outcome: 'retired', affectedSide: 'home', sets }, 5).data).toEqual({
+      outcome: 'retired', sets, homeSets: 1, awaySets: 0, winnerId: 'fora', status: 'completed'
+    });
+  });
+
+  test('desistência recusa partida já decidida e sets inválidos', () => {
+    const decided = [{ home: 11, away: 7 }, { home: 11, away: 9 }];
+    expect(buildMatchResult(match, { outcome: 'retired', sets: decided }, 3).error).toMatch(/já estava decidida/);
+    expect(buildMatchResult(match, { outcome: 'retired', sets: [{ home: 11, away: 10 }, { home: 3, away: 1 }] }, 5).error).toMatch(/^1º set/);
+  });
+});
+
+describe('confrontos entre equipes', () => {
+  const lineup = { home: { A: 'a1', B: 'a2', doubles: ['a1', 'a3'] }, away: { X: 'x1', Y: 'x2', doubles: ['x2', 'x3'] } };
+  const homeWins = [{ home: 11, away: 5 }, { home: 11, away: 7 }];
+  const awayWins = [{ home: 4, away: 11 }, { home: 9, away: 11 }];
+  const match = { id: 't1', homeParticipantId: 'casa', awayParticipantId: 'fora' };
+
+  describe('evaluateTie', () => {
+    test('avalia os jogos na ordem do formato com os jogadores de cada posição', () => {
+      const { rubbers, score, decided, error } = evaluateTie(TIE_FORMATS.corbillon, lineup, [homeWins, awayWins, homeWins], 3);
+      expect(error).toBeNull();
+      expect(decided).toBe(false);
+      expect(score).toEqual({ home: 2, away: 1 });
+      expect(rubbers.map(r => [r.rubber, r.homePlayerIds, r.awayPlayerIds, r.winnerSide])).toEqual([
+        ['A-X', ['a1'], ['x1'], 'home'],
+        ['B-Y', ['a2'], ['x2'], 'away'],
+        ['doubles', ['a1', 'a3'], ['x2', 'x3'], 'home'],
+      ]);
+    });
+
+    test('o confronto acaba quando uma equipe chega às vitórias necessárias', () => {
+      const { decided, score, rubbers } = evaluateTie(TIE_FORMATS.corbillon, lineup, [homeWins, homeWins, homeWins], 3);
+      expect(decided).toBe(true);
+      expect(score).toEqual({ home: 3, away: 0 });
+      expect(rubbers).toHaveLength(3);
+    });
+
+    test('recusa jogos lançados depois da decisão ou fora de ordem', () => {
+      expect(evaluateTie(TIE_FORMATS.corbillon, lineup, [homeWins, homeWins, homeWins, awayWins], 3).error)
+        .toBe('O 4º jogo (A x Y) foi lançado depois de o confronto estar decidido.');
+      expect(evaluateTie(TIE_FORMATS.corbillon, lineup, [homeWins, [], homeWins], 3).error).toBe('Lance o 2º jogo (B x Y) antes dos seguintes.');
+    });
+
+    test('aponta o jogo com placar inválido ou sem vencedor', () => {
+      expect(evaluateTie(TIE_FORMATS.corbillon, lineup, [[{ home: 10, away: 8 }]], 3).error).toMatch(/^1º jogo \(A x X\): 1º set: /);
+      expect(evaluateTie(TIE_FORMATS.corbillon, lineup, [[{ home: 11, away: 5 }]], 3).error).toBe('1º jogo (A x X): alguém precisa vencer 2 sets.');
+    });
+  });
+
+  describe('buildTieResult', () => {
+    test('o placar do confronto é em jogos vencidos e os jogos ficam em tie.rubbers', () => {
+      const { data, error } = buildTieResult(match, 'corbillon', lineup, [homeWins, awayWins, awayWins, awayWins], 3);
+      expect(error).toBeUndefined();
+      expect(data).toMatchObject({ outcome: 'normal', sets: [], homeSets: 1, awaySets: 3, winnerId: 'fora', status: 'completed' });
+      expect(data.tie.format).toBe('corbillon');
+      expect(data.tie.lineup).toBe(lineup);
+      expect(data.tie.rubbers).toHaveLength(4);
+    });
+
+    test('exige escalação completa e sem repetição', () => {
+      expect(buildTieResult(match, 'corbillon', { ...lineup, home: { ...lineup.home, B: '' } }, [], 3).error).toBe('Complete a escalação da equipe da casa.');
+      expect(buildTieResult(match, 'corbillon', { ...lineup, away: { ...lineup.away, Y: 'x1' } }, [], 3).error).toBe('A equipe visitante escalou o mesmo jogador em duas posições.');
+      expect(buildTieResult(match, 'corbillon', { ...lineup, home: { ...lineup.home, doubles: ['a1', 'a1'] } }, [], 3).error).toBe('A dupla da equipe da casa precisa de dois jogadores diferentes.');
+    });
+
+    test('confronto sem vencedor ainda não pode ser encerrado', () => {
+      expect(buildTieResult(match, 'swaythling', { home: { A: 'a1', B: 'a2', C: 'a3' }, away: { X: 'x1', Y: 'x2', Z: 'x3' } }, [homeWins, awayWins], 3).error)
+        .toBe('O confronto termina quando uma equipe vence 3 jogos.');
+    });
+  });
+});
@@ -0,0 +1,11 @@
+// Registra o service worker de public/ só no build de produção (no dev server ele atrapalharia o hot reload)
+const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Erro ao registrar o service worker:', error));
+  });
+};
+
+export default registerServiceWorker;
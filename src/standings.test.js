@@ -0,0 +1,116 @@
+import { computeGroupStandings, rankTiedBlock } from './App';
+
+// Partida encerrada com sets de 11-5 para quem vence cada set (ou os pontos informados)
+const played = (homeParticipantId, awayParticipantId, homeSets, awaySets, points = [11, 5]) => ({
+  homeParticipantId,
+  awayParticipantId,
+  homeSets,
+  awaySets,
+  status: 'completed',
+  sets: [
+    ...Array.from({ length: homeSets }, () => ({ home: points[0], away: points[1] })),
+    ...Array.from({ length: awaySets }, () => ({ home: points[1], away: points[0] })),
+  ],
+});
+
+const ids = (rows) => rows.map(row => row.participantId);
+
+describe('computeGroupStandings', () => {
+  test('ordena por pontos: 2 pela vitória e 1 pela derrota', () => {
+    const matches = [played('a', 'b', 3, 0), played('a', 'c', 3, 1), played('b', 'c', 3, 2)];
+    const table = computeGroupStandings(['a', 'b', 'c'], matches, {}, 'seed');
+    expect(ids(table)).toEqual(['a', 'b', 'c']);
+    expect(table.map(row => row.points)).toEqual([4, 3, 2]);
+    expect(table[0]).toMatchObject({ played: 2, wins: 2, setsFor: 6, setsAgainst: 1, setDifference: 5 });
+  });
+
+  test('respeita a pontuação configurada', () => {
+    const matches = [played('a', 'b', 3, 0)];
+    const table = computeGroupStandings(['a', 'b'], matches, { scoring: { win: 3, loss: 0 } }, 'seed');
+    expect(table.map(row => row.points)).toEqual([3, 0]);
+  });
+
+  test('dois empatados são desempatados pelo confronto direto', () => {
+    // b e c vencem uma partida cada contra d e a; c venceu b
+    const matches = [
+      played('a', 'b', 3, 0), played('a', 'c', 3, 0), played('a', 'd', 3, 0),
+      played('b', 'd', 3, 0), played('c', 'd', 3, 0), played('c', 'b', 3, 2),
+    ];
+    expect(ids(computeGroupStandings(['a', 'b', 'c', 'd'], matches, {}, 'seed'))).toEqual(['a', 'c', 'b', 'd']);
+  });
+
+  test('no empate triplo, a razão de sets conta só as partidas entre os empatados', () => {
+    // a, b e c vencem um e perdem um entre si e todos vencem d.
+    // Entre eles: a 5/3, b 3/3, c 3/5. Contando d, b teria a melhor razão (6/3 contra 8/5 de a).
+    const matches = [
+      played('a', 'b', 3, 0), played('b', 'c', 3, 0), played('c', 'a', 3, 2),
+      played('a', 'd', 3, 2), played('b', 'd', 3, 0), played('c', 'd', 3, 0),
+    ];
+    expect(ids(computeGroupStandings(['a', 'b', 'c', 'd'], matches, {}, 'seed'))).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('com sets iguais entre os empatados, a razão de pontos também conta só essas partidas', () => {
+    // Entre eles todos ficam 3/3 em sets; nos pontos a vence por mais e c perde por mais.
+    // Contra d, c tem os sets mais largos, o que o colocaria na frente se contasse.
+    const matches = [
+      played('a', 'b', 3, 0, [11, 2]), played('b', 'c', 3, 0, [11, 5]), played('c', 'a', 3, 0, [11, 9]),
+      played('a', 'd', 3, 0, [11, 9]), played('b', 'd', 3, 0, [11, 9]), played('c', 'd', 3, 0, [11, 0]),
+    ];
+    expect(ids(computeGroupStandings(['a', 'b', 'c', 'd'], matches, { tiebreakers: ['setRatio', 'pointsRatio'] }, 'seed')))
+      .toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('W.O. e desclassificação pontuam conforme a configuração e não contam sets', () => {
+    const matches = [
+      { homeParticipantId: 'a', awayParticipantId: 'b', outcome: 'walkover', sets: [], homeSets: null, awaySets: null, winnerId: 'a', status: 'completed' },
+      { homeParticipantId: 'c', awayParticipantId: 'a', outcome: 'disqualified', sets: [], homeSets: null, awaySets: null, winnerId: 'a', status: 'completed' },
+    ];
+    const scoring = { win: 3, loss: 1, walkover: 3, noShow: -1, disqualified: -2 };
+    const table = computeGroupStandings(['a', 'b', 'c'], matches, { scoring }, 'seed');
+    expect(ids(table)).toEqual(['a', 'b', 'c']);
+    expect(table.map(row => row.points)).toEqual([6, -1, -2]);
+    expect(table[0]).toMatchObject({ played: 2, wins: 2, setsFor: 0, setsAgainst: 0, pointsFor: 0 });
+  });
+
+  test('pela pontuação padrão, quem falta ou é desclassificado fica com 0', () => {
+    const matches = [
+      { homeParticipantId: 'a', awayParticipantId: 'b', outcome: 'walkover', sets: [], homeSets: null, awaySets: null, winnerId: 'b', status: 'completed' },
+    ];
+    const table = computeGroupStandings(['a', 'b'], matches, {}, 'seed');
+    expect(table.map(row => [row.participantId, row.points])).toEqual([['b', 2], ['a', 0]]);
+  });
+
+  test('na desistência os sets e pontos parciais contam e quem desistiu leva os pontos de derrota', () => {
+    const retired = {
+      homeParticipantId: 'a', awayParticipantId: 'b', outcome: 'retired',
+      sets: [{ home: 11, away: 7 }, { home: 6, away: 4 }], homeSets: 1, awaySets: 0, winnerId: 'b', status: 'completed'
+    };
+    const table = computeGroupStandings(['a', 'b'], [retired], {}, 'seed');
+    expect(ids(table)).toEqual(['b', 'a']);
+    expect(table[0]).toMatchObject({ wins: 1, points: 2, setsFor: 0, setsAgainst: 1, pointsFor: 11, pointsAgainst: 17 });
+    expect(table[1]).toMatchObject({ losses: 1, points: 1, setsFor: 1, setsAgainst: 0, pointsFor: 17, pointsAgainst: 11 });
+  });
+
+  test('o sorteio decide quando nada mais separa, sempre igual para o mesmo campeonato', () => {
+    const first = ids(computeGroupStandings(['a', 'b', 'c'], [], {}, 'campeonato-1'));
+    expect(ids(computeGroupStandings(['a', 'b', 'c'], [], {}, 'campeonato-1'))).toEqual(first);
+    expect([...first].sort()).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('rankTiedBlock', () => {
+  test('separa o bloco pelo primeiro critério e recomeça a lista nos subgrupos empatados', () => {
+    const rows = [
+      { participantId: 'a', wins: 1, setsFor: 3 },
+      { participantId: 'b', wins: 2, setsFor: 1 },
+      { participantId: 'c', wins: 1, setsFor: 5 },
+    ];
+    const context = { matches: [], scoring: {}, drawSeed: 'seed', criteria: ['wins', 'setsFor'] };
+    expect(ids(rankTiedBlock(rows, context.criteria, context))).toEqual(['b', 'c', 'a']);
+  });
+
+  test('bloco de um só participante volta como está', () => {
+    const rows = [{ participantId: 'a' }];
+    expect(rankTiedBlock(rows, ['wins'], { criteria: ['wins'] })).toBe(rows);
+  });
+});
@@ -0,0 +1,29 @@
+import { pairSwissRound } from './App';
+
+const played = (...pairs) => pairs.map(([homeParticipantId, awayParticipantId]) => ({ homeParticipantId, awayParticipantId }));
+
+describe('pairSwissRound', () => {
+  test('na 1ª rodada, a metade de cima enfrenta a de baixo na mesma ordem', () => {
+    expect(pairSwissRound(['a', 'b', 'c', 'd'], [], [], 1)).toEqual({ pairs: [['a', 'c'], ['b', 'd']], byeId: null });
+  });
+
+  test('nas rodadas seguintes, junta vizinhos da classificação sem repetir confronto', () => {
+    const result = pairSwissRound(['a', 'c', 'b', 'd'], played(['a', 'c'], ['b', 'd']), [], 2);
+    expect(result).toEqual({ pairs: [['a', 'b'], ['c', 'd']], byeId: null });
+  });
+
+  test('com número ímpar, a folga vai para o último que ainda não folgou', () => {
+    expect(pairSwissRound(['a', 'b', 'c'], [], [], 1).byeId).toBe('c');
+    const result = pairSwissRound(['a', 'b', 'c'], played(['a', 'b']), ['c'], 2);
+    expect(result.byeId).toBe('b');
+    expect(result.pairs).toEqual([['a', 'c']]);
+  });
+
+  test('quando todos já folgaram, a folga volta para o último colocado', () => {
+    expect(pairSwissRound(['a', 'b', 'c'], [], ['a', 'b', 'c'], 4).byeId).toBe('c');
+  });
+
+  test('sem emparelhamento possível sem revanche, devolve null', () => {
+    expect(pairSwissRound(['a', 'b'], played(['a', 'b']), [], 2)).toBeNull();
+  });
+});